@@ -21,6 +21,7 @@ export const NOISE_MODE: "Noise_XX_25519_AESGCM_SHA256\0\0\0\0";
 export const DICT_VERSION: 3;
 export const KEY_BUNDLE_TYPE: any;
 export const NOISE_WA_HEADER: any;
+/** @deprecated unused since `tokenizeCode` lexes every language with its own rules */
 export const LEXER_REGEX: RegExp;
 /** from: https://stackoverflow.com/questions/3809401/what-is-a-good-regular-expression-to-match-a-url */
 export const URL_REGEX: RegExp;
@@ -36,6 +37,64 @@ export namespace DEFAULT_CACHE_TTLS {
     let CALL_OFFER: number;
     let USER_DEVICES: number;
 }
+export namespace DEFAULT_SEND_QUEUE_CONFIG {
+    namespace account {
+        let limit: number;
+        let intervalMs: number;
+        let burst: number;
+    }
+    namespace recipient {
+        let limit_1: number;
+        export { limit_1 as limit };
+        let intervalMs_1: number;
+        export { intervalMs_1 as intervalMs };
+        let burst_1: number;
+        export { burst_1 as burst };
+    }
+    namespace group {
+        let limit_2: number;
+        export { limit_2 as limit };
+        let intervalMs_2: number;
+        export { intervalMs_2 as intervalMs };
+        let burst_2: number;
+        export { burst_2 as burst };
+    }
+    namespace typing {
+        let msPerChar: number;
+        let minMs: number;
+        let maxMs: number;
+    }
+    let lanes: string[];
+    let highWaterMark: number;
+    let maxSize: number;
+}
+export namespace NATIVE_FLOW_LIMITS {
+    let displayText: number;
+    let buttonId: number;
+    let url: number;
+    let phoneNumber: number;
+    let copyCode: number;
+    let sections: number;
+    let rows: number;
+    let sectionTitle: number;
+    let rowTitle: number;
+    let rowDescription: number;
+    let rowId: number;
+    let referenceId: number;
+    let orderItems: number;
+}
+export namespace STICKER_LIMITS {
+    let dimension: number;
+    let staticSize: number;
+    let animatedSize: number;
+    let animatedDuration: number;
+    let animatedFps: number;
+}
+export namespace VIDEO_LIMITS {
+    let dimension: number;
+    let size: number;
+    let audioBitrate: number;
+}
 export namespace DEFAULT_CONNECTION_CONFIG {
     export { version };
     export let browser: any[];
@@ -129,6 +188,8 @@ export const MEDIA_HKDF_KEY_MAPPING: {
 export const MEDIA_KEYS: string[];
 /** 120s timeout for history sync stall detection, same as WA Web's handleChunkProgress / restartPausedTimer (g = 120) */
 export const HISTORY_SYNC_PAUSED_TIMEOUT_MS: 120000;
+/** every category a SignalKeyStore can hold, eg. to enumerate a full auth state */
+export const SIGNAL_KEY_TYPES: string[];
 export const MIN_PREKEY_COUNT: 5;
 export const INITIAL_PREKEY_COUNT: 812;
 export const UPLOAD_TIMEOUT: 30000;
@@ -26,6 +26,7 @@ export const NOISE_MODE = 'Noise_XX_25519_AESGCM_SHA256\0\0\0\0';
 export const DICT_VERSION = 3;
 export const KEY_BUNDLE_TYPE = Buffer.from([5]);
 export const NOISE_WA_HEADER = Buffer.from([87, 65, 6, DICT_VERSION]); // last is "DICT_VERSION"
+/** @deprecated unused since `tokenizeCode` lexes every language with its own rules */
 export const LEXER_REGEX = /(\/\/.*|\/\*[\s\S]*?\*\/|#.*)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`[\s\S]*?`)|(\b[a-zA-Z_]\w*\b)(?=\s*\()|(\b[a-zA-Z_]\w*\b)|(\b\d+(?:\.\d+)?\b)|(\s+|[^\w\s]+)/g;
 /** from: https://stackoverflow.com/questions/3809401/what-is-a-good-regular-expression-to-match-a-url */
 export const URL_REGEX = /https:\/\/(?![^:@\/\s]+:[^:@\/\s]+@)[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(:\d+)?(\/[^\s]*)?/g;
@@ -49,6 +50,46 @@ export const DEFAULT_CACHE_TTLS = {
     CALL_OFFER: 5 * 60, // 5 minutes
     USER_DEVICES: 5 * 60 // 5 minutes
 };
+// Lia@Changes 19-10-26 --- Defaults for the opt-in send queue, `sendQueue: true` uses these as-is
+export const DEFAULT_SEND_QUEUE_CONFIG = {
+    account: { limit: 30, intervalMs: 60000, burst: 5 },
+    recipient: { limit: 10, intervalMs: 60000, burst: 3 },
+    group: { limit: 20, intervalMs: 60000, burst: 5 },
+    typing: { msPerChar: 40, minMs: 500, maxMs: 4000 },
+    lanes: ['reply', 'default', 'bulk'],
+    highWaterMark: 100,
+    maxSize: 5000
+};
+// Lia@Changes 19-10-26 --- Limits checked by validateNativeFlowButton, counted in characters
+export const NATIVE_FLOW_LIMITS = {
+    displayText: 20,
+    buttonId: 256,
+    url: 2000,
+    phoneNumber: 20,
+    copyCode: 255,
+    sections: 10,
+    rows: 10,
+    sectionTitle: 24,
+    rowTitle: 24,
+    rowDescription: 72,
+    rowId: 200,
+    referenceId: 35,
+    orderItems: 999
+};
+// Lia@Changes 19-10-26 --- Sticker limits WhatsApp enforces, used by createSticker
+export const STICKER_LIMITS = {
+    dimension: 512,
+    staticSize: 100 * 1024,
+    animatedSize: 500 * 1024,
+    animatedDuration: 10,
+    animatedFps: 15
+};
+// Lia@Changes 19-10-26 --- Video limits used by normalizeVideo, close to what WhatsApp's own compression produces
+export const VIDEO_LIMITS = {
+    dimension: 1280,
+    size: 16 * 1024 * 1024,
+    audioBitrate: 128
+};
 export const DEFAULT_CONNECTION_CONFIG = {
     version: version,
     browser: Browsers.macOS('Chrome'),
@@ -140,6 +181,19 @@ export const MEDIA_HKDF_KEY_MAPPING = {
 export const MEDIA_KEYS = Object.keys(MEDIA_PATH_MAP);
 /** 120s timeout for history sync stall detection, same as WA Web's handleChunkProgress / restartPausedTimer (g = 120) */
 export const HISTORY_SYNC_PAUSED_TIMEOUT_MS = 120000;
+/** every category a SignalKeyStore can hold, eg. to enumerate a full auth state */
+export const SIGNAL_KEY_TYPES = [
+    'pre-key',
+    'session',
+    'sender-key',
+    'sender-key-memory',
+    'app-state-sync-key',
+    'app-state-sync-version',
+    'lid-mapping',
+    'device-list',
+    'tctoken',
+    'identity-key'
+];
 export const MIN_PREKEY_COUNT = 5;
 export const INITIAL_PREKEY_COUNT = 812;
 export const UPLOAD_TIMEOUT = 30000; // 30 seconds
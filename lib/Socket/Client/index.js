@@ -1,3 +1,5 @@
 export * from './types.js';
 export * from './websocket.js';
+export * from './mock-server.js';
+export * from './stanza-replayer.js';
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -0,0 +1,110 @@
+export namespace MockStanza {
+    function pairDevice(refs?: string[]): any;
+    function pairSuccess({ creds, jid, lid, platform, accountKeyPair }: {
+        creds: any;
+        jid: any;
+        lid: any;
+        platform?: string;
+        accountKeyPair?: any;
+    }): any;
+    function success({ lid, t }?: {
+        lid?: any;
+        t?: number;
+    }): any;
+    function message({ from, participant, id, message, pushName, t, type }: {
+        from: any;
+        participant?: any;
+        id: any;
+        message: any;
+        pushName?: any;
+        t?: number;
+        type?: string;
+    }): any;
+    function receipt({ from, id, participant, type, t }: {
+        from: any;
+        id: any;
+        participant?: any;
+        type?: any;
+        t?: number;
+    }): any;
+    function groupNotification({ from, participant, id, action, t }: {
+        from: any;
+        participant: any;
+        id?: string;
+        action: any;
+        t?: number;
+    }): any;
+    function iqResult(iq: any, content?: any): any;
+}
+export class MockWAConnection extends EventEmitter<[never]> {
+    constructor(server: any, client: any);
+    server: any;
+    client: any;
+    noise: any;
+    inBytes: Buffer;
+    receivedIntro: boolean;
+    stage: string;
+    clientPayload: any;
+    queue: Promise<void>;
+    receive(data: any): void;
+    processFrames(): Promise<void>;
+    processFrame(frame: any): Promise<void>;
+    writeRaw(data: any): void;
+    sendNode(node: any): void;
+    waitForNode(match: any, timeoutMs?: number): Promise<any>;
+    close(): void;
+}
+export class MockWAServer extends EventEmitter<[never]> {
+    constructor({ logger, autoLogin, autoPairDevice, autoRespondIq }?: {
+        logger?: any;
+        autoLogin?: boolean;
+        autoPairDevice?: boolean;
+        autoRespondIq?: boolean;
+    });
+    logger: any;
+    autoLogin: boolean;
+    autoPairDevice: boolean;
+    autoRespondIq: boolean;
+    connections: MockWAConnection[];
+    iqHandlers: any[];
+    staticKeyPair: any;
+    certChain: Uint8Array;
+    /** trusted by the sockets made with `transport` */
+    certDetails: {
+        SERIAL: number;
+        ISSUER: string;
+        PUBLIC_KEY: any;
+    };
+    /**
+     * pass as `transport` in the socket config, it carries the `certDetails` the socket checks the handshake against
+     *
+     * For tests only: a socket made with it trusts this server instead of WhatsApp's pinned certificate
+     */
+    get transport(): ((url: any, config: any) => MockSocketClient) & {
+        certDetails: MockWAServer['certDetails'];
+    };
+    onIq(match: (node: any) => boolean, respond: (node: any, connection: MockWAConnection) => any): void;
+    accept(client: any): MockWAConnection;
+    onHandshakeComplete(connection: any, clientPayload: any): void;
+    onNode(connection: any, node: any): Promise<void>;
+    waitForConnection(timeoutMs?: number): Promise<MockWAConnection>;
+    close(): void;
+}
+export class MockSocketClient extends AbstractSocketClient {
+    constructor(url: any, config: any, server: any);
+    server: any;
+    connection: MockWAConnection | null;
+    readyState: string;
+    get isOpen(): boolean;
+    get isClosed(): boolean;
+    get isClosing(): boolean;
+    get isConnecting(): boolean;
+    connect(): void;
+    close(): Promise<void>;
+    send(data: any, cb: any): boolean;
+    deliver(data: any): void;
+    serverClosed(): void;
+    shutdown(): void;
+}
+import { EventEmitter } from 'events';
+import { AbstractSocketClient } from './types.js';
@@ -0,0 +1,480 @@
+import { EventEmitter } from 'events';
+import { proto } from '../../../WAProto/index.js';
+import { NOISE_MODE, WA_ADV_ACCOUNT_SIG_PREFIX } from '../../Defaults/index.js';
+import { aesDecryptGCM, aesEncryptGCM, Curve, hkdf, hmacSign, sha256 } from '../../Utils/crypto.js';
+import { decodeBinaryNode, encodeBinaryNode, getBinaryNodeChild, S_WHATSAPP_NET } from '../../WABinary/index.js';
+import { AbstractSocketClient } from './types.js';
+// Lia@Changes 19-10-26 --- In-process mock of the WA servers, speaks the real Noise XX handshake & WABinary frames so makeSocket can be tested without network
+const MOCK_CERT_SERIAL = 0;
+const EMPTY_BUFFER = Buffer.alloc(0);
+const generateIV = (counter) => {
+    const iv = Buffer.alloc(12);
+    iv.writeUInt32BE(counter, 8);
+    return iv;
+};
+const encodeFrame = (data) => {
+    const frame = Buffer.alloc(3 + data.length);
+    frame.writeUIntBE(data.length, 0, 3);
+    frame.set(data, 3);
+    return frame;
+};
+/**
+ * Responder side of the noise handshake,
+ * mirrors every step `makeNoiseHandler` takes as the initiator
+ */
+const makeNoiseResponder = (staticKeyPair) => {
+    const ephemeralKeyPair = Curve.generateKeyPair();
+    const data = Buffer.from(NOISE_MODE);
+    let hash = data.byteLength === 32 ? data : sha256(data);
+    let salt = hash;
+    let key = hash;
+    let counter = 0;
+    let transport;
+    const authenticate = (data) => {
+        hash = sha256(Buffer.concat([hash, data]));
+    };
+    const mixIntoKey = (data) => {
+        const derived = hkdf(Buffer.from(data), 64, { salt, info: '' });
+        salt = derived.subarray(0, 32);
+        key = derived.subarray(32);
+        counter = 0;
+    };
+    const encrypt = (plaintext) => {
+        const result = aesEncryptGCM(plaintext, key, generateIV(counter++), hash);
+        authenticate(result);
+        return result;
+    };
+    const decrypt = (ciphertext) => {
+        const result = aesDecryptGCM(ciphertext, key, generateIV(counter++), hash);
+        authenticate(ciphertext);
+        return result;
+    };
+    return {
+        authenticate,
+        /** processes the client hello, returns the server hello to send back */
+        serverHello: (clientEphemeral, certChain) => {
+            authenticate(clientEphemeral);
+            authenticate(ephemeralKeyPair.public);
+            mixIntoKey(Curve.sharedKey(ephemeralKeyPair.private, clientEphemeral));
+            const staticEnc = encrypt(staticKeyPair.public);
+            mixIntoKey(Curve.sharedKey(staticKeyPair.private, clientEphemeral));
+            const payloadEnc = encrypt(certChain);
+            return { ephemeral: ephemeralKeyPair.public, static: staticEnc, payload: payloadEnc };
+        },
+        /** processes the client finish, returns the decoded ClientPayload */
+        clientFinish: ({ static: staticEnc, payload }) => {
+            const clientStatic = decrypt(staticEnc);
+            mixIntoKey(Curve.sharedKey(ephemeralKeyPair.private, clientStatic));
+            const clientPayload = proto.ClientPayload.decode(decrypt(payload));
+            const derived = hkdf(EMPTY_BUFFER, 64, { salt, info: '' });
+            // the client writes with the first half, so that's what we read with
+            transport = {
+                readKey: derived.subarray(0, 32),
+                writeKey: derived.subarray(32),
+                readCounter: 0,
+                writeCounter: 0
+            };
+            return { clientStatic, clientPayload };
+        },
+        encryptFrame: (plaintext) => aesEncryptGCM(plaintext, transport.writeKey, generateIV(transport.writeCounter++), EMPTY_BUFFER),
+        decryptFrame: (ciphertext) => aesDecryptGCM(ciphertext, transport.readKey, generateIV(transport.readCounter++), EMPTY_BUFFER)
+    };
+};
+/**
+ * Builders for stanzas the mock server commonly plays at a socket
+ */
+export const MockStanza = {
+    /** asks an unregistered client to show QR codes */
+    pairDevice: (refs = ['mock-ref-1', 'mock-ref-2']) => ({
+        tag: 'iq',
+        attrs: { from: S_WHATSAPP_NET, type: 'set', id: `pair-${Date.now()}`, xmlns: 'md' },
+        content: [
+            {
+                tag: 'pair-device',
+                attrs: {},
+                content: refs.map(ref => ({ tag: 'ref', attrs: {}, content: Buffer.from(ref) }))
+            }
+        ]
+    }),
+    /**
+     * pairs the client as if a phone scanned its QR
+     * @param creds the client's creds, the ADV identity is signed against its `advSecretKey` & `signedIdentityKey`
+     */
+    pairSuccess: ({ creds, jid, lid, platform = 'android', accountKeyPair = Curve.generateKeyPair() }) => {
+        const deviceDetails = proto.ADVDeviceIdentity.encode({
+            rawId: 1,
+            timestamp: Math.floor(Date.now() / 1000),
+            keyIndex: 1
+        }).finish();
+        const accountSignature = Curve.sign(accountKeyPair.private, Buffer.concat([WA_ADV_ACCOUNT_SIG_PREFIX, deviceDetails, creds.signedIdentityKey.public]));
+        const details = proto.ADVSignedDeviceIdentity.encode({
+            details: deviceDetails,
+            accountSignatureKey: accountKeyPair.public,
+            accountSignature
+        }).finish();
+        const hmac = hmacSign(details, Buffer.from(creds.advSecretKey, 'base64'));
+        return {
+            tag: 'iq',
+            attrs: { from: S_WHATSAPP_NET, type: 'result', id: `pair-success-${Date.now()}`, t: Math.floor(Date.now() / 1000).toString() },
+            content: [
+                {
+                    tag: 'pair-success',
+                    attrs: {},
+                    content: [
+                        { tag: 'device-identity', attrs: {}, content: proto.ADVSignedDeviceIdentityHMAC.encode({ details, hmac }).finish() },
+                        { tag: 'platform', attrs: { name: platform } },
+                        { tag: 'device', attrs: { jid, lid } }
+                    ]
+                }
+            ]
+        };
+    },
+    /** completes a login */
+    success: ({ lid, t = Math.floor(Date.now() / 1000) } = {}) => ({
+        tag: 'success',
+        attrs: { t: t.toString(), props: '0', location: 'mock', ...(lid ? { lid } : {}) }
+    }),
+    /**
+     * an incoming message; sent as `<plaintext>`, so no signal session is needed
+     * @param message a `proto.Message` (or plain object) eg. `{ conversation: 'hi' }`
+     */
+    message: ({ from, participant, id, message, pushName, t = Math.floor(Date.now() / 1000), type = 'text' }) => ({
+        tag: 'message',
+        attrs: {
+            from,
+            id,
+            t: t.toString(),
+            type,
+            ...(participant ? { participant } : {}),
+            ...(pushName ? { notify: pushName } : {})
+        },
+        content: [{ tag: 'plaintext', attrs: {}, content: proto.Message.encode(message).finish() }]
+    }),
+    /** a delivery/read receipt for a message the client sent */
+    receipt: ({ from, id, participant, type, t = Math.floor(Date.now() / 1000) }) => ({
+        tag: 'receipt',
+        attrs: {
+            from,
+            id,
+            t: t.toString(),
+            ...(participant ? { participant } : {}),
+            ...(type ? { type } : {})
+        }
+    }),
+    /**
+     * a `w:gp2` group notification
+     * @param action child node, eg. `{ tag: 'add', attrs: {}, content: [{ tag: 'participant', attrs: { jid } }] }`
+     */
+    groupNotification: ({ from, participant, id = `notif-${Date.now()}`, action, t = Math.floor(Date.now() / 1000) }) => ({
+        tag: 'notification',
+        attrs: { from, id, t: t.toString(), type: 'w:gp2', participant },
+        content: [action]
+    }),
+    /** a plain result for an iq the client sent */
+    iqResult: (iq, content) => ({
+        tag: 'iq',
+        attrs: { from: S_WHATSAPP_NET, type: 'result', id: iq.attrs.id },
+        content
+    })
+};
+/**
+ * One client connected to the mock server
+ *
+ * Emits `payload` with the ClientPayload once the handshake completes,
+ * `node` for every stanza the client sends and `close` when it goes away
+ */
+export class MockWAConnection extends EventEmitter {
+    constructor(server, client) {
+        super();
+        this.server = server;
+        this.client = client;
+        this.noise = makeNoiseResponder(server.staticKeyPair);
+        this.inBytes = EMPTY_BUFFER;
+        this.receivedIntro = false;
+        this.stage = 'hello';
+        this.clientPayload = undefined;
+        this.queue = Promise.resolve();
+    }
+    /** bytes written by the client */
+    receive(data) {
+        this.inBytes = Buffer.concat([this.inBytes, data]);
+        this.queue = this.queue
+            .then(() => this.processFrames())
+            .catch(error => {
+            this.server.logger?.error({ error }, 'mock server failed to process frame');
+            this.emit('error', error);
+            this.close();
+        });
+    }
+    async processFrames() {
+        if (!this.receivedIntro) {
+            let offset = 0;
+            if (this.inBytes.subarray(0, 2).toString() === 'ED') {
+                if (this.inBytes.length < 7) {
+                    return;
+                }
+                offset = 7 + ((this.inBytes[4] << 16) | this.inBytes.readUInt16BE(5));
+            }
+            if (this.inBytes.length < offset + 4) {
+                return;
+            }
+            this.noise.authenticate(this.inBytes.subarray(offset, offset + 4));
+            this.inBytes = this.inBytes.subarray(offset + 4);
+            this.receivedIntro = true;
+        }
+        while (this.inBytes.length >= 3) {
+            const size = this.inBytes.readUIntBE(0, 3);
+            if (this.inBytes.length < size + 3) {
+                return;
+            }
+            const frame = this.inBytes.subarray(3, size + 3);
+            this.inBytes = this.inBytes.subarray(size + 3);
+            await this.processFrame(frame);
+        }
+    }
+    async processFrame(frame) {
+        switch (this.stage) {
+            case 'hello': {
+                const { clientHello } = proto.HandshakeMessage.decode(frame);
+                const serverHello = this.noise.serverHello(clientHello.ephemeral, this.server.certChain);
+                this.stage = 'finish';
+                this.writeRaw(proto.HandshakeMessage.encode({ serverHello }).finish());
+                break;
+            }
+            case 'finish': {
+                const { clientFinish } = proto.HandshakeMessage.decode(frame);
+                const { clientPayload } = this.noise.clientFinish(clientFinish);
+                this.clientPayload = clientPayload;
+                this.stage = 'transport';
+                this.emit('payload', clientPayload);
+                this.server.onHandshakeComplete(this, clientPayload);
+                break;
+            }
+            default: {
+                const node = await decodeBinaryNode(this.noise.decryptFrame(frame));
+                this.emit('node', node);
+                await this.server.onNode(this, node);
+            }
+        }
+    }
+    writeRaw(data) {
+        if (this.stage === 'transport') {
+            data = this.noise.encryptFrame(data);
+        }
+        this.client.deliver(encodeFrame(data));
+    }
+    /** plays a stanza at the client */
+    sendNode(node) {
+        this.writeRaw(encodeBinaryNode(node));
+    }
+    /**
+     * resolves with the next stanza from the client that matches
+     * @param match a tag name or predicate
+     */
+    waitForNode(match, timeoutMs = 5000) {
+        const matches = typeof match === 'function' ? match : (node) => node.tag === match;
+        return new Promise((resolve, reject) => {
+            const onNode = (node) => {
+                if (matches(node)) {
+                    cleanup();
+                    resolve(node);
+                }
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('timed out waiting for node from client'));
+            }, timeoutMs);
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off('node', onNode);
+            };
+            this.on('node', onNode);
+        });
+    }
+    /** server side hang up */
+    close() {
+        this.client.serverClosed();
+    }
+}
+/**
+ * In-process stand-in for the WhatsApp servers
+ *
+ * Pass `server.transport` as `transport` in the socket config,
+ * every socket made with it connects here instead of the network & trusts this server's noise certificate.
+ * By default a login gets `<success>`, a registration gets `pair-device`
+ * and every iq is answered with an empty result, use `onIq()` to script other answers.
+ */
+export class MockWAServer extends EventEmitter {
+    constructor({ logger, autoLogin = true, autoPairDevice = true, autoRespondIq = true } = {}) {
+        super();
+        this.logger = logger;
+        this.autoLogin = autoLogin;
+        this.autoPairDevice = autoPairDevice;
+        this.autoRespondIq = autoRespondIq;
+        this.connections = [];
+        this.iqHandlers = [];
+        this.staticKeyPair = Curve.generateKeyPair();
+        const rootKeyPair = Curve.generateKeyPair();
+        const intermediateKeyPair = Curve.generateKeyPair();
+        const intermediateDetails = proto.CertChain.NoiseCertificate.Details.encode({
+            serial: 1,
+            issuerSerial: MOCK_CERT_SERIAL,
+            key: intermediateKeyPair.public
+        }).finish();
+        const leafDetails = proto.CertChain.NoiseCertificate.Details.encode({
+            serial: 2,
+            issuerSerial: 1,
+            key: this.staticKeyPair.public
+        }).finish();
+        this.certChain = proto.CertChain.encode({
+            leaf: { details: leafDetails, signature: Curve.sign(intermediateKeyPair.private, leafDetails) },
+            intermediate: { details: intermediateDetails, signature: Curve.sign(rootKeyPair.private, intermediateDetails) }
+        }).finish();
+        /** trusted by the sockets made with `transport` */
+        this.certDetails = {
+            SERIAL: MOCK_CERT_SERIAL,
+            ISSUER: 'MockWAServer',
+            PUBLIC_KEY: rootKeyPair.public
+        };
+        // pre-keys & digest are queried on every login, answer them so the socket doesn't re-upload
+        this.onIq(node => node.attrs.xmlns === 'encrypt' && !!getBinaryNodeChild(node, 'count'), () => [
+            { tag: 'count', attrs: { value: '812' } }
+        ]);
+        this.onIq(node => node.attrs.xmlns === 'encrypt' && !!getBinaryNodeChild(node, 'digest'), () => [
+            { tag: 'digest', attrs: {} }
+        ]);
+    }
+    /** pass as `transport` in the socket config, it carries the `certDetails` the socket checks the handshake against */
+    get transport() {
+        const transport = (url, config) => new MockSocketClient(url, config, this);
+        transport.certDetails = this.certDetails;
+        return transport;
+    }
+    /**
+     * scripts the answer to iqs sent by the client; later handlers win
+     * @param match predicate on the iq node
+     * @param respond returns the result's content, or a full node (with a `tag`) to send as-is
+     */
+    onIq(match, respond) {
+        this.iqHandlers.unshift({ match, respond });
+    }
+    accept(client) {
+        const connection = new MockWAConnection(this, client);
+        this.connections.push(connection);
+        connection.once('close', () => {
+            this.connections = this.connections.filter(c => c !== connection);
+        });
+        this.emit('connection', connection);
+        return connection;
+    }
+    onHandshakeComplete(connection, clientPayload) {
+        if (clientPayload.username) {
+            if (this.autoLogin) {
+                connection.sendNode(MockStanza.success());
+            }
+        }
+        else if (this.autoPairDevice) {
+            connection.sendNode(MockStanza.pairDevice());
+        }
+    }
+    async onNode(connection, node) {
+        if (node.tag !== 'iq' || (node.attrs.type !== 'get' && node.attrs.type !== 'set')) {
+            return;
+        }
+        const handler = this.iqHandlers.find(({ match }) => match(node));
+        if (!handler && !this.autoRespondIq) {
+            return;
+        }
+        const response = handler ? await handler.respond(node, connection) : undefined;
+        connection.sendNode(response?.tag ? response : MockStanza.iqResult(node, response));
+    }
+    /** resolves with the next client to complete the handshake */
+    waitForConnection(timeoutMs = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('timed out waiting for a client')), timeoutMs);
+            this.once('connection', connection => {
+                connection.once('payload', () => {
+                    clearTimeout(timer);
+                    resolve(connection);
+                });
+            });
+        });
+    }
+    /** hangs up on every client */
+    close() {
+        for (const connection of this.connections) {
+            connection.close();
+        }
+    }
+}
+/**
+ * Socket client that talks to a `MockWAServer` in the same process
+ */
+export class MockSocketClient extends AbstractSocketClient {
+    constructor(url, config, server) {
+        super(url, config);
+        this.server = server;
+        this.connection = null;
+        this.readyState = 'closed';
+    }
+    get isOpen() {
+        return this.readyState === 'open';
+    }
+    get isClosed() {
+        return this.readyState === 'closed';
+    }
+    get isClosing() {
+        return this.readyState === 'closing';
+    }
+    get isConnecting() {
+        return this.readyState === 'connecting';
+    }
+    connect() {
+        if (!this.isClosed) {
+            return;
+        }
+        this.readyState = 'connecting';
+        // like a real socket, nothing happens till the caller had a chance to attach its listeners
+        setImmediate(() => {
+            if (this.readyState !== 'connecting') {
+                return;
+            }
+            this.connection = this.server.accept(this);
+            this.readyState = 'open';
+            this.emit('open');
+        });
+    }
+    async close() {
+        this.shutdown();
+    }
+    send(data, cb) {
+        if (!this.isOpen) {
+            cb?.(new Error('mock socket is not open'));
+            return false;
+        }
+        this.connection.receive(Buffer.from(data));
+        cb?.();
+        return true;
+    }
+    /** bytes written by the server */
+    deliver(data) {
+        setImmediate(() => {
+            if (this.isOpen) {
+                this.emit('message', data);
+            }
+        });
+    }
+    serverClosed() {
+        this.shutdown();
+    }
+    shutdown() {
+        if (this.isClosed) {
+            return;
+        }
+        const connection = this.connection;
+        this.readyState = 'closed';
+        this.connection = null;
+        connection?.emit('close');
+        this.emit('close');
+    }
+}
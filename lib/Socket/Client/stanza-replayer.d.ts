@@ -0,0 +1,15 @@
+export function makeStanzaReplayer(recording: string | any[], { auth, filter, delayMs, ...config }?: {
+    [key: string]: any;
+    auth?: any;
+    filter?: (entry: any) => boolean;
+    delayMs?: number;
+}): Promise<{
+    sock: any;
+    server: MockWAServer;
+    /**
+     * plays every inbound stanza in order
+     * @returns the number of stanzas played
+     */
+    play: () => Promise<number>;
+}>;
+import { MockWAServer } from './mock-server.js';
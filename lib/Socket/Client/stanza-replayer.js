@@ -0,0 +1,75 @@
+import { initAuthCreds } from '../../Utils/auth-utils.js';
+import { delay } from '../../Utils/generics.js';
+import { readStanzaRecording } from '../../Utils/stanza-recorder.js';
+import makeWASocket from '../index.js';
+import { MockWAServer } from './mock-server.js';
+// Lia@Changes 19-10-26 --- Replays a stanza recording through a real socket, to reproduce receive side bugs offline
+const makeMemoryKeyStore = () => {
+    const data = {};
+    return {
+        get: async (type, ids) => {
+            const result = {};
+            for (const id of ids) {
+                result[id] = data[type]?.[id];
+            }
+            return result;
+        },
+        set: async (update) => {
+            for (const type in update) {
+                data[type] = data[type] || {};
+                Object.assign(data[type], update[type]);
+            }
+        }
+    };
+};
+/**
+ * Feeds the inbound stanzas of a recording made by `makeStanzaRecorder` to a fresh socket,
+ * through the same noise decryption & `onMessageReceived` path a live connection takes
+ *
+ * The socket runs against a `MockWAServer` with a stubbed auth state,
+ * so signal encrypted messages fail to decrypt unless the original `auth` is passed.
+ * Attach listeners to `sock.ev` before calling `play()`.
+ * @param recording path to the JSONL file, or the already parsed entries
+ * @param opts `auth` to use instead of the stub, `filter(entry)` to pick which inbound entries are played,
+ * `delayMs` between stanzas, anything else is passed on as socket config
+ */
+export const makeStanzaReplayer = async (recording, { auth, filter, delayMs = 10, ...config } = {}) => {
+    const entries = typeof recording === 'string' ? await readStanzaRecording(recording) : recording;
+    const meta = entries.find(entry => entry.direction === 'meta' && entry.me);
+    const server = new MockWAServer({ logger: config.logger, autoLogin: false, autoPairDevice: false });
+    if (!auth) {
+        const creds = initAuthCreds();
+        creds.me = meta?.me || { id: '0@s.whatsapp.net' };
+        creds.registered = true;
+        auth = { creds, keys: makeMemoryKeyStore() };
+    }
+    const connected = server.waitForConnection();
+    const sock = makeWASocket({
+        markOnlineOnConnect: false,
+        fireInitQueries: false,
+        ...config,
+        auth,
+        transport: server.transport
+    });
+    return {
+        sock,
+        server,
+        /**
+         * plays every inbound stanza in order
+         * @returns the number of stanzas played
+         */
+        play: async () => {
+            const connection = await connected;
+            let played = 0;
+            for (const entry of entries) {
+                if (entry.direction !== 'in' || (filter && !filter(entry))) {
+                    continue;
+                }
+                connection.sendNode(entry.node);
+                played += 1;
+                await delay(delayMs);
+            }
+            return played;
+        }
+    };
+};
@@ -212,13 +212,37 @@ export function makeCommunitiesSocket(config: any): {
     fetchMessageHistory: (count: any, oldestMsgKey: any, oldestMsgTimestamp: any) => Promise<any>;
     requestPlaceholderResend: (messageKey: any, msgData: any) => Promise<any>;
     messageRetryManager: import("../Utils/message-retry-manager.js").MessageRetryManager | null;
+    sendQueue: import("../Utils/send-queue.js").SendQueue | undefined;
+    /**
+     * Sends the same content to each of `jids` as a separate message
+     *
+     * Media is uploaded once & the same media keys are reused for every recipient.
+     * Sends go through the `bulk` lane of the send queue when it has one.
+     * @param opts `concurrency` sends at a time, `maxRetries` per recipient with `retryDelayMs` backoff,
+     * anything else is used like the options of `sendMessage`
+     * @returns a report per recipient, in the order of `jids`
+     */
+    sendBroadcast: (jids: string[], content: any, { concurrency, maxRetries, retryDelayMs, ...options }?: {
+        [key: string]: any;
+        concurrency?: number | undefined;
+        maxRetries?: number | undefined;
+        retryDelayMs?: number | undefined;
+    }) => Promise<{
+        jid: string;
+        lid: string | undefined;
+        status: 'sent' | 'failed' | 'duplicate';
+        retries: number;
+        key?: any;
+        error?: any;
+        duplicateOf?: string;
+    }[]>;
     userDevicesCache: any;
     devicesMutex: {
         mutex(code: any): any;
     };
     issuePrivacyTokens: (jids: any, timestamp: any) => Promise<any>;
     assertSessions: (jids: any, force: any) => Promise<boolean>;
-    relayMessage: (jid: any, message: any, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, addBizAttributes, statusJidList }: {
+    relayMessage: (jid: any, message: any, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, addBizAttributes, statusJidList, useOutbox }: {
         messageId: any;
         participant: any;
         additionalAttributes: any;
@@ -227,6 +251,8 @@ export function makeCommunitiesSocket(config: any): {
         useCachedGroupMetadata: any;
         addBizAttributes: any;
         statusJidList: any;
+        /** records the message in the outbox, or skips it, instead of deciding with `isOutboxMessage` */
+        useOutbox?: boolean;
     }) => Promise<any>;
     sendReceipt: (jid: any, participant: any, messageIds: any, type: any) => Promise<void>;
     sendReceipts: (keys: any, type: any) => Promise<void>;
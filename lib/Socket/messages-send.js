@@ -3,13 +3,13 @@ import { Boom } from '@hapi/boom';
 import { randomBytes } from 'crypto';
 import { proto } from '../../WAProto/index.js';
 import { BIZ_BOT_SUPPORT_PAYLOAD, DEFAULT_CACHE_TTLS, WA_DEFAULT_EPHEMERAL } from '../Defaults/index.js';
-import { aggregateMessageKeysNotFromMe, assertMediaContent, assertMeId, bindWaitForEvent, decryptMediaRetryData, DEF_MEDIA_HOST, delay, encodeNewsletterMessage, encodeSignedDeviceIdentity, encodeWAMessage, encryptMediaRetryRequest, extractDeviceJids, generateMessageIDV2, generateParticipantHashV2, generateWAMessage, generateWAMessageFromContent, getStatusCodeForMediaRetry, getUrlFromDirectPath, getWAUploadToServer, hasValidAlbumMedia, MessageRetryManager, normalizeMessageContent, parseAndInjectE2ESessions, shouldIncludeBizBinaryNode, unixTimestampSeconds } from '../Utils/index.js';
-import { AssociationType } from '../Types/index.js';
+import { aggregateMessageKeysNotFromMe, assertMediaContent, assertMeId, bindWaitForEvent, decryptMediaRetryData, DEF_MEDIA_HOST, delay, encodeNewsletterMessage, encodeSignedDeviceIdentity, encodeWAMessage, encryptMediaRetryRequest, extractDeviceJids, generateMessageIDV2, generateParticipantHashV2, generateWAMessage, generateWAMessageContent, generateWAMessageFromContent, getStatusCodeForMediaRetry, getUrlFromDirectPath, getWAUploadToServer, hasValidAlbumMedia, isOutboxMessage, MessageRetryManager, makeSendQueue, normalizeMessageContent, parseAndInjectE2ESessions, shouldIncludeBizBinaryNode, unixTimestampSeconds } from '../Utils/index.js';
+import { AssociationType, DisconnectReason } from '../Types/index.js';
 import { getUrlInfo } from '../Utils/link-preview.js';
 import { makeKeyedMutex, makeMutex } from '../Utils/make-mutex.js';
 import { getMessageReportingToken, shouldIncludeReportingToken } from '../Utils/reporting-utils.js';
 import { buildMergedTcTokenIndexWrite, isTcTokenExpired, resolveIssuanceJid, resolveTcTokenJid, shouldSendNewTcToken, storeTcTokensFromIqResult } from '../Utils/tc-token-utils.js';
-import { areJidsSameUser, getBinaryNodeChild, getBinaryNodeChildren, getBizBinaryNode, isHostedLidUser, isHostedPnUser, isJidBot, isJidGroup, isJidMetaAI, isJidNewsletter, isLidUser, isPnUser, jidDecode, jidEncode, jidNormalizedUser, PSA_WID, S_WHATSAPP_NET } from '../WABinary/index.js';
+import { areJidsSameUser, getBinaryNodeChild, getBinaryNodeChildren, getBizBinaryNode, isHostedLidUser, isHostedPnUser, isJidBot, isJidGroup, isJidMetaAI, isJidNewsletter, isJidStatusBroadcast, isLidUser, isPnUser, jidDecode, jidEncode, jidNormalizedUser, PSA_WID, S_WHATSAPP_NET } from '../WABinary/index.js';
 import { USyncQuery, USyncUser } from '../WAUSync/index.js';
 import { makeNewsletterSocket } from './newsletter.js';
 export const makeMessagesSocket = (config) => {
@@ -431,7 +431,7 @@ export const makeMessagesSocket = (config) => {
         }
         return { nodes, shouldIncludeDeviceIdentity };
     };
-    const relayMessage = async (jid, message, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, addBizAttributes, statusJidList }) => {
+    const relayMessage = async (jid, message, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, addBizAttributes, statusJidList, useOutbox }) => {
         const meId = assertMeId(authState.creds);
         const meLid = authState.creds.me?.lid;
         const isRetryResend = Boolean(participant?.jid);
@@ -447,6 +447,10 @@ export const makeMessagesSocket = (config) => {
         msgId = msgId || generateMessageIDV2(meId);
         useUserDevicesCache = useUserDevicesCache !== false;
         useCachedGroupMetadata = useCachedGroupMetadata !== false && !isStatus;
+        // Lia@Changes 19-10-26 --- Record the message before it's relayed, retry resends are already in the outbox
+        if (config.outbox && !isRetryResend && (useOutbox ?? isOutboxMessage(jid, message, { additionalAttributes }))) {
+            await config.outbox.record(jid, message, { messageId: msgId, additionalAttributes, additionalNodes, statusJidList });
+        }
         const participants = [];
         const destinationJid = !isStatus ? finalJid : statusJid;
         const binaryNodeContent = [];
@@ -1040,7 +1044,138 @@ export const makeMessagesSocket = (config) => {
     };
     const waUploadToServer = getWAUploadToServer(config, refreshMediaConn);
     const waitForMsgMediaUpdate = bindWaitForEvent(ev, 'messages.media-update');
+    // Lia@Changes 19-10-26 --- Opt-in send queue, `sendQueue: true` uses DEFAULT_SEND_QUEUE_CONFIG
+    const sendQueue = config.sendQueue
+        ? makeSendQueue(config.sendQueue, { ev, logger, sendPresenceUpdate: sock.sendPresenceUpdate })
+        : undefined;
+    // Lia@Changes 19-10-26 --- Opt-in outbox, resends unacked messages once this socket opens
+    config.outbox?.attach({ ev, ws: sock.ws, relayMessage });
+    // Lia@Changes 19-10-26 --- Add sendBroadcast, one upload fanned out to many chats
+    /**
+     * Maps every PN target to its LID (when known) so a user listed under both only gets the message once
+     * @returns the targets keyed by the address they were deduplicated on
+     */
+    const resolveBroadcastTargets = async (jids) => {
+        const lidsByPn = new Map();
+        const pns = [...new Set(jids.filter(jid => isPnUser(jid)).map(jid => jidNormalizedUser(jid)))];
+        if (pns.length) {
+            try {
+                for (const { pn, lid } of (await signalRepository.lidMapping.getLIDsForPNs(pns)) || []) {
+                    lidsByPn.set(jidNormalizedUser(pn), jidNormalizedUser(lid));
+                }
+            }
+            catch (error) {
+                logger.warn({ error }, 'failed to resolve LIDs for broadcast, PN & LID duplicates will not be merged');
+            }
+        }
+        return jids.map(jid => {
+            const normalized = jidNormalizedUser(jid) || jid;
+            const lid = isLidUser(normalized) ? normalized : lidsByPn.get(normalized);
+            return { jid, lid, dedupeKey: lid || normalized };
+        });
+    };
+    /**
+     * Sends the same content to each of `jids` as a separate message
+     *
+     * Media is uploaded once & the same media keys are reused for every recipient.
+     * Sends go through the `bulk` lane of the send queue when it has one.
+     * @param opts `concurrency` sends at a time, `maxRetries` per recipient with `retryDelayMs` backoff,
+     * anything else is used like the options of `sendMessage`
+     * @returns a report per recipient, in the order of `jids`
+     */
+    const sendBroadcast = async (jids, content, { concurrency = 5, maxRetries = 2, retryDelayMs = 1000, ...options } = {}) => {
+        const userJid = authState.creds.me.id;
+        const message = await generateWAMessageContent(content, {
+            logger,
+            userJid,
+            getUrlInfo: text => getUrlInfo(text, {
+                thumbnailWidth: linkPreviewImageThumbnailWidth,
+                fetchOpts: {
+                    timeout: 3000,
+                    ...(httpRequestOptions || {})
+                },
+                logger,
+                uploadImage: generateHighQualityLinkPreview ? waUploadToServer : undefined
+            }),
+            getProfilePicUrl: sock.profilePictureUrl,
+            getCallLink: sock.createCallLink,
+            upload: waUploadToServer,
+            mediaCache: config.mediaCache,
+            options: config.options,
+            ...options
+        });
+        const encoded = proto.Message.encode(message).finish();
+        // custom lanes without `bulk` queue broadcasts in the default lane
+        const bulkLane = sendQueue?.hasLane('bulk') ? 'bulk' : undefined;
+        const targets = await resolveBroadcastTargets(jids);
+        const seen = new Map();
+        const results = targets.map(({ jid, lid, dedupeKey }) => {
+            const result = { jid, lid, status: 'pending', retries: 0 };
+            if (isJidNewsletter(jid) || isJidStatusBroadcast(jid)) {
+                result.status = 'failed';
+                result.error = new Boom('Newsletters & status cannot be broadcast to', { statusCode: 400 });
+            }
+            else if (seen.has(dedupeKey)) {
+                result.status = 'duplicate';
+                result.duplicateOf = seen.get(dedupeKey);
+            }
+            else {
+                seen.set(dedupeKey, jid);
+            }
+            return result;
+        });
+        const deliver = async (result) => {
+            // every recipient gets its own copy, generating the message mutates its context info
+            const fullMsg = generateWAMessageFromContent(result.jid, proto.Message.decode(encoded), {
+                ...options,
+                userJid,
+                messageId: generateMessageIDV2(userJid)
+            });
+            const relay = () => relayMessage(result.jid, fullMsg.message, {
+                messageId: fullMsg.key.id,
+                useCachedGroupMetadata: options.useCachedGroupMetadata,
+                additionalAttributes: options.additionalAttributes,
+                additionalNodes: options.additionalNodes
+            });
+            for (;;) {
+                try {
+                    await (sendQueue ? sendQueue.enqueue(result.jid, content, relay, { lane: bulkLane }) : relay());
+                    result.status = 'sent';
+                    result.key = fullMsg.key;
+                    result.error = undefined;
+                    break;
+                }
+                catch (error) {
+                    result.error = error;
+                    const statusCode = error?.output?.statusCode;
+                    if (result.retries >= maxRetries || (statusCode >= 400 && statusCode < 500)) {
+                        result.status = 'failed';
+                        logger.warn({ jid: result.jid, error, retries: result.retries }, 'failed to broadcast message');
+                        return;
+                    }
+                    await delay(retryDelayMs * 2 ** result.retries);
+                    result.retries += 1;
+                }
+            }
+            if (config.emitOwnEvents) {
+                process.nextTick(async () => {
+                    await messageMutex.mutex(() => upsertMessage(fullMsg, 'append'));
+                });
+            }
+        };
+        const pending = results.filter(result => result.status === 'pending');
+        let next = 0;
+        const worker = async () => {
+            while (next < pending.length) {
+                await deliver(pending[next++]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+        return results;
+    };
     registerSocketEndHandler(() => {
+        sendQueue?.clear(new Boom('Connection Closed', { statusCode: DisconnectReason.connectionClosed }));
+        config.outbox?.detach(sock.ws);
         if (!config.userDevicesCache && userDevicesCache.close) {
             userDevicesCache.close();
         }
@@ -1068,6 +1203,8 @@ export const makeMessagesSocket = (config) => {
         createParticipantNodes,
         getUSyncDevices,
         messageRetryManager,
+        sendQueue,
+        sendBroadcast,
         updateMemberLabel,
         updateMediaMessage: async (message) => {
             const content = assertMediaContent(message.message);
@@ -1112,7 +1249,13 @@ export const makeMessagesSocket = (config) => {
             return message;
         },
         // Lia@Changes 30-01-26 --- Add support for modifying additionalNodes and additionalAttributes using "options" in sendMessage()
-        sendMessage: async (jid, content, options = {}) => {
+        sendMessage: async function sendMessage(jid, content, options = {}) {
+            // Lia@Changes 19-10-26 --- Wait for the send queue when one is configured, resolves once actually relayed
+            if (sendQueue && !options.skipSendQueue) {
+                // custom lanes without `reply` queue replies in the default lane
+                const { lane = options.quoted && sendQueue.hasLane('reply') ? 'reply' : undefined } = options;
+                return sendQueue.enqueue(Array.isArray(jid) ? 'status@broadcast' : jid, content, () => sendMessage(jid, content, { ...options, skipSendQueue: true }), { lane });
+            }
             const userJid = authState.creds.me.id;
             // Lia@Changes 13-03-26 --- Add status mentions!
             if (Array.isArray(jid)) {
@@ -1314,6 +1457,7 @@ export const makeMessagesSocket = (config) => {
                     useCachedGroupMetadata: options.useCachedGroupMetadata,
                     addBizAttributes: isNeedBizAttrs,
                     statusJidList: options.statusJidList,
+                    useOutbox: options.useOutbox,
                     additionalAttributes,
                     additionalNodes
                 });
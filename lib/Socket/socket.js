@@ -10,8 +10,20 @@ import { addTransactionCapability, aesEncryptCTR, bindWaitForConnectionUpdate, b
 import { assertNodeErrorFree, binaryNodeToString, encodeBinaryNode, getAllBinaryNodeChildren, getBinaryNodeChild, getBinaryNodeChildren, isLidUser, jidDecode, jidEncode, S_WHATSAPP_NET } from '../WABinary/index.js';
 import { BinaryInfo } from '../WAM/BinaryInfo.js';
 import { USyncQuery, USyncUser } from '../WAUSync/index.js';
-import { WebSocketClient } from './Client/index.js';
+import { AbstractSocketClient, WebSocketClient } from './Client/index.js';
 import { executeWMexQuery } from './mex.js';
+// Lia@Changes 19-10-26 --- Pluggable transport, either an AbstractSocketClient subclass or a `(url, config) => client` factory
+const makeSocketClient = (url, config) => {
+    const { transport } = config;
+    if (!transport) {
+        return new WebSocketClient(url, config);
+    }
+    const client = transport.prototype instanceof AbstractSocketClient ? new transport(url, config) : transport(url, config);
+    if (!(client instanceof AbstractSocketClient)) {
+        throw new Boom('config.transport must create an AbstractSocketClient', { statusCode: 400 });
+    }
+    return client;
+};
 /**
  * Connects to WA servers and performs:
  * - simple queries (no retry mechanism, wait for connection establishment)
@@ -46,9 +58,14 @@ export const makeSocket = (config) => {
         keyPair: ephemeralKeyPair,
         NOISE_HEADER: NOISE_WA_HEADER,
         logger,
-        routingInfo: authState?.creds?.routingInfo
+        routingInfo: authState?.creds?.routingInfo,
+        // only a test transport, eg. `MockWAServer.transport`, may bring another noise certificate to trust
+        certDetails: config.transport?.certDetails
     });
-    const ws = new WebSocketClient(url, config);
+    const ws = makeSocketClient(url, config);
+    // Lia@Changes 19-10-26 --- Opt-in stanza recorder, sees every node after noise decryption
+    const { stanzaRecorder } = config;
+    stanzaRecorder?.start?.({ me: authState?.creds?.me });
     ws.connect();
     const sendPromise = promisify(ws.send);
     /** send a raw buffer */
@@ -72,6 +89,7 @@ export const makeSocket = (config) => {
         if (logger.level === 'trace') {
             logger.trace({ xml: binaryNodeToString(frame), msg: 'xml send' });
         }
+        stanzaRecorder?.record('out', frame);
         const buff = encodeBinaryNode(frame);
         return sendRawMessage(buff);
     };
@@ -444,6 +462,7 @@ export const makeSocket = (config) => {
             // if it's a binary node
             if (!(frame instanceof Uint8Array)) {
                 const msgId = frame.attrs.id;
+                stanzaRecorder?.record('in', frame);
                 if (logger.level === 'trace') {
                     logger.trace({ xml: binaryNodeToString(frame), msg: 'recv xml' });
                 }
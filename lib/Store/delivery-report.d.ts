@@ -0,0 +1,44 @@
+export type MessageDeliveryStatus = 'pending' | 'delivered' | 'read' | 'played';
+export type MessageDeliveryEntry = {
+    jid: string;
+    lid?: string;
+    pn?: string;
+    /** false when the receipt came from someone no longer in the group */
+    isParticipant: boolean;
+    status: MessageDeliveryStatus;
+    deliveredAt?: number;
+    readAt?: number;
+    playedAt?: number;
+};
+export type MessageDeliveryReport = {
+    key: any;
+    total: number;
+    delivered: string[];
+    read: string[];
+    played: string[];
+    pending: string[];
+    participants: MessageDeliveryEntry[];
+};
+export function makeMessageDeliveryReport({ key, receipts, participants, me, lidMapping }: {
+    key: any;
+    receipts?: any[] | undefined;
+    participants: any[];
+    me?: any;
+    lidMapping?: any;
+}): Promise<MessageDeliveryReport>;
+/**
+ * The chats a message may be stored under: its `remoteJidAlt` & `remoteJid`,
+ * or their LID/PN counterpart from the LID mapping when the key only has one of them
+ */
+export function getStoredMessageJids({ remoteJid, remoteJidAlt }: {
+    remoteJid?: string | null;
+    remoteJidAlt?: string | null;
+}, lidMapping?: any): Promise<string[]>;
+export type MessageDeliveryReportOptions = {
+    /** eg. the socket's `cachedGroupMetadata`, tried before querying the group */
+    cachedGroupMetadata?: (jid: string) => Promise<any>;
+};
+/**
+ * @throws a 404 Boom when the metadata of a group isn't stored, cached or fetchable
+ */
+export function getStoredMessageDeliveryReport(msg: any, fetchGroupMetadata: (jid: string, sock?: any) => Promise<any>, sock: any, opts?: MessageDeliveryReportOptions): Promise<MessageDeliveryReport | undefined>;
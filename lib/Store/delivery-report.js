@@ -0,0 +1,150 @@
+import { Boom } from '@hapi/boom';
+import { toNumber } from '../Utils/index.js';
+import { isJidGroup, isLidUser, isPnUser, jidNormalizedUser } from '../WABinary/index.js';
+// Lia@Changes 19-10-26 --- Shared delivery report logic for makeInMemoryStore & makeSqliteStore
+const latest = (current, timestamp) => Math.max(current || 0, toNumber(timestamp) || 0) || undefined;
+const normalize = (jid) => (jid ? jidNormalizedUser(jid) : undefined);
+const makeIdentity = (jid, alt) => {
+    jid = normalize(jid);
+    alt = normalize(alt);
+    return {
+        jid,
+        lid: isLidUser(jid) ? jid : isLidUser(alt) ? alt : undefined,
+        pn: isPnUser(jid) ? jid : isPnUser(alt) ? alt : undefined
+    };
+};
+/**
+ * Looks up the other half of each LID/PN through the LID mapping store,
+ * only called for receipts that don't match a participant as-is
+ */
+const resolveAlternateJids = async (jids, lidMapping) => {
+    const resolved = new Map();
+    if (!lidMapping || !jids.length) {
+        return resolved;
+    }
+    const lids = jids.filter(isLidUser);
+    const pns = jids.filter(isPnUser);
+    const [pnsForLids, lidsForPns] = await Promise.all([
+        lids.length ? lidMapping.getPNsForLIDs(lids) : null,
+        pns.length ? lidMapping.getLIDsForPNs(pns) : null
+    ]);
+    for (const { lid, pn } of pnsForLids || []) {
+        resolved.set(normalize(lid), normalize(pn));
+    }
+    for (const { lid, pn } of lidsForPns || []) {
+        resolved.set(normalize(pn), normalize(lid));
+    }
+    return resolved;
+};
+/**
+ * Merges the receipts of a message with the people who should receive it
+ *
+ * Receipts & participants are matched on both their LID & PN, so a participant listed by PN
+ * whose receipt came from their LID (or the other way around) is only counted once.
+ * The `delivered`, `read` & `played` lists are cumulative, eg. everyone who read the message is also in `delivered`;
+ * `pending` lists who hasn't sent any receipt yet.
+ * Receipts from people no longer in the group are kept, with `isParticipant: false`
+ * @param participants group participants as in `GroupMetadata.participants`
+ * @param me the account's own `{ id, lid }`, left out of the report
+ * @param lidMapping `signalRepository.lidMapping`, optional
+ */
+export const makeMessageDeliveryReport = async ({ key, receipts = [], participants, me, lidMapping }) => {
+    const excluded = new Set([me?.id, me?.lid, key.fromMe ? undefined : key.participant || key.remoteJid, key.fromMe ? undefined : key.participantAlt]
+        .filter(Boolean)
+        .map(normalize));
+    const entries = [];
+    const byJid = new Map();
+    const add = (identity, isParticipant) => {
+        if ([identity.jid, identity.lid, identity.pn].some(jid => excluded.has(jid))) {
+            return undefined;
+        }
+        const entry = { ...identity, isParticipant, status: 'pending' };
+        entries.push(entry);
+        for (const jid of [identity.jid, identity.lid, identity.pn]) {
+            if (jid) {
+                byJid.set(jid, entry);
+            }
+        }
+        return entry;
+    };
+    for (const participant of participants) {
+        add(makeIdentity(participant.id, participant.lid || participant.phoneNumber), true);
+    }
+    receipts = receipts.filter(receipt => receipt.userJid && !excluded.has(normalize(receipt.userJid)));
+    const unmatched = receipts.map(receipt => normalize(receipt.userJid)).filter(jid => !byJid.has(jid));
+    const alternates = await resolveAlternateJids([...new Set(unmatched)], lidMapping);
+    for (const receipt of receipts) {
+        const jid = normalize(receipt.userJid);
+        const alt = alternates.get(jid);
+        let entry = byJid.get(jid) || (alt && byJid.get(alt));
+        if (!entry) {
+            entry = add(makeIdentity(jid, alt), false);
+            if (!entry) {
+                continue;
+            }
+        }
+        // fill in what the group metadata didn't know
+        entry.lid = entry.lid || (isLidUser(jid) ? jid : isLidUser(alt) ? alt : undefined);
+        entry.pn = entry.pn || (isPnUser(jid) ? jid : isPnUser(alt) ? alt : undefined);
+        entry.deliveredAt = latest(entry.deliveredAt, receipt.receiptTimestamp);
+        entry.readAt = latest(entry.readAt, receipt.readTimestamp);
+        entry.playedAt = latest(entry.playedAt, receipt.playedTimestamp);
+        // a played message has also been read & delivered
+        entry.status = entry.playedAt ? 'played' : entry.readAt ? 'read' : entry.deliveredAt ? 'delivered' : 'pending';
+    }
+    const withStatus = (...statuses) => entries.filter(entry => statuses.includes(entry.status)).map(entry => entry.jid);
+    return {
+        key,
+        total: entries.filter(entry => entry.isParticipant).length,
+        delivered: withStatus('delivered', 'read', 'played'),
+        read: withStatus('read', 'played'),
+        played: withStatus('played'),
+        pending: withStatus('pending'),
+        participants: entries
+    };
+};
+/**
+ * The chats a message may be stored under: its `remoteJidAlt` & `remoteJid`,
+ * or their LID/PN counterpart from the LID mapping when the key only has one of them
+ */
+export const getStoredMessageJids = async ({ remoteJid, remoteJidAlt }, lidMapping) => {
+    const jids = [remoteJidAlt, remoteJid].filter(Boolean).map(normalize);
+    if (!remoteJidAlt) {
+        const resolved = await resolveAlternateJids(jids, lidMapping);
+        jids.push(...resolved.values());
+    }
+    return [...new Set(jids)];
+};
+/**
+ * Builds the delivery report of a stored message, used by the stores' `getMessageDeliveryReport`
+ * @param fetchGroupMetadata the store's `fetchGroupMetadata`
+ * @param opts.cachedGroupMetadata eg. the socket's `cachedGroupMetadata`, tried before querying the group
+ * @throws a 404 Boom when the metadata of a group isn't stored, cached or fetchable
+ */
+export const getStoredMessageDeliveryReport = async (msg, fetchGroupMetadata, sock, { cachedGroupMetadata } = {}) => {
+    if (!msg) {
+        return undefined;
+    }
+    const { key } = msg;
+    let participants = [{ id: key.remoteJid, lid: key.remoteJidAlt }];
+    if (isJidGroup(key.remoteJid)) {
+        // the store's copy first, then `cachedGroupMetadata`, & only then a query
+        const metadata = (await fetchGroupMetadata(key.remoteJid)) ||
+            (await cachedGroupMetadata?.(key.remoteJid)) ||
+            (await fetchGroupMetadata(key.remoteJid, sock));
+        if (!metadata) {
+            throw new Boom(`No metadata for group ${key.remoteJid}, pass a socket to fetch it`, {
+                statusCode: 404,
+                data: { jid: key.remoteJid }
+            });
+        }
+        participants = metadata.participants;
+    }
+    return makeMessageDeliveryReport({
+        key,
+        receipts: msg.userReceipt,
+        participants,
+        me: sock?.user,
+        lidMapping: sock?.signalRepository?.lidMapping
+    });
+};
@@ -1,4 +1,7 @@
 export * from "./make-in-memory-store.js";
+export * from "./make-sqlite-store.js";
 export * from "./make-ordered-dictionary.js";
+export * from "./delivery-report.js";
+export * from "./message-search.js";
 export * from "./object-repository.js";
 //# sourceMappingURL=index.d.ts.map
\ No newline at end of file
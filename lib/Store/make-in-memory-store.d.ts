@@ -21,6 +21,16 @@ export function makeInMemoryStore(config?: {}): {
     bind: (ev: any) => void;
     /** loads messages from the store, if not found -- uses the legacy connection */
     loadMessages: (jid: any, count: any, cursor: any) => Promise<any>;
+    /**
+     * Search messages across every chat in the store, newest first
+     *
+     * @param query `{ text, jid, fromMe, sender, contentType, before, after }`, all optional
+     * @param options `{ limit, cursor }`, pass the returned `cursor` to get the next page
+     */
+    searchMessages: (query: any, options: any) => Promise<{
+        messages: any[];
+        cursor: string | undefined;
+    }>;
     /**
      * Get all available labels for profile
      *
@@ -48,6 +58,16 @@ export function makeInMemoryStore(config?: {}): {
         remoteJid: any;
         id: any;
     }) => Promise<any>;
+    /**
+     * Who has the message delivered, read or played & who is still pending
+     * @param sock used to fetch the group metadata if it isn't stored & to map LIDs to PNs
+     * @param opts.cachedGroupMetadata eg. the socket's `cachedGroupMetadata`, tried before querying the group
+     */
+    getMessageDeliveryReport: (key: {
+        remoteJid?: any;
+        remoteJidAlt?: any;
+        id: any;
+    }, sock?: any, opts?: import("./delivery-report.js").MessageDeliveryReportOptions) => Promise<import("./delivery-report.js").MessageDeliveryReport | undefined>;
     toJSON: () => {
         chats: any;
         contacts: {};
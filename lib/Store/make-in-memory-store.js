@@ -12,6 +12,8 @@ import { DEFAULT_CONNECTION_CONFIG } from '../Defaults/index.js';
 import { md5, toNumber, updateMessageWithReceipt, updateMessageWithReaction } from '../Utils/index.js';
 import { jidDecode, jidNormalizedUser } from '../WABinary/index.js';
 import { makeOrderedDictionary } from './make-ordered-dictionary.js';
+import { getStoredMessageDeliveryReport, getStoredMessageJids } from './delivery-report.js';
+import { searchStoredMessages } from './message-search.js';
 import { ObjectRepository } from './object-repository.js';
 export const waChatKey = (pin) => ({
     key: (c) => (pin ? (c.pinned ? '1' : '0') : '') + (c.archived ? '0' : '1') + (c.conversationTimestamp ? c.conversationTimestamp.toString(16).padStart(8, '0') : '') + c.id,
@@ -310,6 +312,15 @@ export const makeInMemoryStore = (config = {}) => {
             }
         }
     };
+    const fetchGroupMetadata = async (jid, sock) => {
+        if (!groupMetadata[jid]) {
+            const metadata = await (sock === null || sock === void 0 ? void 0 : sock.groupMetadata(jid));
+            if (metadata) {
+                groupMetadata[jid] = metadata;
+            }
+        }
+        return groupMetadata[jid];
+    };
     return {
         chats,
         contacts,
@@ -345,6 +356,26 @@ export const makeInMemoryStore = (config = {}) => {
             }
             return messages;
         },
+        /**
+         * Search messages across every chat in the store, newest first
+         *
+         * @param query `{ text, jid, fromMe, sender, contentType, before, after }`, all optional
+         * @param options `{ limit, cursor }`, pass the returned `cursor` to get the next page
+         */
+        searchMessages: async (query, options) => {
+            function* entries() {
+                for (const jid in messages) {
+                    const normalizedJid = jidNormalizedUser(jid);
+                    if (query?.jid && normalizedJid !== jidNormalizedUser(query.jid)) {
+                        continue;
+                    }
+                    for (const msg of messages[jid].array) {
+                        yield { jid: normalizedJid, msg };
+                    }
+                }
+            }
+            return searchStoredMessages(entries(), query, options);
+        },
         /**
          * Get all available labels for profile
          *
@@ -389,20 +420,23 @@ export const makeInMemoryStore = (config = {}) => {
             }
             return contact.imgUrl;
         },
-        fetchGroupMetadata: async (jid, sock) => {
-            if (!groupMetadata[jid]) {
-                const metadata = await (sock === null || sock === void 0 ? void 0 : sock.groupMetadata(jid));
-                if (metadata) {
-                    groupMetadata[jid] = metadata;
-                }
-            }
-            return groupMetadata[jid];
-        },
+        fetchGroupMetadata,
         fetchMessageReceipts: async ({ remoteJid, id }) => {
             const list = messages[remoteJid];
             const msg = list === null || list === void 0 ? void 0 : list.get(id);
             return msg === null || msg === void 0 ? void 0 : msg.userReceipt;
         },
+        // Lia@Changes 19-10-26 --- Receipts merged with the group participants, see makeMessageDeliveryReport
+        /**
+         * Who has the message delivered, read or played & who is still pending
+         * @param sock used to fetch the group metadata if it isn't stored & to map LIDs to PNs
+         * @param opts.cachedGroupMetadata eg. the socket's `cachedGroupMetadata`, tried before querying the group
+         */
+        getMessageDeliveryReport: async (key, sock, opts) => {
+            const jids = await getStoredMessageJids(key, sock?.signalRepository?.lidMapping);
+            const msg = jids.map(jid => messages[jid]?.get(key.id)).find(Boolean);
+            return getStoredMessageDeliveryReport(msg, fetchGroupMetadata, sock, opts);
+        },
         toJSON,
         fromJSON,
         writeToFile: (path) => {
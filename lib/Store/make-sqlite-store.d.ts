@@ -0,0 +1,64 @@
+export function makeSqliteStore(config: any): Promise<{
+    db: any;
+    state: {
+        connection: string;
+    };
+    presences: {};
+    bind: (ev: any) => void;
+    getChat: (id: any) => any;
+    getChats: () => any;
+    getContact: (id: any) => any;
+    getContacts: () => any;
+    getGroupMetadata: (id: any) => any;
+    /** loads messages from the store, `cursor` can either be `{ before: key }` or `{ after: key }` */
+    loadMessages: (jid: any, count: any, cursor: any) => Promise<any>;
+    /**
+     * Search messages across every chat in the store, newest first
+     *
+     * @param query `{ text, jid, fromMe, sender, contentType, before, after }`, all optional
+     * @param options `{ limit, cursor }`, pass the returned `cursor` to get the next page
+     */
+    searchMessages: (query: any, options: any) => Promise<{
+        messages: any[];
+        cursor: string | undefined;
+    }>;
+    /**
+     * Get all available labels for profile
+     *
+     * Keep in mind that the list is formed from predefined tags and tags
+     * that were "caught" during their editing.
+     */
+    getLabels: () => any;
+    /**
+     * Get labels for chat
+     *
+     * @returns Label IDs
+     **/
+    getChatLabels: (chatId: any) => any;
+    /**
+     * Get labels for message
+     *
+     * @returns Label IDs
+     **/
+    getMessageLabels: (messageId: any) => any;
+    loadMessage: (jid: any, id: any) => Promise<any>;
+    mostRecentMessage: (jid: any) => Promise<any>;
+    fetchImageUrl: (jid: any, sock: any) => Promise<any>;
+    fetchGroupMetadata: (jid: any, sock: any) => Promise<any>;
+    fetchMessageReceipts: ({ remoteJid, id }: {
+        remoteJid: any;
+        id: any;
+    }) => Promise<any>;
+    /**
+     * Who has the message delivered, read or played & who is still pending
+     * @param sock used to fetch the group metadata if it isn't stored & to map LIDs to PNs
+     * @param opts.cachedGroupMetadata eg. the socket's `cachedGroupMetadata`, tried before querying the group
+     */
+    getMessageDeliveryReport: (key: {
+        remoteJid?: any;
+        remoteJidAlt?: any;
+        id: any;
+    }, sock?: any, opts?: import("./delivery-report.js").MessageDeliveryReportOptions) => Promise<import("./delivery-report.js").MessageDeliveryReport | undefined>;
+    /** closes the underlying database, only when the store opened it itself */
+    close: () => void;
+}>;
@@ -0,0 +1,493 @@
+import { WAProto } from '../Types/index.js';
+import { LabelAssociationType } from '../Types/LabelAssociation.js';
+import { DEFAULT_CONNECTION_CONFIG } from '../Defaults/index.js';
+import { BufferJSON, loadBetterSqlite3, md5, toNumber, updateMessageWithReceipt, updateMessageWithReaction } from '../Utils/index.js';
+import { jidDecode, jidNormalizedUser } from '../WABinary/index.js';
+import { waLabelAssociationKey } from './make-in-memory-store.js';
+import { getStoredMessageDeliveryReport, getStoredMessageJids } from './delivery-report.js';
+import { decodeMessageSearchCursor, searchStoredMessages } from './message-search.js';
+// Lia@Changes 19-10-26 --- Add makeSqliteStore, same surface as makeInMemoryStore but every event is written to disk as it arrives
+const CREATE_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS chats (
+  id TEXT PRIMARY KEY,
+  pinned INTEGER NOT NULL DEFAULT 0,
+  archived INTEGER NOT NULL DEFAULT 0,
+  ts INTEGER NOT NULL DEFAULT 0,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS contacts (
+  id TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS messages (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  jid TEXT NOT NULL,
+  id TEXT NOT NULL,
+  ts INTEGER NOT NULL DEFAULT 0,
+  value TEXT NOT NULL,
+  UNIQUE (jid, id)
+);
+CREATE INDEX IF NOT EXISTS messages_jid_order_idx ON messages(jid, ts, seq);
+CREATE INDEX IF NOT EXISTS messages_search_order_idx ON messages(ts DESC, jid DESC, id DESC);
+CREATE TABLE IF NOT EXISTS group_metadata (
+  id TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS labels (
+  id TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS label_associations (
+  key TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  chat_id TEXT NOT NULL,
+  message_id TEXT,
+  label_id TEXT NOT NULL,
+  value TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS label_associations_chat_idx ON label_associations(chat_id);
+CREATE INDEX IF NOT EXISTS label_associations_message_idx ON label_associations(message_id);
+`;
+const serialize = (value) => JSON.stringify(value, BufferJSON.replacer);
+const deserialize = (value) => JSON.parse(value, BufferJSON.reviver);
+const deserializeMessage = (row) => WAProto.WebMessageInfo.fromObject(deserialize(row.value));
+export const makeSqliteStore = async (config) => {
+    const socket = config.socket;
+    const logger = config.logger || DEFAULT_CONNECTION_CONFIG.logger.child({ stream: 'sqlite-store' });
+    let db;
+    if (config.database) {
+        db = config.database;
+    }
+    else {
+        const Database = await loadBetterSqlite3('makeSqliteStore');
+        db = new Database(config.dbPath);
+    }
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(CREATE_SCHEMA_SQL);
+    const stmts = {
+        chatSelect: db.prepare('SELECT value FROM chats WHERE id = ?'),
+        chatSelectAll: db.prepare('SELECT value FROM chats ORDER BY pinned DESC, archived ASC, ts DESC, id DESC'),
+        chatUpsert: db.prepare('INSERT INTO chats (id, pinned, archived, ts, value) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET pinned = excluded.pinned, archived = excluded.archived, ts = excluded.ts, value = excluded.value'),
+        chatInsertIfAbsent: db.prepare('INSERT INTO chats (id, pinned, archived, ts, value) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO NOTHING'),
+        chatDelete: db.prepare('DELETE FROM chats WHERE id = ?'),
+        chatClear: db.prepare('DELETE FROM chats'),
+        contactSelect: db.prepare('SELECT value FROM contacts WHERE id = ?'),
+        contactSelectAll: db.prepare('SELECT id, value FROM contacts'),
+        contactUpsert: db.prepare('INSERT INTO contacts (id, value) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET value = excluded.value'),
+        contactDelete: db.prepare('DELETE FROM contacts WHERE id = ?'),
+        messageSelect: db.prepare('SELECT seq, ts, value FROM messages WHERE jid = ? AND id = ?'),
+        // `ts` orders chats & search pages, so a re-upsert without a timestamp keeps the stored one
+        messageUpsert: db.prepare('INSERT INTO messages (jid, id, ts, value) VALUES (?, ?, ?, ?) ON CONFLICT(jid, id) DO UPDATE SET ts = COALESCE(NULLIF(excluded.ts, 0), ts), value = excluded.value'),
+        messageDelete: db.prepare('DELETE FROM messages WHERE jid = ? AND id = ?'),
+        messageClearChat: db.prepare('DELETE FROM messages WHERE jid = ?'),
+        messageClear: db.prepare('DELETE FROM messages'),
+        messageLatest: db.prepare('SELECT value FROM messages WHERE jid = ? ORDER BY ts DESC, seq DESC LIMIT ?'),
+        messageBefore: db.prepare('SELECT value FROM messages WHERE jid = ? AND (ts < ? OR (ts = ? AND seq < ?)) ORDER BY ts DESC, seq DESC LIMIT ?'),
+        messageAfter: db.prepare('SELECT value FROM messages WHERE jid = ? AND (ts > ? OR (ts = ? AND seq > ?)) ORDER BY ts ASC, seq ASC LIMIT ?'),
+        messageSearch: db.prepare('SELECT jid, value FROM messages WHERE (@jid IS NULL OR jid = @jid) AND (@ts IS NULL OR ts < @ts OR (ts = @ts AND (jid < @cursorJid OR (jid = @cursorJid AND id < @cursorId)))) ORDER BY ts DESC, jid DESC, id DESC'),
+        groupSelect: db.prepare('SELECT value FROM group_metadata WHERE id = ?'),
+        groupUpsert: db.prepare('INSERT INTO group_metadata (id, value) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET value = excluded.value'),
+        labelSelectAll: db.prepare('SELECT value FROM labels'),
+        labelCount: db.prepare('SELECT COUNT(*) AS count FROM labels'),
+        labelUpsert: db.prepare('INSERT INTO labels (id, value) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET value = excluded.value'),
+        labelDelete: db.prepare('DELETE FROM labels WHERE id = ?'),
+        labelAssociationUpsert: db.prepare('INSERT INTO label_associations (key, type, chat_id, message_id, label_id, value) VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        labelAssociationDelete: db.prepare('DELETE FROM label_associations WHERE key = ?'),
+        labelAssociationsByChat: db.prepare('SELECT value FROM label_associations WHERE chat_id = ?'),
+        labelAssociationsByMessage: db.prepare('SELECT label_id FROM label_associations WHERE message_id = ?')
+    };
+    const state = { connection: 'close' };
+    const presences = {};
+    const messageJid = (key) => jidNormalizedUser(key.remoteJidAlt || key.remoteJid);
+    const getChat = (id) => {
+        const row = stmts.chatSelect.get(id);
+        return row ? deserialize(row.value) : undefined;
+    };
+    const writeChat = (chat, stmt = stmts.chatUpsert) => {
+        return stmt.run(chat.id, chat.pinned ? 1 : 0, chat.archived ? 1 : 0, toNumber(chat.conversationTimestamp), serialize(chat)).changes > 0;
+    };
+    const getContact = (id) => {
+        const row = stmts.contactSelect.get(id);
+        return row ? deserialize(row.value) : undefined;
+    };
+    const contactsUpsert = (newContacts) => {
+        for (const contact of newContacts) {
+            stmts.contactUpsert.run(contact.id, serialize(Object.assign(getContact(contact.id) || {}, contact)));
+        }
+    };
+    const getMessageRow = (jid, id) => stmts.messageSelect.get(jid, id);
+    const getMessage = (jid, id) => {
+        const row = getMessageRow(jid, id);
+        return row ? deserializeMessage(row) : undefined;
+    };
+    const messageUpsert = (jid, msg) => {
+        stmts.messageUpsert.run(jid, msg.key.id, toNumber(msg.messageTimestamp), serialize(msg));
+    };
+    /** reads a message, lets `fn` mutate it and writes it back; returns false when the message is not stored */
+    const messageModify = (jid, id, fn) => {
+        const msg = getMessage(jid, id);
+        if (!msg) {
+            return false;
+        }
+        fn(msg);
+        messageUpsert(jid, msg);
+        return true;
+    };
+    const getGroupMetadata = (id) => {
+        const row = stmts.groupSelect.get(id);
+        return row ? deserialize(row.value) : undefined;
+    };
+    const writeGroupMetadata = (metadata) => {
+        stmts.groupUpsert.run(metadata.id, serialize(metadata));
+    };
+    const labelAssociationWrite = (association) => {
+        stmts.labelAssociationUpsert.run(waLabelAssociationKey.key(association), association.type, association.chatId, association.type === LabelAssociationType.Message ? association.messageId : null, association.labelId, serialize(association));
+    };
+    /**
+     * binds to a BaileysEventEmitter.
+     * It listens to all events and writes them to the database as they arrive.
+     * Eg. can use the store to fetch chats, contacts, messages etc.
+     * @param ev typically the event emitter from the socket connection
+     */
+    const bind = (ev) => {
+        ev.on('connection.update', update => {
+            Object.assign(state, update);
+        });
+        ev.on('messaging-history.set', db.transaction(({ chats: newChats, contacts: newContacts, messages: newMessages, isLatest, syncType }) => {
+            if (syncType === WAProto.HistorySync.HistorySyncType.ON_DEMAND) {
+                return;
+            }
+            if (isLatest) {
+                stmts.chatClear.run();
+                stmts.messageClear.run();
+            }
+            let chatsAdded = 0;
+            for (const chat of newChats) {
+                if (writeChat(chat, stmts.chatInsertIfAbsent)) {
+                    chatsAdded += 1;
+                }
+            }
+            logger.debug({ chatsAdded }, 'synced chats');
+            const oldContacts = new Set();
+            if (isLatest) {
+                const newIds = new Set(newContacts.map(({ id }) => id));
+                for (const { id } of stmts.contactSelectAll.all()) {
+                    if (!newIds.has(id)) {
+                        oldContacts.add(id);
+                        stmts.contactDelete.run(id);
+                    }
+                }
+            }
+            contactsUpsert(newContacts);
+            logger.debug({ deletedContacts: isLatest ? oldContacts.size : 0, newContacts }, 'synced contacts');
+            for (const msg of newMessages) {
+                messageUpsert(messageJid(msg.key), msg);
+            }
+            logger.debug({ messages: newMessages.length }, 'synced messages');
+        }));
+        ev.on('contacts.upsert', db.transaction(contacts => {
+            contactsUpsert(contacts);
+        }));
+        ev.on('contacts.update', async (updates) => {
+            for (const update of updates) {
+                let contact = getContact(update.id);
+                if (!contact) {
+                    // find contact by attrs.hash, when user is not saved as a contact
+                    for (const { id } of stmts.contactSelectAll.all()) {
+                        const { user } = jidDecode(id);
+                        const hash = (await md5(Buffer.from(user + 'WA_ADD_NOTIF', 'utf8'))).toString('base64').slice(0, 3);
+                        if (hash === update.id) {
+                            contact = getContact(id);
+                            break;
+                        }
+                    }
+                }
+                if (!contact) {
+                    logger.debug({ update }, 'got update for non-existant contact');
+                    continue;
+                }
+                if (update.imgUrl === 'changed') {
+                    contact.imgUrl = socket ? await socket.profilePictureUrl(contact.id) : undefined;
+                }
+                else if (update.imgUrl === 'removed') {
+                    delete contact.imgUrl;
+                }
+                stmts.contactUpsert.run(contact.id, serialize(contact));
+            }
+        });
+        ev.on('chats.upsert', db.transaction(newChats => {
+            for (const chat of newChats) {
+                writeChat(Object.assign(getChat(chat.id) || {}, chat));
+            }
+        }));
+        ev.on('chats.update', db.transaction(updates => {
+            for (let update of updates) {
+                const chat = getChat(update.id);
+                if (!chat) {
+                    logger.debug({ update }, 'got update for non-existant chat');
+                    continue;
+                }
+                if (update.unreadCount > 0) {
+                    update = { ...update };
+                    update.unreadCount = (chat.unreadCount || 0) + update.unreadCount;
+                }
+                writeChat(Object.assign(chat, update));
+            }
+        }));
+        ev.on('chats.delete', db.transaction(deletions => {
+            for (const item of deletions) {
+                stmts.chatDelete.run(item);
+            }
+        }));
+        ev.on('labels.edit', (label) => {
+            if (label.deleted) {
+                return stmts.labelDelete.run(label.id);
+            }
+            // WhatsApp can store only up to 20 labels
+            if (stmts.labelCount.get().count < 20) {
+                return stmts.labelUpsert.run(label.id, serialize(label));
+            }
+            logger.error('Labels count exceed');
+        });
+        ev.on('labels.association', ({ type, association }) => {
+            switch (type) {
+                case 'add':
+                    labelAssociationWrite(association);
+                    break;
+                case 'remove':
+                    stmts.labelAssociationDelete.run(waLabelAssociationKey.key(association));
+                    break;
+                default:
+                    logger.error({ type }, 'unknown label association operation');
+            }
+        });
+        ev.on('presence.update', ({ id, presences: update }) => {
+            presences[id] = presences[id] || {};
+            Object.assign(presences[id], update);
+        });
+        ev.on('messages.upsert', db.transaction(({ messages: newMessages, type }) => {
+            if (type !== 'append' && type !== 'notify') {
+                return;
+            }
+            for (const msg of newMessages) {
+                const jid = messageJid(msg.key);
+                messageUpsert(jid, msg);
+                if (type === 'notify' && !getChat(jid)) {
+                    ev.emit('chats.upsert', [
+                        {
+                            id: jid,
+                            conversationTimestamp: toNumber(msg.messageTimestamp),
+                            unreadCount: 1
+                        }
+                    ]);
+                }
+            }
+        }));
+        ev.on('messages.update', db.transaction(updates => {
+            for (const { update, key } of updates) {
+                const result = messageModify(messageJid(key), key.id, msg => {
+                    const { status, ...rest } = update || {};
+                    if (status && msg.status && status <= msg.status) {
+                        logger.debug({ update, storedStatus: msg.status }, 'status stored newer then update');
+                        Object.assign(msg, rest);
+                    }
+                    else {
+                        Object.assign(msg, update);
+                    }
+                });
+                if (!result) {
+                    logger.debug({ update }, 'got update for non-existent message');
+                }
+            }
+        }));
+        ev.on('messages.delete', db.transaction(item => {
+            if ('all' in item) {
+                stmts.messageClearChat.run(jidNormalizedUser(item.jid));
+            }
+            else {
+                for (const key of item.keys) {
+                    stmts.messageDelete.run(messageJid(key), key.id);
+                }
+            }
+        }));
+        ev.on('groups.update', db.transaction(updates => {
+            for (const update of updates) {
+                const metadata = getGroupMetadata(update.id);
+                if (metadata) {
+                    writeGroupMetadata(Object.assign(metadata, update));
+                }
+                else {
+                    logger.debug({ update }, 'got update for non-existant group metadata');
+                }
+            }
+        }));
+        ev.on('group-participants.update', ({ id, participants, action }) => {
+            const metadata = getGroupMetadata(id);
+            if (!metadata) {
+                return;
+            }
+            switch (action) {
+                case 'add':
+                    metadata.participants.push(...participants.map(participant => ({ id: participant.id, phoneNumber: participant.phoneNumber, admin: participant.admin })));
+                    break;
+                case 'demote':
+                case 'promote':
+                    for (const participant of metadata.participants) {
+                        for (const participantData of participants) {
+                            if (participantData.id === participant.id || participantData.phoneNumber === participant.phoneNumber) {
+                                participant.admin = action === 'promote' && 'admin';
+                            }
+                        }
+                    }
+                    break;
+                case 'remove':
+                    const removeSet = new Set();
+                    for (const p of participants) {
+                        if (p.id)
+                            removeSet.add(p.id);
+                        if (p.phoneNumber)
+                            removeSet.add(p.phoneNumber);
+                    }
+                    metadata.participants = metadata.participants.filter(p => !removeSet.has(p.id) && !removeSet.has(p.phoneNumber));
+                    break;
+            }
+            writeGroupMetadata(metadata);
+        });
+        ev.on('message-receipt.update', db.transaction(updates => {
+            for (const { key, receipt } of updates) {
+                messageModify(messageJid(key), key.id, msg => updateMessageWithReceipt(msg, receipt));
+            }
+        }));
+        ev.on('messages.reaction', db.transaction(reactions => {
+            for (const { key, reaction } of reactions) {
+                messageModify(messageJid(key), key.id, msg => updateMessageWithReaction(msg, reaction));
+            }
+        }));
+    };
+    const fetchGroupMetadata = async (jid, sock) => {
+        let metadata = getGroupMetadata(jid);
+        if (!metadata) {
+            metadata = await sock?.groupMetadata(jid);
+            if (metadata) {
+                writeGroupMetadata(metadata);
+            }
+        }
+        return metadata;
+    };
+    return {
+        db,
+        state,
+        presences,
+        bind,
+        getChat,
+        getChats: () => stmts.chatSelectAll.all().map(row => deserialize(row.value)),
+        getContact,
+        getContacts: () => stmts.contactSelectAll.all().map(row => deserialize(row.value)),
+        getGroupMetadata,
+        /** loads messages from the store, `cursor` can either be `{ before: key }` or `{ after: key }` */
+        loadMessages: async (jid, count, cursor) => {
+            jid = jidNormalizedUser(jid);
+            const cursorKey = cursor ? ('before' in cursor ? cursor.before : cursor.after) : undefined;
+            if (!cursorKey) {
+                return stmts.messageLatest.all(jid, count).reverse().map(deserializeMessage);
+            }
+            const cursorRow = getMessageRow(jid, cursorKey.id);
+            if (!cursorRow) {
+                return [];
+            }
+            if ('before' in cursor) {
+                return stmts.messageBefore.all(jid, cursorRow.ts, cursorRow.ts, cursorRow.seq, count).reverse().map(deserializeMessage);
+            }
+            return stmts.messageAfter.all(jid, cursorRow.ts, cursorRow.ts, cursorRow.seq, count).map(deserializeMessage);
+        },
+        /**
+         * Search messages across every chat in the store, newest first
+         *
+         * @param query `{ text, jid, fromMe, sender, contentType, before, after }`, all optional
+         * @param options `{ limit, cursor }`, pass the returned `cursor` to get the next page
+         */
+        searchMessages: async (query, options) => {
+            const after = decodeMessageSearchCursor(options?.cursor);
+            const rows = stmts.messageSearch.iterate({
+                jid: query?.jid ? jidNormalizedUser(query.jid) : null,
+                ts: after ? after.ts : null,
+                cursorJid: after?.jid ?? null,
+                cursorId: after?.id ?? null
+            });
+            function* entries() {
+                for (const row of rows) {
+                    yield { jid: row.jid, msg: deserializeMessage(row) };
+                }
+            }
+            try {
+                return searchStoredMessages(entries(), query, { ...options, sorted: true });
+            }
+            finally {
+                rows.return();
+            }
+        },
+        /**
+         * Get all available labels for profile
+         *
+         * Keep in mind that the list is formed from predefined tags and tags
+         * that were "caught" during their editing.
+         */
+        getLabels: () => {
+            return stmts.labelSelectAll.all().map(row => deserialize(row.value));
+        },
+        /**
+         * Get labels for chat
+         *
+         * @returns Label IDs
+         **/
+        getChatLabels: (chatId) => {
+            return stmts.labelAssociationsByChat.all(chatId).map(row => deserialize(row.value));
+        },
+        /**
+         * Get labels for message
+         *
+         * @returns Label IDs
+         **/
+        getMessageLabels: (messageId) => {
+            return stmts.labelAssociationsByMessage.all(messageId).map(row => row.label_id);
+        },
+        loadMessage: async (jid, id) => getMessage(jidNormalizedUser(jid), id),
+        mostRecentMessage: async (jid) => {
+            const [row] = stmts.messageLatest.all(jidNormalizedUser(jid), 1);
+            return row ? deserializeMessage(row) : undefined;
+        },
+        fetchImageUrl: async (jid, sock) => {
+            const contact = getContact(jid);
+            if (!contact) {
+                return sock?.profilePictureUrl(jid);
+            }
+            if (typeof contact.imgUrl === 'undefined') {
+                contact.imgUrl = await sock?.profilePictureUrl(jid);
+                stmts.contactUpsert.run(contact.id, serialize(contact));
+            }
+            return contact.imgUrl;
+        },
+        fetchGroupMetadata,
+        fetchMessageReceipts: async ({ remoteJid, id }) => {
+            return getMessage(jidNormalizedUser(remoteJid), id)?.userReceipt;
+        },
+        // Lia@Changes 19-10-26 --- Receipts merged with the group participants, see makeMessageDeliveryReport
+        /**
+         * Who has the message delivered, read or played & who is still pending
+         * @param sock used to fetch the group metadata if it isn't stored & to map LIDs to PNs
+         * @param opts.cachedGroupMetadata eg. the socket's `cachedGroupMetadata`, tried before querying the group
+         */
+        getMessageDeliveryReport: async (key, sock, opts) => {
+            const jids = await getStoredMessageJids(key, sock?.signalRepository?.lidMapping);
+            const msg = jids.map(jid => getMessage(jid, key.id)).find(Boolean);
+            return getStoredMessageDeliveryReport(msg, fetchGroupMetadata, sock, opts);
+        },
+        /** closes the underlying database, only when the store opened it itself */
+        close: () => {
+            if (!config.database) {
+                db.close();
+            }
+        }
+    };
+};
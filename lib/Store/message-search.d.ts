@@ -0,0 +1,25 @@
+export function prepareMessageSearchQuery(query?: {}): {
+    text: any;
+    jid: string | undefined;
+    fromMe: any;
+    sender: string | undefined;
+    contentType: any;
+    before: any;
+    after: any;
+};
+export function messageMatchesSearchQuery(jid: any, msg: any, query: any): boolean;
+export function encodeMessageSearchCursor(position: any): string;
+export function decodeMessageSearchCursor(cursor: any): {
+    ts: number;
+    jid: string;
+    id: string;
+} | undefined;
+export function compareMessageSearchPositions(a: any, b: any): number;
+export function searchStoredMessages(entries: any, query: any, { limit, cursor, sorted }?: {
+    limit?: number | undefined;
+    cursor: any;
+    sorted?: boolean | undefined;
+}): {
+    messages: any[];
+    cursor: string | undefined;
+};
@@ -0,0 +1,123 @@
+import { extractMessageContent, extractMessageText, getContentType, toNumber } from '../Utils/index.js';
+import { jidNormalizedUser } from '../WABinary/index.js';
+// Lia@Changes 19-10-26 --- Shared search logic for makeInMemoryStore & makeSqliteStore
+const DEFAULT_SEARCH_LIMIT = 25;
+const toSeconds = (value) => (value instanceof Date ? Math.floor(value.getTime() / 1000) : toNumber(value));
+/** senders a message can be matched against, both the PN and LID variants when known */
+const getMessageSenders = (key) => {
+    const senders = key.participant || key.participantAlt
+        ? [key.participant, key.participantAlt]
+        : [key.remoteJid, key.remoteJidAlt];
+    return senders.filter(Boolean).map(jidNormalizedUser);
+};
+/**
+ * Normalizes a search query once, so matching many messages stays cheap
+ * Eg. lowercases the text, converts dates to unix seconds
+ */
+export const prepareMessageSearchQuery = (query = {}) => {
+    let text = query.text;
+    if (typeof text === 'string') {
+        const needle = text.toLowerCase();
+        text = (haystack) => haystack.toLowerCase().includes(needle);
+    }
+    else if (text instanceof RegExp) {
+        const regex = text;
+        text = (haystack) => {
+            regex.lastIndex = 0;
+            return regex.test(haystack);
+        };
+    }
+    return {
+        text,
+        jid: query.jid ? jidNormalizedUser(query.jid) : undefined,
+        fromMe: query.fromMe,
+        sender: query.sender ? jidNormalizedUser(query.sender) : undefined,
+        contentType: query.contentType,
+        before: query.before !== undefined ? toSeconds(query.before) : undefined,
+        after: query.after !== undefined ? toSeconds(query.after) : undefined
+    };
+};
+/**
+ * Check whether a stored message matches a query made by `prepareMessageSearchQuery`
+ * @param jid the chat the message is stored under
+ */
+export const messageMatchesSearchQuery = (jid, msg, query) => {
+    if (query.jid && query.jid !== jid) {
+        return false;
+    }
+    if (typeof query.fromMe === 'boolean' && !!msg.key.fromMe !== query.fromMe) {
+        return false;
+    }
+    const timestamp = toNumber(msg.messageTimestamp);
+    if (query.before !== undefined && timestamp >= query.before) {
+        return false;
+    }
+    if (query.after !== undefined && timestamp <= query.after) {
+        return false;
+    }
+    if (query.sender && (msg.key.fromMe || !getMessageSenders(msg.key).includes(query.sender))) {
+        return false;
+    }
+    if (query.contentType && getContentType(extractMessageContent(msg.message)) !== query.contentType) {
+        return false;
+    }
+    if (query.text) {
+        const text = extractMessageText(msg.message);
+        if (!text || !query.text(text)) {
+            return false;
+        }
+    }
+    return true;
+};
+/** cursors are opaque to callers, but encode the position of the last returned message */
+export const encodeMessageSearchCursor = (position) => Buffer.from(JSON.stringify([position.ts, position.jid, position.id])).toString('base64url');
+export const decodeMessageSearchCursor = (cursor) => {
+    if (!cursor) {
+        return undefined;
+    }
+    try {
+        const [ts, jid, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof ts === 'number' && typeof jid === 'string' && typeof id === 'string') {
+            return { ts, jid, id };
+        }
+    }
+    catch { }
+    throw new Error('invalid message search cursor');
+};
+/**
+ * Results are ordered newest first; ties are broken by chat & message ID
+ * so that a cursor always points at one exact position
+ */
+export const compareMessageSearchPositions = (a, b) => b.ts - a.ts || (a.jid < b.jid ? 1 : a.jid > b.jid ? -1 : 0) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+/**
+ * Runs a search over stored messages
+ * @param entries iterable of `{ jid, msg }`, already in search order when `sorted` is set
+ */
+export const searchStoredMessages = (entries, query, { limit = DEFAULT_SEARCH_LIMIT, cursor, sorted = false } = {}) => {
+    const prepared = prepareMessageSearchQuery(query);
+    const after = decodeMessageSearchCursor(cursor);
+    let candidates = [];
+    for (const { jid, msg } of entries) {
+        const position = { ts: toNumber(msg.messageTimestamp), jid, id: msg.key.id || '' };
+        if (after && compareMessageSearchPositions(after, position) >= 0) {
+            continue;
+        }
+        if (!messageMatchesSearchQuery(jid, msg, prepared)) {
+            continue;
+        }
+        candidates.push({ position, msg });
+        // entries come pre-sorted, one extra hit is enough to know if there is a next page
+        if (sorted && candidates.length > limit) {
+            break;
+        }
+    }
+    if (!sorted) {
+        candidates.sort((a, b) => compareMessageSearchPositions(a.position, b.position));
+    }
+    const hasMore = candidates.length > limit;
+    candidates = candidates.slice(0, limit);
+    return {
+        messages: candidates.map(({ msg }) => msg),
+        cursor: hasMore ? encodeMessageSearchCursor(candidates[candidates.length - 1].position) : undefined
+    };
+};
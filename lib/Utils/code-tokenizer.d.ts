@@ -0,0 +1,38 @@
+export type CodeBlock = {
+    /** a `CodeHighlightType` */
+    highlightType: number;
+    codeContent: string;
+};
+/**
+ * A lexer for `tokenizeCode`, `rules` are tried in order at every position,
+ * what no rule matches is split into identifiers (keywords, calls) & punctuation
+ */
+export type CodeGrammar = {
+    keywords?: Set<string>;
+    /** compare keywords case-insensitively, eg. for SQL */
+    caseInsensitive?: boolean;
+    /** what counts as a word, defaults to JS identifiers */
+    identifier?: RegExp;
+    rules: ([number, RegExp] | ((code: string, index: number, push: (highlightType: number, codeContent: string) => void, grammar: CodeGrammar) => number))[];
+};
+/**
+ * Guesses the language of a code snippet
+ * @returns one of the built-in language names, undefined if nothing matched
+ */
+export declare const detectCodeLanguage: (code: string) => string | undefined;
+/**
+ * Resolves a language name or alias, eg. `ts`, `c#` or `yml`
+ * @returns the built-in or registered language name, undefined if unknown
+ */
+export declare const resolveCodeLanguage: (language?: string) => string | undefined;
+/**
+ * Adds a lexer for `tokenizeCode`, or replaces a built-in one
+ * @param aliases other names the language is known by
+ */
+export declare const registerCodeLanguage: (name: string, grammar: CodeGrammar, aliases?: string[]) => void;
+/**
+ * Splits code into highlighted blocks with the lexer of its language
+ * @param language a language name or alias, detected from the code when unknown or left out
+ * @returns `[{ highlightType, codeContent }]`, adjacent default blocks are merged
+ */
+export declare const tokenizeCode: (code: string, language?: string) => CodeBlock[];
@@ -0,0 +1,381 @@
+import { BASH_KEYWORDS, CMD_KEYWORDS, CPP_KEYWORDS, CSHARP_KEYWORDS, CSS_KEYWORDS, C_KEYWORDS, GO_KEYWORDS, HTML_KEYWORDS, JAVA_KEYWORDS, JSON_KEYWORDS, JS_KEYWORDS, POWERSHELL_KEYWORDS, PYTHON_KEYWORDS, RUST_KEYWORDS, SQL_KEYWORDS, TS_KEYWORDS, YAML_KEYWORDS } from '../WABinary/constants.js';
+import { CodeHighlightType } from '../Types/RichType.js';
+// Lia@Changes 19-10-26 --- Per-language lexers for tokenizeCode
+const { DEFAULT, KEYWORD, METHOD, STRING, NUMBER, COMMENT } = CodeHighlightType;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/;
+const LINE_COMMENT = [COMMENT, /\/\/.*/];
+const BLOCK_COMMENT = [COMMENT, /\/\*[\s\S]*?(?:\*\/|$)/];
+// `#` only starts a comment at the start of a word, so `$#` or `a#b` don't
+const HASH_COMMENT = [COMMENT, /(?<![^\s;(])#.*/];
+// strings without their closing quote end with the line
+const DOUBLE_QUOTED = [STRING, /"(?:\\[\s\S]|[^"\\\n])*"?/];
+const SINGLE_QUOTED = [STRING, /'(?:\\[\s\S]|[^'\\\n])*'?/];
+const NUMBER_LITERAL = [NUMBER, /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.\d[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/];
+const C_LIKE = [LINE_COMMENT, BLOCK_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER_LITERAL];
+/**
+ * Finds the `}` closing a template literal substitution, skipping braces inside strings
+ */
+const findClosingBrace = (code, index) => {
+    let depth = 0;
+    for (let i = index; i < code.length; i++) {
+        const char = code[i];
+        if (char === '"' || char === '\'' || char === '`') {
+            for (i++; i < code.length && code[i] !== char; i++) {
+                if (code[i] === '\\') {
+                    i++;
+                }
+            }
+        }
+        else if (char === '{') {
+            depth++;
+        }
+        else if (char === '}' && depth-- === 0) {
+            return i;
+        }
+    }
+    return code.length;
+};
+/**
+ * JS template literals, `${}` substitutions are tokenized as code
+ */
+const templateLiteral = (code, index, push, grammar) => {
+    if (code[index] !== '`') {
+        return 0;
+    }
+    let start = index;
+    let i = index + 1;
+    while (i < code.length && code[i] !== '`') {
+        if (code[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (code[i] === '$' && code[i + 1] === '{') {
+            push(STRING, code.slice(start, i + 2));
+            const end = findClosingBrace(code, i + 2);
+            lex(code.slice(i + 2, end), grammar, push);
+            start = i = end;
+            continue;
+        }
+        i++;
+    }
+    i = Math.min(i + 1, code.length);
+    push(STRING, code.slice(start, i));
+    return i - index;
+};
+const JAVASCRIPT = {
+    keywords: JS_KEYWORDS,
+    rules: [LINE_COMMENT, BLOCK_COMMENT, templateLiteral, DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER_LITERAL]
+};
+const GRAMMARS = {
+    javascript: JAVASCRIPT,
+    typescript: {
+        ...JAVASCRIPT,
+        keywords: TS_KEYWORDS,
+        rules: [[METHOD, /@[A-Za-z_$][\w$]*/], ...JAVASCRIPT.rules]
+    },
+    python: {
+        keywords: PYTHON_KEYWORDS,
+        rules: [
+            [COMMENT, /#.*/],
+            [STRING, /(?:[rRbBuUfF]{1,2})?("""|''')[\s\S]*?(?:\1|$)/],
+            [STRING, /(?:[rRbBuUfF]{1,2})?(["'])(?:\\[\s\S]|(?!\1)[^\\\n])*\1?/],
+            [METHOD, /@[A-Za-z_][\w.]*/],
+            NUMBER_LITERAL
+        ]
+    },
+    java: {
+        keywords: JAVA_KEYWORDS,
+        rules: [[STRING, /"""[\s\S]*?(?:"""|$)/], [METHOD, /@[A-Za-z_]\w*/], ...C_LIKE]
+    },
+    c: {
+        keywords: C_KEYWORDS,
+        rules: [[KEYWORD, /(?<=^[ \t]*)#[ \t]*[a-z]+/m], ...C_LIKE]
+    },
+    cpp: {
+        keywords: CPP_KEYWORDS,
+        rules: [[KEYWORD, /(?<=^[ \t]*)#[ \t]*[a-z]+/m], [STRING, /R"([^(\s]*)\([\s\S]*?(?:\)\1"|$)/], ...C_LIKE]
+    },
+    csharp: {
+        keywords: CSHARP_KEYWORDS,
+        rules: [[STRING, /\$?@"(?:""|[^"])*"?/], [STRING, /\$"(?:\\.|[^"\\\n])*"?/], [KEYWORD, /(?<=^[ \t]*)#[ \t]*[a-z]+/m], ...C_LIKE]
+    },
+    go: {
+        keywords: GO_KEYWORDS,
+        rules: [[STRING, /`[^`]*`?/], ...C_LIKE]
+    },
+    rust: {
+        keywords: RUST_KEYWORDS,
+        rules: [
+            LINE_COMMENT,
+            BLOCK_COMMENT,
+            [STRING, /b?r(#*)"[\s\S]*?(?:"\1|$)/],
+            DOUBLE_QUOTED,
+            // a char literal, otherwise a lifetime like 'a
+            [STRING, /b?'(?:\\.|[^'\\\n])'/],
+            [METHOD, /#!?\[[^\]\n]*\]?/],
+            [METHOD, /[A-Za-z_]\w*!(?=\s*[([{])/],
+            NUMBER_LITERAL
+        ]
+    },
+    json: {
+        keywords: JSON_KEYWORDS,
+        rules: [LINE_COMMENT, BLOCK_COMMENT, [KEYWORD, /"(?:\\.|[^"\\\n])*"(?=\s*:)/], DOUBLE_QUOTED, [NUMBER, /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/]]
+    },
+    sql: {
+        keywords: SQL_KEYWORDS,
+        caseInsensitive: true,
+        rules: [
+            [COMMENT, /--.*/],
+            BLOCK_COMMENT,
+            [STRING, /'(?:''|[^'])*'?/],
+            // quoted identifiers
+            [DEFAULT, /"(?:""|[^"])*"?|`[^`]*`?|\[[^\]\n]*\]?/],
+            NUMBER_LITERAL
+        ]
+    },
+    yaml: {
+        keywords: YAML_KEYWORDS,
+        identifier: /[A-Za-z_][\w-]*/,
+        rules: [
+            [COMMENT, /(?<![^\s])#.*/],
+            [KEYWORD, /(?:[^\s#:'"{}[\],&*!|>-][^#:\n]*?|"(?:\\.|[^"\\\n])*"|'[^'\n]*')(?=[ \t]*:(?:\s|$))/],
+            DOUBLE_QUOTED,
+            [STRING, /'(?:''|[^'\n])*'?/],
+            [METHOD, /[&*][^\s,[\]{}]+/],
+            [KEYWORD, /!!?[^\s]*/],
+            [NUMBER, /[-+]?(?:\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.inf|\.nan)(?![\w.:-])/],
+            [DEFAULT, /(?:---|\.\.\.)(?=\s|$)/]
+        ]
+    },
+    css: {
+        keywords: CSS_KEYWORDS,
+        identifier: /-{0,2}[A-Za-z_][\w-]*/,
+        rules: [
+            BLOCK_COMMENT,
+            DOUBLE_QUOTED,
+            SINGLE_QUOTED,
+            [NUMBER, /#[\da-fA-F]{3,8}\b/],
+            [NUMBER, /-?(?:\d+(?:\.\d+)?|\.\d+)(?:%|[a-zA-Z]+)?/],
+            // property names
+            [KEYWORD, /-{0,2}[A-Za-z_][\w-]*(?=\s*:(?!:|[a-z-]+\s*[,{(]))/]
+        ]
+    },
+    html: {
+        keywords: HTML_KEYWORDS,
+        identifier: /[A-Za-z_][\w:-]*/,
+        rules: [
+            [COMMENT, /<!--[\s\S]*?(?:-->|$)/],
+            [KEYWORD, /<!?\/?[A-Za-z][\w:-]*|\/?>/],
+            DOUBLE_QUOTED,
+            SINGLE_QUOTED,
+            [STRING, /&#?\w+;/]
+        ]
+    },
+    bash: {
+        keywords: BASH_KEYWORDS,
+        identifier: /[A-Za-z_][\w-]*/,
+        rules: [
+            HASH_COMMENT,
+            DOUBLE_QUOTED,
+            [STRING, /'[^']*'?/],
+            [METHOD, /\$(?:\{[^}]*\}?|\w+|[@*#?$!0-9-])/],
+            NUMBER_LITERAL
+        ]
+    },
+    cmd: {
+        keywords: CMD_KEYWORDS,
+        caseInsensitive: true,
+        rules: [
+            [COMMENT, /(?<=^[ \t@]*)(?:rem\b.*|::.*)/im],
+            DOUBLE_QUOTED,
+            [METHOD, /%~?\w+%?|!\w+!/],
+            [METHOD, /(?<=^[ \t]*):\w+/m],
+            NUMBER_LITERAL
+        ]
+    },
+    powershell: {
+        keywords: POWERSHELL_KEYWORDS,
+        caseInsensitive: true,
+        identifier: /\$?[A-Za-z_][\w-]*/,
+        rules: [
+            [COMMENT, /<#[\s\S]*?(?:#>|$)/],
+            [COMMENT, /#.*/],
+            [STRING, /@(["'])\n[\s\S]*?(?:\n\1@|$)/],
+            [STRING, /"(?:`[\s\S]|[^"`])*"?/],
+            [STRING, /'(?:''|[^'])*'?/],
+            [METHOD, /\$(?!(?:true|false|null)\b)(?:\{[^}]*\}?|[\w:]+)/i],
+            NUMBER_LITERAL
+        ]
+    }
+};
+// unknown languages only get the comments, strings & numbers shared by most C-like & scripting languages
+const GENERIC = {
+    keywords: new Set(),
+    rules: [LINE_COMMENT, BLOCK_COMMENT, HASH_COMMENT, templateLiteral, DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER_LITERAL]
+};
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript', mts: 'typescript',
+    py: 'python', python3: 'python',
+    h: 'c', 'c++': 'cpp', cc: 'cpp', hpp: 'cpp', cxx: 'cpp',
+    cs: 'csharp', 'c#': 'csharp',
+    golang: 'go',
+    rs: 'rust',
+    jsonc: 'json', json5: 'json',
+    yml: 'yaml',
+    mysql: 'sql', postgres: 'sql', postgresql: 'sql', sqlite: 'sql', psql: 'sql',
+    scss: 'css', less: 'css',
+    xml: 'html', svg: 'html', htm: 'html',
+    sh: 'bash', zsh: 'bash', shell: 'bash', console: 'bash',
+    bat: 'cmd', batch: 'cmd',
+    ps1: 'powershell', pwsh: 'powershell'
+};
+/**
+ * Scored hints used to guess the language of a snippet, the highest total wins
+ */
+const LANGUAGE_HINTS = [
+    ['typescript', /^\s*(?:export\s+)?(?:interface|type|enum)\s+\w+(?:<[^>]*>)?\s*[={]/m, 4],
+    ['typescript', /:\s*(?:string|number|boolean|any|unknown|void)(?:\[\])?\s*[,)=;{]/, 3],
+    ['javascript', /\b(?:const|let|var)\s+[\w{[]|=>|\bfunction\s*\w*\s*\(|console\.log\(|require\(|module\.exports|\bexport\s+default\b|\bimport\s+.*\s+from\s+['"]/, 2],
+    ['python', /^\s*(?:def|class)\s+\w+.*:\s*$|^\s*from\s+[\w.]+\s+import\s|^\s*(?:elif|except)\b.*:\s*$|\bprint\(f?["']|\bself\.|__name__/m, 3],
+    ['java', /\bpublic\s+(?:static\s+)?(?:final\s+)?(?:class|void|interface)\b|\bSystem\.out\.print|^\s*import\s+java\./m, 4],
+    ['csharp', /^\s*using\s+System|\bConsole\.Write|\bnamespace\s+[\w.]+\s*[{;]|\bpublic\s+async\s+Task\b/m, 4],
+    ['cpp', /#include\s*<(?:iostream|vector|string|map|memory)>|\bstd::|\bcout\s*<<|\btemplate\s*</, 4],
+    ['c', /#include\s*<\w+\.h>|\bprintf\s*\(|\bmalloc\s*\(|\bint\s+main\s*\(/, 3],
+    ['go', /^\s*package\s+\w+\s*$|\bfunc\s+(?:\([^)]*\)\s*)?\w+\s*\(|:=|\bfmt\.\w+\(/m, 3],
+    ['rust', /\bfn\s+\w+\s*[<(]|\blet\s+mut\b|\bimpl\b|\w+!\s*\(|->\s*(?:Self|Result|Option|[A-Z]\w*)|::new\(/, 3],
+    ['sql', /^\s*(?:SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(?:TABLE|INDEX|VIEW)|ALTER\s+TABLE|DROP\s+TABLE|WITH)\b/im, 4],
+    ['sql', /\b(?:FROM|WHERE|JOIN|GROUP\s+BY|ORDER\s+BY|VALUES)\b/, 2],
+    ['html', /^\s*<(?:!DOCTYPE|html|head|body|div|span|p|a|ul|table|script|style|\?xml)\b/im, 5],
+    ['html', /<\/\w+>/, 2],
+    // the separators & the names of a selector never match the same characters, so a miss can't backtrack exponentially
+    ['css', /^\s*(?:[.#]?[\w-]+(?:[\s>+~,:.#[\]="']+[\w-]+)*[\]"']*|@media[^{]*)\s*\{\s*$|^\s*[\w-]+\s*:\s*[^;]+;\s*$/m, 3],
+    ['bash', /^#!\/(?:usr\/)?bin\/(?:env\s+)?(?:ba|z)?sh|^\s*(?:echo|export|sudo|apt(?:-get)?|npm|yarn|cd|chmod|fi|done|esac)\b|\$\{?\w+\}?|\|\s*grep\b/m, 2],
+    ['powershell', /\b(?:Write-Host|Get-\w+|Set-\w+|New-Object)\b|\$\w+\s*=|-(?:eq|ne|lt|gt)\s/, 3],
+    ['cmd', /^\s*@?echo\s+off|^\s*rem\s|%~?\w+%?|^\s*goto\s+:?\w+/im, 4],
+    // most `key: value` lines look like YAML, so it only wins when nothing else matched
+    ['yaml', /^\s*(?:-\s+)?[\w-]+:(?:\s+[^{};\n]+)?\s*$/m, 1],
+    ['yaml', /^---\s*$/m, 2]
+];
+/**
+ * Guesses the language of a code snippet
+ * @returns one of the built-in language names, undefined if nothing matched
+ */
+export const detectCodeLanguage = (code) => {
+    const trimmed = code?.trim();
+    if (!trimmed) {
+        return undefined;
+    }
+    if (/^[{[]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        }
+        catch { }
+    }
+    const scores = {};
+    for (const [language, regex, weight] of LANGUAGE_HINTS) {
+        if (regex.test(code)) {
+            scores[language] = (scores[language] || 0) + weight;
+        }
+    }
+    const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    return best?.[0];
+};
+/**
+ * Resolves a language name or alias, eg. `ts`, `c#` or `yml`
+ * @returns the built-in or registered language name, undefined if unknown
+ */
+export const resolveCodeLanguage = (language) => {
+    language = language?.toLowerCase();
+    const name = ALIASES[language] || language;
+    return name && GRAMMARS[name] ? name : undefined;
+};
+/**
+ * Adds a lexer for `tokenizeCode`, or replaces a built-in one
+ * @param grammar `{ keywords, rules, identifier, caseInsensitive }`, `rules` are tried in order at every position,
+ * each a `[highlightType, regex]` pair or a function `(code, index, push, grammar) => length`
+ * @param aliases other names the language is known by
+ */
+export const registerCodeLanguage = (name, grammar, aliases = []) => {
+    GRAMMARS[name] = grammar;
+    for (const alias of aliases) {
+        ALIASES[alias] = name;
+    }
+};
+const stickyCache = new WeakMap();
+const sticky = (regex) => {
+    let result = stickyCache.get(regex);
+    if (!result) {
+        result = new RegExp(regex.source, regex.flags.replace(/[gy]/g, '') + 'y');
+        stickyCache.set(regex, result);
+    }
+    return result;
+};
+const lowerCaseKeywords = new WeakMap();
+const isKeyword = (grammar, word) => {
+    if (!grammar.caseInsensitive) {
+        return grammar.keywords?.has(word);
+    }
+    let keywords = lowerCaseKeywords.get(grammar);
+    if (!keywords) {
+        keywords = new Set([...(grammar.keywords || [])].map(keyword => keyword.toLowerCase()));
+        lowerCaseKeywords.set(grammar, keywords);
+    }
+    return keywords.has(word.toLowerCase());
+};
+const lex = (code, grammar, push) => {
+    const identifier = sticky(grammar.identifier || IDENTIFIER);
+    let index = 0;
+    next: while (index < code.length) {
+        for (const rule of grammar.rules) {
+            if (typeof rule === 'function') {
+                const length = rule(code, index, push, grammar);
+                if (length) {
+                    index += length;
+                    continue next;
+                }
+                continue;
+            }
+            const regex = sticky(rule[1]);
+            regex.lastIndex = index;
+            const match = regex.exec(code);
+            if (match?.[0]) {
+                push(rule[0], match[0]);
+                index += match[0].length;
+                continue next;
+            }
+        }
+        identifier.lastIndex = index;
+        const word = identifier.exec(code)?.[0];
+        if (word) {
+            const isCall = /^\s*\(/.test(code.slice(index + word.length, index + word.length + 64));
+            push(isKeyword(grammar, word) ? KEYWORD : isCall ? METHOD : DEFAULT, word);
+            index += word.length;
+            continue;
+        }
+        // whitespace & punctuation, up to the next character a rule could start on
+        const rest = /^(?:\s+|[^\w\s$"'`#/@<>&*!%:.[-]+|[\s\S])/.exec(code.slice(index, index + 256))[0];
+        push(DEFAULT, rest);
+        index += rest.length;
+    }
+};
+/**
+ * Splits code into highlighted blocks with the lexer of its language
+ * @param language a language name or alias, detected from the code when unknown or left out
+ * @returns `[{ highlightType, codeContent }]`, adjacent default blocks are merged
+ */
+export const tokenizeCode = (code, language) => {
+    const grammar = GRAMMARS[resolveCodeLanguage(language) || resolveCodeLanguage(detectCodeLanguage(code))] || GENERIC;
+    const blocks = [];
+    const push = (highlightType, codeContent) => {
+        const last = blocks[blocks.length - 1];
+        if (highlightType === DEFAULT && last?.highlightType === DEFAULT) {
+            last.codeContent += codeContent;
+            return;
+        }
+        blocks.push({ highlightType, codeContent });
+    };
+    lex(code || '', grammar, push);
+    return blocks;
+};
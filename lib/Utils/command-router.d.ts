@@ -0,0 +1,97 @@
+/**
+ * Extract the text a command can be read from,
+ * button, list & native flow replies give their ID rather than the label the user saw
+ * @returns the text, or undefined if the message carries none
+ */
+export declare const extractCommandText: (content: proto.IMessage | null | undefined) => string | undefined;
+export type CommandArgument = {
+    name: string;
+    /** `rest` takes the remaining text, it must be the last argument */
+    type?: 'string' | 'number' | 'integer' | 'boolean' | 'jid' | 'rest';
+    required?: boolean;
+    default?: any;
+    choices?: any[];
+};
+export type CommandContext = {
+    sock: any;
+    msg: proto.IWebMessageInfo;
+    key: proto.IMessageKey;
+    jid: string;
+    isGroup: boolean;
+    sender: string;
+    senderAlt?: string;
+    text: string;
+    mentionedJids: string[];
+    quoted?: proto.IMessage;
+    /** shared between the middlewares & the command */
+    state: Record<string, any>;
+    prefix?: string;
+    command?: Command;
+    /** the name or alias the command was called with */
+    commandName?: string;
+    argv?: string[];
+    argsText?: string;
+    args?: Record<string, any>;
+    rest?: (index: number) => string;
+    reply: (reply: string | any, options?: any) => Promise<any>;
+    react: (emoji: string) => Promise<any>;
+    isAdmin: () => Promise<boolean>;
+};
+export type CommandHandler = (ctx: CommandContext) => Promise<void> | void;
+export type CommandMiddleware = (ctx: CommandContext, next: () => Promise<void>) => Promise<void> | void;
+export type CommandOptions = {
+    aliases?: string[];
+    description?: string;
+    args?: CommandArgument[];
+    cooldownMs?: number;
+    adminOnly?: boolean;
+    groupOnly?: boolean;
+    [key: string]: any;
+};
+export type Command = CommandOptions & {
+    name: string;
+    aliases: string[];
+    handler: CommandHandler;
+    usage: string;
+};
+export type CommandRouter = {
+    /** switches to a new socket, eg. after reconnecting */
+    bind: (sock: any) => void;
+    /** adds a middleware, `(ctx, next) => {}`, run in the order they were added */
+    use: (middleware: CommandMiddleware) => CommandRouter;
+    /**
+     * registers a command
+     * @param opts `aliases`, `description`, `args` as `[{ name, type, required, default, choices }]`
+     * where `type` is string, number, integer, boolean, jid or rest (the remaining text),
+     * `cooldownMs` per sender, `adminOnly`, `groupOnly`
+     */
+    command: {
+        (name: string, handler: CommandHandler): CommandRouter;
+        (name: string, opts: CommandOptions, handler: CommandHandler): CommandRouter;
+    };
+    /** every registered command, without the aliases, eg. to build a help message */
+    readonly commands: Command[];
+    /** runs a message through the router, for messages that didn't come from `messages.upsert` */
+    handle: (msg: proto.IWebMessageInfo) => Promise<void>;
+    stop: () => void;
+};
+/**
+ * Routes incoming messages to commands, eg. `!kick @628123456789 spamming`
+ *
+ * Middlewares registered with `use` run for every message that carries text, commands or not,
+ * the matching command runs last. A command fails with a Boom error when its arguments don't
+ * match the schema (400), the sender isn't allowed to run it (403) or it's on cooldown (429);
+ * by default those are replied to the sender, other errors are logged.
+ * Call `bind()` with the new socket after reconnecting.
+ * @param opts `prefix` string, list or RegExp (`''` for none), `fromMe` to also handle own messages,
+ * `cachedGroupMetadata` for admin checks (falls back to `sock.groupMetadata`), `onError(error, ctx)`
+ */
+export declare const makeCommandRouter: (sock: any, { prefix, fromMe, caseSensitive, cachedGroupMetadata, onError, logger }?: {
+    prefix?: string | string[] | RegExp;
+    fromMe?: boolean;
+    caseSensitive?: boolean;
+    cachedGroupMetadata?: (jid: string) => Promise<any>;
+    onError?: (error: Error, ctx: CommandContext) => Promise<void> | void;
+    logger?: any;
+}) => CommandRouter;
+import { proto } from '../../WAProto/index.js';
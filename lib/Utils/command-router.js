@@ -0,0 +1,337 @@
+import { Boom } from '@hapi/boom';
+import { isJidGroup, isJidStatusBroadcast, jidNormalizedUser } from '../WABinary/index.js';
+import { parseInteractiveResponse } from './interactive-response.js';
+import { extractMessageText, normalizeMessageContent } from './messages.js';
+// Lia@Changes 19-10-26 --- Add makeCommandRouter, prefix parsing, argument schemas & permission checks on top of messages.upsert
+const DEFAULT_PREFIXES = ['!', '.', '/'];
+const BOOLEAN_VALUES = {
+    true: true,
+    yes: true,
+    on: true,
+    1: true,
+    false: false,
+    no: false,
+    off: false,
+    0: false
+};
+/**
+ * Extract the text a command can be read from,
+ * button, list & native flow replies give their ID rather than the label the user saw
+ * @returns the text, or undefined if the message carries none
+ */
+export const extractCommandText = (content) => {
+    const response = parseInteractiveResponse(content);
+    return response?.selectedId || response?.selectedTitle || extractMessageText(content);
+};
+/** splits on whitespace, keeping "quoted words" together */
+const splitArguments = (text) => {
+    const argv = [];
+    const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = regex.exec(text))) {
+        argv.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return argv;
+};
+const describeArgument = ({ name, required, type }) => {
+    const label = type === 'rest' ? `${name}...` : name;
+    return required ? `<${label}>` : `[${label}]`;
+};
+const parseArgument = (value, definition, mentionedJids) => {
+    const { name, type = 'string', choices } = definition;
+    let parsed;
+    switch (type) {
+        case 'string':
+        case 'rest':
+            parsed = value;
+            break;
+        case 'number':
+            parsed = Number(value);
+            if (!Number.isFinite(parsed)) {
+                throw new Boom(`"${name}" must be a number`, { statusCode: 400 });
+            }
+            break;
+        case 'integer':
+            parsed = Number(value);
+            if (!Number.isSafeInteger(parsed)) {
+                throw new Boom(`"${name}" must be a whole number`, { statusCode: 400 });
+            }
+            break;
+        case 'boolean':
+            parsed = BOOLEAN_VALUES[value.toLowerCase()];
+            if (parsed === undefined) {
+                throw new Boom(`"${name}" must be yes or no`, { statusCode: 400 });
+            }
+            break;
+        case 'jid': {
+            // "@628123456789" mentions resolve to the mentioned JID, plain numbers to a PN JID
+            const digits = value.replace(/^@/, '').replace(/[\s+-]/g, '');
+            parsed = mentionedJids.find(jid => jid.startsWith(`${digits}@`)) || (/^\d{5,}$/.test(digits) ? `${digits}@s.whatsapp.net` : undefined);
+            if (!parsed) {
+                throw new Boom(`"${name}" must be a mention or a phone number`, { statusCode: 400 });
+            }
+            break;
+        }
+        default:
+            throw new Error(`unknown argument type "${type}" for "${name}"`);
+    }
+    if (choices && !choices.includes(parsed)) {
+        throw new Boom(`"${name}" must be one of ${choices.join(', ')}`, { statusCode: 400 });
+    }
+    return parsed;
+};
+/**
+ * @returns the arguments by name, as described by the command's `args` schema
+ */
+const parseArguments = (argv, rest, command, mentionedJids) => {
+    const args = {};
+    const schema = command.args || [];
+    for (let i = 0; i < schema.length; i++) {
+        const definition = schema[i];
+        // `rest` takes the remaining text as typed, quotes & spacing included
+        const raw = definition.type === 'rest' ? rest(i) : argv[i];
+        if (raw === undefined || raw === '') {
+            if (definition.required) {
+                throw new Boom(`Missing "${definition.name}", usage: ${command.usage}`, { statusCode: 400 });
+            }
+            args[definition.name] = definition.default;
+            continue;
+        }
+        args[definition.name] = parseArgument(raw, definition, mentionedJids);
+    }
+    return args;
+};
+const matchPrefix = (text, prefix) => {
+    if (prefix instanceof RegExp) {
+        const match = text.match(prefix);
+        return match?.index === 0 ? match[0] : undefined;
+    }
+    const prefixes = Array.isArray(prefix) ? prefix : [prefix];
+    // longest first, so "!!" wins over "!"
+    return prefixes
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => text.startsWith(candidate));
+};
+/** Koa style composition, each middleware gets `(ctx, next)` */
+const compose = (middlewares) => (ctx, last) => {
+    let index = -1;
+    const dispatch = async (i) => {
+        if (i <= index) {
+            throw new Error('next() called multiple times');
+        }
+        index = i;
+        const fn = i === middlewares.length ? last : middlewares[i];
+        if (fn) {
+            await fn(ctx, () => dispatch(i + 1));
+        }
+    };
+    return dispatch(0);
+};
+/**
+ * Routes incoming messages to commands, eg. `!kick @628123456789 spamming`
+ *
+ * Middlewares registered with `use` run for every message that carries text, commands or not,
+ * the matching command runs last. A command fails with a Boom error when its arguments don't
+ * match the schema (400), the sender isn't allowed to run it (403) or it's on cooldown (429);
+ * by default those are replied to the sender, other errors are logged.
+ * Call `bind()` with the new socket after reconnecting.
+ * @param opts `prefix` string, list or RegExp (`''` for none), `fromMe` to also handle own messages,
+ * `cachedGroupMetadata` for admin checks (falls back to `sock.groupMetadata`), `onError(error, ctx)`
+ */
+export const makeCommandRouter = (sock, { prefix = DEFAULT_PREFIXES, fromMe = false, caseSensitive = false, cachedGroupMetadata, onError, logger } = {}) => {
+    const middlewares = [];
+    const commands = new Map();
+    const cooldowns = new Map();
+    let currentSock;
+    const run = compose(middlewares);
+    const normalizeName = (name) => (caseSensitive ? name : name.toLowerCase());
+    const getGroupMetadata = async (jid) => (cachedGroupMetadata ? await cachedGroupMetadata(jid) : undefined) || currentSock.groupMetadata(jid);
+    const isSenderAdmin = async (ctx) => {
+        if (!ctx.isGroup) {
+            return false;
+        }
+        const { participants } = await getGroupMetadata(ctx.jid);
+        // the sender may be listed by LID or PN, whichever the group uses
+        const senders = [ctx.sender, ctx.senderAlt].filter(Boolean);
+        const participant = participants.find(p => [p.id, p.lid, p.phoneNumber].some(jid => jid && senders.includes(jidNormalizedUser(jid))));
+        return !!participant?.admin;
+    };
+    const checkCooldown = (ctx) => {
+        const { command } = ctx;
+        if (!command.cooldownMs) {
+            return;
+        }
+        const key = `${command.name}:${ctx.sender}`;
+        const now = Date.now();
+        const until = cooldowns.get(key);
+        if (until && until > now) {
+            throw new Boom(`Slow down, try ${command.name} again in ${Math.ceil((until - now) / 1000)}s`, { statusCode: 429, data: { retryAfterMs: until - now } });
+        }
+        cooldowns.set(key, now + command.cooldownMs);
+        // expired cooldowns are dropped lazily
+        if (cooldowns.size > 1000) {
+            for (const [key, until] of cooldowns) {
+                if (until <= now) {
+                    cooldowns.delete(key);
+                }
+            }
+        }
+    };
+    const dispatch = async (ctx) => {
+        const { command } = ctx;
+        if (!command) {
+            return;
+        }
+        if (command.groupOnly && !ctx.isGroup) {
+            throw new Boom(`${command.name} can only be used in groups`, { statusCode: 403 });
+        }
+        if (command.adminOnly && !(await ctx.isAdmin())) {
+            throw new Boom(`${command.name} can only be used by group admins`, { statusCode: 403 });
+        }
+        ctx.args = parseArguments(ctx.argv, ctx.rest, command, ctx.mentionedJids);
+        checkCooldown(ctx);
+        await command.handler(ctx);
+    };
+    const makeContext = (msg, text) => {
+        const { key } = msg;
+        const jid = key.remoteJid;
+        const isGroup = isJidGroup(jid);
+        const content = normalizeMessageContent(msg.message);
+        const contextInfo = content?.[Object.keys(content).find(type => content[type]?.contextInfo)]?.contextInfo;
+        const ctx = {
+            sock: currentSock,
+            msg,
+            key,
+            jid,
+            isGroup,
+            sender: jidNormalizedUser(key.fromMe ? currentSock.user?.id : key.participant || jid),
+            senderAlt: key.fromMe ? undefined : jidNormalizedUser(isGroup ? key.participantAlt : key.remoteJidAlt) || undefined,
+            text,
+            mentionedJids: contextInfo?.mentionedJid || [],
+            quoted: contextInfo?.quotedMessage,
+            state: {},
+            reply: (reply, options) => currentSock.sendMessage(jid, typeof reply === 'string' ? { text: reply } : reply, { quoted: msg, ...options }),
+            react: (emoji) => currentSock.sendMessage(jid, { react: { text: emoji, key } }),
+            isAdmin: () => isSenderAdmin(ctx)
+        };
+        const usedPrefix = matchPrefix(text, prefix);
+        if (usedPrefix === undefined) {
+            return ctx;
+        }
+        const body = text.slice(usedPrefix.length).trimStart();
+        const [name = ''] = body.split(/\s/, 1);
+        const command = commands.get(normalizeName(name));
+        if (!command) {
+            return ctx;
+        }
+        const argsText = body.slice(name.length).trim();
+        const argv = splitArguments(argsText);
+        ctx.prefix = usedPrefix;
+        ctx.command = command;
+        ctx.commandName = name;
+        ctx.argv = argv;
+        ctx.argsText = argsText;
+        // the raw text starting at argument `index`, for `rest` arguments
+        ctx.rest = (index) => {
+            let remaining = argsText;
+            for (let i = 0; i < index && remaining; i++) {
+                remaining = remaining.replace(/^\s*("[^"]*"|'[^']*'|\S+)/, '');
+            }
+            return remaining.trim();
+        };
+        return ctx;
+    };
+    const handleError = async (error, ctx) => {
+        if (onError) {
+            return onError(error, ctx);
+        }
+        if (error.isBoom && error.output.statusCode < 500) {
+            await ctx.reply(error.message);
+            return;
+        }
+        logger?.error({ error, jid: ctx.jid, command: ctx.command?.name }, 'command failed');
+    };
+    const handle = async (msg) => {
+        if (!msg.message || (msg.key.fromMe && !fromMe) || isJidStatusBroadcast(msg.key.remoteJid)) {
+            return;
+        }
+        const text = extractCommandText(msg.message)?.trim();
+        if (!text) {
+            return;
+        }
+        const ctx = makeContext(msg, text);
+        try {
+            await run(ctx, dispatch);
+        }
+        catch (error) {
+            await handleError(error, ctx).catch(error => logger?.error({ error }, 'failed to handle command error'));
+        }
+    };
+    const onMessagesUpsert = ({ messages, type }) => {
+        if (type !== 'notify') {
+            return;
+        }
+        for (const msg of messages) {
+            void handle(msg);
+        }
+    };
+    const bind = (sock) => {
+        currentSock?.ev.off('messages.upsert', onMessagesUpsert);
+        currentSock = sock;
+        sock.ev.on('messages.upsert', onMessagesUpsert);
+    };
+    bind(sock);
+    const router = {
+        /** switches to a new socket, eg. after reconnecting */
+        bind,
+        /** adds a middleware, `(ctx, next) => {}`, run in the order they were added */
+        use: (middleware) => {
+            middlewares.push(middleware);
+            return router;
+        },
+        /**
+         * registers a command
+         * @param opts `aliases`, `description`, `args` as `[{ name, type, required, default, choices }]`
+         * where `type` is string, number, integer, boolean, jid or rest (the remaining text),
+         * `cooldownMs` per sender, `adminOnly`, `groupOnly`
+         */
+        command: (name, opts, handler) => {
+            if (typeof opts === 'function') {
+                handler = opts;
+                opts = {};
+            }
+            const args = opts.args || [];
+            const restIndex = args.findIndex(arg => arg.type === 'rest');
+            if (restIndex !== -1 && restIndex !== args.length - 1) {
+                throw new Error(`"rest" argument of command "${name}" must be the last one`);
+            }
+            const command = {
+                ...opts,
+                name,
+                aliases: opts.aliases || [],
+                handler,
+                usage: [name, ...args.map(describeArgument)].join(' ')
+            };
+            for (const alias of [name, ...command.aliases]) {
+                const existing = commands.get(normalizeName(alias));
+                if (existing) {
+                    throw new Error(`"${alias}" is already registered for command "${existing.name}"`);
+                }
+                commands.set(normalizeName(alias), command);
+            }
+            return router;
+        },
+        /** every registered command, without the aliases, eg. to build a help message */
+        get commands() {
+            return [...new Set(commands.values())];
+        },
+        /** runs a message through the router, for messages that didn't come from `messages.upsert` */
+        handle,
+        stop: () => {
+            currentSock?.ev.off('messages.upsert', onMessagesUpsert);
+            cooldowns.clear();
+        }
+    };
+    return router;
+};
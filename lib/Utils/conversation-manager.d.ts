@@ -0,0 +1,132 @@
+export function makeMemoryConversationStore(): ConversationStore;
+export function makeKeyValueConversationStore(adapter: any, { prefix }?: {
+    prefix?: string | undefined;
+}): ConversationStore;
+export type ConversationStore = {
+    get: (id: string) => Promise<ConversationSession | undefined>;
+    set: (session: ConversationSession) => Promise<void>;
+    del: (id: string) => Promise<void>;
+    list: () => Promise<ConversationSession[]>;
+};
+export type ConversationSession = {
+    id: string;
+    flow: string;
+    jid: string;
+    sender: string;
+    /** index of the current step */
+    step: number;
+    attempts: number;
+    /** the answers so far, by step id */
+    data: Record<string, any>;
+    startedAt: number;
+    updatedAt?: number;
+    expiresAt?: number;
+};
+export type ConversationReply = {
+    text?: string;
+    message: any;
+    buttonReply?: {
+        id?: string;
+        displayText?: string;
+        index?: number;
+    };
+    listReply?: {
+        id?: string;
+        title?: string;
+        description?: string;
+    };
+    flowReply?: {
+        name?: string;
+        params: Record<string, any>;
+        version?: number;
+    };
+};
+export type ConversationContext = {
+    sock: any;
+    jid: string;
+    sender: string;
+    data: Record<string, any>;
+    session: ConversationSession;
+    /** the message being answered with, in `validate` & `onAnswer` */
+    msg?: any;
+    reply: (content: string | any) => Promise<any>;
+    /** lets a step go back, eg. "edit" on a summary step */
+    goTo: (stepId: string) => void;
+};
+export type ConversationStep = {
+    id: string;
+    prompt?: string | any | ((ctx: ConversationContext) => string | any | Promise<string | any>);
+    expect?: 'text' | 'number' | 'buttonReply' | 'listReply' | 'flowReply' | 'any';
+    choices?: any[];
+    /** returns the value to store, `false` or throws to reject the reply */
+    validate?: (value: any, ctx: ConversationContext, reply: ConversationReply) => any;
+    skip?: (ctx: ConversationContext) => boolean | Promise<boolean>;
+    onAnswer?: (value: any, ctx: ConversationContext) => void | Promise<void>;
+    timeoutMs?: number;
+    maxAttempts?: number;
+    invalidMessage?: string;
+};
+export type ConversationFlow = {
+    steps: ConversationStep[];
+    timeoutMs?: number;
+    maxAttempts?: number;
+    onComplete?: (ctx: ConversationContext) => void | Promise<void>;
+    onCancel?: (ctx: ConversationContext, reason: 'keyword' | 'timeout' | 'attempts' | 'manual') => void | Promise<void>;
+};
+/**
+ * Runs multi-step conversations, eg. "what's your name?" -> "pick a date" -> done
+ *
+ * Flows are declared once with `define` & started per chat & sender with `start`,
+ * every reply from that sender in that chat is then taken as the answer to the current step
+ * until the flow completes, is cancelled (one of `cancelKeywords`) or times out.
+ * In-progress conversations are kept in `store`, their timeouts are re-armed when bound to an open socket & every time
+ * it reports `connection: 'open'`, so flows survive restarts as long as they're defined again.
+ * Senders addressed by LID are matched to their PN through the socket's LID mapping.
+ * Call `bind()` with the new socket after reconnecting.
+ * @param store see `makeMemoryConversationStore` for the contract
+ * @param opts `timeoutMs` per step, `cancelKeywords`, `messages` to override the default replies,
+ * `listen: false` to only handle messages passed to `handle` or through `middleware()`
+ */
+export function makeConversationManager(sock: any, store?: ConversationStore, { timeoutMs, cancelKeywords, maxAttempts, messages, listen, logger }?: {
+    timeoutMs?: number | undefined;
+    cancelKeywords?: string[] | undefined;
+    maxAttempts?: number | undefined;
+    messages?: {
+        cancelled?: string;
+        timedOut?: string;
+        tooManyAttempts?: string;
+        invalid?: string;
+    } | undefined;
+    listen?: boolean | undefined;
+    logger?: any;
+}): {
+    /** switches to a new socket, eg. after reconnecting */
+    bind: (sock: any) => void;
+    /**
+     * declares a flow
+     * @param flow `steps` as `[{ id, prompt, expect, choices, validate, skip, onAnswer, timeoutMs, maxAttempts, invalidMessage }]`
+     * where `expect` is text, number, buttonReply, listReply, flowReply or any,
+     * `onComplete(ctx)` with the answers in `ctx.data` & `onCancel(ctx, reason)`
+     */
+    define: (name: string, flow: ConversationFlow) => void;
+    /**
+     * starts a flow for `sender` in `jid`, replacing any conversation they're already in
+     * @param sender the participant in groups, defaults to `jid`
+     * @param data initial answers, available as `ctx.data`
+     */
+    start: (name: string, jid: string, sender?: string, data?: Record<string, any>) => Promise<ConversationSession>;
+    /** @returns whether a conversation was in progress */
+    cancel: (jid: string, sender?: string) => Promise<boolean>;
+    /** @returns the in-progress conversation of `sender` in `jid`, if any */
+    get: (jid: string, sender?: string) => Promise<ConversationSession | undefined>;
+    list: () => Promise<ConversationSession[]>;
+    /**
+     * handles a message if its sender is in a conversation in that chat
+     * @returns whether the message was taken as an answer
+     */
+    handle: (msg: any) => Promise<boolean>;
+    /** makeCommandRouter middleware, replies in a conversation don't reach the commands */
+    middleware: () => (ctx: any, next: () => Promise<void>) => Promise<void>;
+    /** clears every timer, conversations stay in the store */
+    stop: () => void;
+};
@@ -0,0 +1,465 @@
+import { isHostedLidUser, isJidStatusBroadcast, isLidUser, jidNormalizedUser } from '../WABinary/index.js';
+import { BufferJSON } from './generics.js';
+import { parseInteractiveResponse } from './interactive-response.js';
+import { extractMessageText, normalizeMessageContent } from './messages.js';
+// Lia@Changes 19-10-26 --- Add makeConversationManager, multi-step flows keyed by chat & sender that survive restarts
+const DEFAULT_MESSAGES = {
+    cancelled: 'Cancelled.',
+    timedOut: 'No reply for a while, cancelled.',
+    tooManyAttempts: 'Too many invalid replies, cancelled.',
+    invalid: 'Invalid reply, try again.'
+};
+const isSocketOpen = (sock) => !!sock.user && !!sock.ws?.isOpen;
+/**
+ * Conversation store kept in memory, in-progress flows are lost on restart
+ *
+ * The store contract is `get(id)`, `set(session)`, `del(id)` & `list()`, all may be async
+ */
+export const makeMemoryConversationStore = () => {
+    const sessions = new Map();
+    return {
+        get: async (id) => sessions.get(id),
+        set: async (session) => {
+            sessions.set(session.id, session);
+        },
+        del: async (id) => {
+            sessions.delete(id);
+        },
+        list: async () => [...sessions.values()]
+    };
+};
+/**
+ * Persists conversations through a key-value adapter, eg. `makeRedisKeyValueAdapter(redis)`
+ * @param adapter see `makeMemoryKeyValueAdapter`, must implement `keys(prefix)`
+ */
+export const makeKeyValueConversationStore = (adapter, { prefix = 'baileys:conversation:' } = {}) => {
+    if (!adapter.keys) {
+        throw new Error('key-value adapter does not implement `keys(prefix)`, cannot list conversations');
+    }
+    const read = (raw) => (raw ? JSON.parse(raw, BufferJSON.reviver) : undefined);
+    return {
+        get: async (id) => read(await adapter.get(prefix + id)),
+        set: async (session) => {
+            await adapter.set(prefix + session.id, JSON.stringify(session, BufferJSON.replacer));
+        },
+        del: async (id) => {
+            await adapter.del(prefix + id);
+        },
+        list: async () => {
+            const keys = await adapter.keys(prefix);
+            const values = adapter.mget ? await adapter.mget(keys) : await Promise.all(keys.map(key => adapter.get(key)));
+            return values.map(read).filter(Boolean);
+        }
+    };
+};
+/**
+ * What a reply carries, in the shape of the content it answers,
+ * eg. `buttonReply: { id, displayText }` for a reply to `buttons`
+ */
+const getReply = (message) => {
+    const content = normalizeMessageContent(message);
+    const reply = { text: extractMessageText(content)?.trim(), message: content };
+    const response = parseInteractiveResponse(content);
+    switch (response?.kind) {
+        case 'button':
+        case 'template_button':
+            reply.buttonReply = { id: response.selectedId, displayText: response.selectedTitle, index: response.selectedIndex };
+            break;
+        case 'list':
+            reply.listReply = { id: response.selectedId, title: response.selectedTitle, description: response.description };
+            break;
+        case 'native_flow':
+            // quick reply & single select buttons answer with just an `id`, anything else is a flow
+            if (response.selectedId && Object.keys(response.params).length === 1) {
+                reply.buttonReply = { id: response.selectedId, displayText: response.selectedTitle };
+            }
+            else {
+                reply.flowReply = { name: response.name, params: response.params || {}, version: response.version };
+            }
+            break;
+    }
+    return reply;
+};
+/**
+ * Checks a reply against what the step `expect`s
+ * @returns the value stored for the step
+ */
+const readReply = (reply, { expect = 'text', choices }) => {
+    let value;
+    switch (expect) {
+        case 'text':
+            value = reply.text;
+            break;
+        case 'number':
+            value = reply.text ? Number(reply.text.replace(',', '.')) : NaN;
+            if (!Number.isFinite(value)) {
+                throw new Error('Reply with a number.');
+            }
+            break;
+        case 'buttonReply':
+        case 'listReply':
+            // typing the option instead of tapping it is accepted too
+            value = reply[expect]?.id || (choices && reply.text);
+            if (!value) {
+                throw new Error(expect === 'buttonReply' ? 'Tap one of the buttons.' : 'Pick an option from the list.');
+            }
+            break;
+        case 'flowReply':
+            value = reply.flowReply?.params;
+            if (!value) {
+                throw new Error('Fill in the form to continue.');
+            }
+            break;
+        case 'any':
+            value = reply;
+            break;
+        default:
+            throw new Error(`unknown reply type "${expect}", use text, number, buttonReply, listReply, flowReply or any`);
+    }
+    if (choices) {
+        const choice = choices.find(choice => String(choice).toLowerCase() === String(value).toLowerCase());
+        if (choice === undefined) {
+            throw new Error(`Reply with one of: ${choices.join(', ')}`);
+        }
+        value = choice;
+    }
+    if (expect === 'text' && !value) {
+        // falls back to the `invalid` message
+        throw new Error();
+    }
+    return value;
+};
+/**
+ * Runs multi-step conversations, eg. "what's your name?" -> "pick a date" -> done
+ *
+ * Flows are declared once with `define` & started per chat & sender with `start`,
+ * every reply from that sender in that chat is then taken as the answer to the current step
+ * until the flow completes, is cancelled (one of `cancelKeywords`) or times out.
+ * In-progress conversations are kept in `store`, their timeouts are re-armed when bound to an open socket & every time
+ * it reports `connection: 'open'`, so flows survive restarts as long as they're defined again.
+ * Senders addressed by LID are matched to their PN through the socket's LID mapping.
+ * Call `bind()` with the new socket after reconnecting.
+ * @param store see `makeMemoryConversationStore` for the contract
+ * @param opts `timeoutMs` per step, `cancelKeywords`, `messages` to override the default replies,
+ * `listen: false` to only handle messages passed to `handle` or through `middleware()`
+ */
+export const makeConversationManager = (sock, store = makeMemoryConversationStore(), { timeoutMs = 5 * 60 * 1000, cancelKeywords = ['cancel', 'stop'], maxAttempts = 3, messages, listen = true, logger } = {}) => {
+    const flows = new Map();
+    const timers = new Map();
+    /** per conversation, so a burst of replies is handled one at a time */
+    const queues = new Map();
+    const replies = { ...DEFAULT_MESSAGES, ...messages };
+    const keywords = cancelKeywords.map(keyword => keyword.toLowerCase());
+    let currentSock;
+    /**
+     * the PN of a LID when it's known, so a sender gets the same id whether they're addressed by PN or LID
+     * @param alt the other form of `jid`, eg. `participantAlt`
+     */
+    const toPN = async (jid, alt) => {
+        jid = jidNormalizedUser(jid);
+        if (!isLidUser(jid) && !isHostedLidUser(jid)) {
+            return jid;
+        }
+        if (alt && !isLidUser(alt) && !isHostedLidUser(alt)) {
+            return jidNormalizedUser(alt);
+        }
+        const pn = await currentSock?.signalRepository?.lidMapping?.getPNForLID(jid).catch(() => null);
+        return pn ? jidNormalizedUser(pn) : jid;
+    };
+    const getId = async (jid, sender, { jidAlt, senderAlt } = {}) => `${await toPN(jid, jidAlt)}:${await toPN(sender || jid, sender ? senderAlt : jidAlt)}`;
+    const getRawId = (jid, sender) => `${jidNormalizedUser(jid)}:${jidNormalizedUser(sender || jid)}`;
+    const clearTimer = (id) => {
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+    };
+    const serialize = (id, task) => {
+        const previous = queues.get(id) || Promise.resolve();
+        const next = previous.then(task, task);
+        queues.set(id, next);
+        next.finally(() => {
+            if (queues.get(id) === next) {
+                queues.delete(id);
+            }
+        }).catch(() => { });
+        return next;
+    };
+    const makeContext = (session, flow) => ({
+        sock: currentSock,
+        jid: session.jid,
+        sender: session.sender,
+        data: session.data,
+        session,
+        reply: (content) => currentSock.sendMessage(session.jid, typeof content === 'string' ? { text: content } : content),
+        // lets a step go back, eg. "edit" on a summary step
+        goTo: (stepId) => {
+            const index = flow.steps.findIndex(step => step.id === stepId);
+            if (index === -1) {
+                throw new Error(`unknown step "${stepId}" in conversation "${flow.name}"`);
+            }
+            session.step = index;
+        }
+    });
+    const getFlow = (session) => {
+        const flow = flows.get(session.flow);
+        if (!flow) {
+            throw new Error(`conversation "${session.flow}" is not defined, define it before starting or restoring it`);
+        }
+        return flow;
+    };
+    const prompt = async (session, flow) => {
+        const step = flow.steps[session.step];
+        const content = typeof step.prompt === 'function' ? await step.prompt(makeContext(session, flow)) : step.prompt;
+        if (content) {
+            await currentSock.sendMessage(session.jid, typeof content === 'string' ? { text: content } : content);
+        }
+    };
+    const arm = (session) => {
+        clearTimer(session.id);
+        const remaining = session.expiresAt - Date.now();
+        timers.set(session.id, setTimeout(() => {
+            timers.delete(session.id);
+            serialize(session.id, () => end(session.id, 'timeout')).catch(error => logger?.error({ error, id: session.id }, 'failed to time out conversation'));
+        }, Math.max(0, remaining)));
+    };
+    const save = async (session, flow) => {
+        const step = flow.steps[session.step];
+        session.expiresAt = Date.now() + (step.timeoutMs || flow.timeoutMs || timeoutMs);
+        session.updatedAt = Date.now();
+        await store.set(session);
+        arm(session);
+    };
+    /** @param reason keyword, timeout, attempts or manual */
+    const end = async (id, reason) => {
+        clearTimer(id);
+        const session = await store.get(id);
+        if (!session) {
+            return false;
+        }
+        await store.del(id);
+        const flow = flows.get(session.flow);
+        const ctx = makeContext(session, flow || { steps: [] });
+        logger?.debug({ id, flow: session.flow, reason }, 'conversation cancelled');
+        if (flow?.onCancel) {
+            await flow.onCancel(ctx, reason);
+        }
+        else {
+            const reply = reason === 'timeout' ? replies.timedOut : reason === 'attempts' ? replies.tooManyAttempts : replies.cancelled;
+            if (reply && reason !== 'manual') {
+                await ctx.reply(reply);
+            }
+        }
+        return true;
+    };
+    const advance = async (session, flow) => {
+        const ctx = makeContext(session, flow);
+        session.attempts = 0;
+        // `skip(ctx)` leaves out steps that don't apply, eg. based on an earlier answer
+        while (session.step < flow.steps.length && (await flow.steps[session.step].skip?.(ctx))) {
+            session.step += 1;
+        }
+        if (session.step >= flow.steps.length) {
+            clearTimer(session.id);
+            await store.del(session.id);
+            logger?.debug({ id: session.id, flow: flow.name }, 'conversation completed');
+            await flow.onComplete?.(ctx);
+            return;
+        }
+        await save(session, flow);
+        await prompt(session, flow);
+    };
+    const answer = async (session, msg) => {
+        const flow = getFlow(session);
+        const reply = getReply(msg.message);
+        if (reply.text && keywords.includes(reply.text.toLowerCase())) {
+            await end(session.id, 'keyword');
+            return;
+        }
+        const step = flow.steps[session.step];
+        const ctx = makeContext(session, flow);
+        ctx.msg = msg;
+        let value;
+        try {
+            value = readReply(reply, step);
+            if (step.validate) {
+                // a validator returns the value to store, `false` or throws to reject the reply
+                const validated = await step.validate(value, ctx, reply);
+                if (validated === false) {
+                    throw new Error(step.invalidMessage || replies.invalid);
+                }
+                if (validated !== undefined && validated !== true) {
+                    value = validated;
+                }
+            }
+        }
+        catch (error) {
+            session.attempts = (session.attempts || 0) + 1;
+            if (session.attempts >= (step.maxAttempts || flow.maxAttempts || maxAttempts)) {
+                await end(session.id, 'attempts');
+                return;
+            }
+            await save(session, flow);
+            await ctx.reply(step.invalidMessage || error.message || replies.invalid);
+            return;
+        }
+        session.data[step.id] = value;
+        const current = session.step;
+        await step.onAnswer?.(value, ctx);
+        // `goTo` in `onAnswer` moves to that step instead of the next one
+        if (session.step === current) {
+            session.step += 1;
+        }
+        await advance(session, flow);
+    };
+    /**
+     * handles a message if its sender is in a conversation in that chat
+     * @returns whether the message was taken as an answer
+     */
+    const handle = async (msg) => {
+        const { key } = msg;
+        if (!msg.message || key.fromMe || isJidStatusBroadcast(key.remoteJid)) {
+            return false;
+        }
+        const ids = new Set([
+            await getId(key.remoteJid, key.participant, { jidAlt: key.remoteJidAlt, senderAlt: key.participantAlt }),
+            // started before the LID mapping was known
+            getRawId(key.remoteJid, key.participant)
+        ]);
+        let id;
+        for (const candidate of ids) {
+            if (queues.has(candidate) || timers.has(candidate) || (await store.get(candidate))) {
+                id = candidate;
+                break;
+            }
+        }
+        if (!id) {
+            return false;
+        }
+        return serialize(id, async () => {
+            const session = await store.get(id);
+            if (!session) {
+                return false;
+            }
+            await answer(session, msg);
+            return true;
+        });
+    };
+    /** @param flowName only restores the conversations of that flow */
+    const restore = async (flowName) => {
+        for (const session of await store.list()) {
+            if (flowName && session.flow !== flowName) {
+                continue;
+            }
+            if (!flows.has(session.flow)) {
+                // armed by `define` once it's there
+                logger?.debug({ id: session.id, flow: session.flow }, 'conversation flow is not defined yet, not restoring it');
+                continue;
+            }
+            arm(session);
+        }
+    };
+    const restoreAll = (flowName) => restore(flowName).catch(error => logger?.error({ error }, 'failed to restore conversations'));
+    const onMessagesUpsert = ({ messages, type }) => {
+        if (type !== 'notify') {
+            return;
+        }
+        for (const msg of messages) {
+            handle(msg).catch(error => logger?.error({ error, key: msg.key }, 'failed to handle conversation reply'));
+        }
+    };
+    const onConnectionUpdate = ({ connection }) => {
+        if (connection === 'open') {
+            restoreAll();
+        }
+    };
+    const bind = (sock) => {
+        if (currentSock) {
+            currentSock.ev.off('messages.upsert', onMessagesUpsert);
+            currentSock.ev.off('connection.update', onConnectionUpdate);
+        }
+        currentSock = sock;
+        if (listen) {
+            sock.ev.on('messages.upsert', onMessagesUpsert);
+        }
+        sock.ev.on('connection.update', onConnectionUpdate);
+        // a socket that's already open won't report `open` again
+        if (isSocketOpen(sock)) {
+            restoreAll();
+        }
+    };
+    bind(sock);
+    return {
+        /** switches to a new socket, eg. after reconnecting */
+        bind,
+        /**
+         * declares a flow
+         * @param flow `steps` as `[{ id, prompt, expect, choices, validate, skip, onAnswer, timeoutMs, maxAttempts, invalidMessage }]`
+         * where `expect` is text, number, buttonReply, listReply, flowReply or any,
+         * `onComplete(ctx)` with the answers in `ctx.data` & `onCancel(ctx, reason)`
+         */
+        define: (name, flow) => {
+            if (!flow.steps?.length) {
+                throw new Error(`conversation "${name}" needs at least one step`);
+            }
+            for (const step of flow.steps) {
+                if (!step.id) {
+                    throw new Error(`every step of conversation "${name}" needs an id`);
+                }
+            }
+            flows.set(name, { ...flow, name });
+            if (isSocketOpen(currentSock)) {
+                restoreAll(name);
+            }
+        },
+        /**
+         * starts a flow for `sender` in `jid`, replacing any conversation they're already in
+         * @param sender the participant in groups, defaults to `jid`
+         * @param data initial answers, available as `ctx.data`
+         */
+        start: async (name, jid, sender, data = {}) => {
+            const id = await getId(jid, sender);
+            return serialize(id, async () => {
+                const flow = flows.get(name);
+                if (!flow) {
+                    throw new Error(`conversation "${name}" is not defined`);
+                }
+                const session = {
+                    id,
+                    flow: name,
+                    jid,
+                    sender: sender || jid,
+                    step: 0,
+                    attempts: 0,
+                    data: { ...data },
+                    startedAt: Date.now()
+                };
+                await advance(session, flow);
+                return session;
+            });
+        },
+        /** @returns whether a conversation was in progress */
+        cancel: async (jid, sender) => {
+            const id = await getId(jid, sender);
+            return serialize(id, () => end(id, 'manual'));
+        },
+        /** @returns the in-progress conversation of `sender` in `jid`, if any */
+        get: async (jid, sender) => store.get(await getId(jid, sender)),
+        list: () => store.list(),
+        handle,
+        /** makeCommandRouter middleware, replies in a conversation don't reach the commands */
+        middleware: () => async (ctx, next) => {
+            if (!(await handle(ctx.msg))) {
+                await next();
+            }
+        },
+        /** clears every timer, conversations stay in the store */
+        stop: () => {
+            for (const id of timers.keys()) {
+                clearTimer(id);
+            }
+            if (currentSock) {
+                currentSock.ev.off('messages.upsert', onMessagesUpsert);
+                currentSock.ev.off('connection.update', onConnectionUpdate);
+            }
+        }
+    };
+};
@@ -0,0 +1,17 @@
+export function makeEncryptedKeyStore(authState: any, opts: any): {
+    state: {
+        creds: any;
+        keys: {
+            get: (type: any, ids: any) => Promise<{}>;
+            set: (data: any) => Promise<void>;
+            list?: (type: any) => any;
+        };
+    };
+    saveCreds: () => Promise<void>;
+    /**
+     * Re-encrypts the creds & every stored key with the current key,
+     * after which `previousKeys` can be dropped
+     * @returns number of keys re-encrypted
+     */
+    rotate: (types?: string[]) => Promise<number>;
+};
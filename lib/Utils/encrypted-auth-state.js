@@ -0,0 +1,160 @@
+import { randomBytes, scryptSync } from 'crypto';
+import { proto } from '../../WAProto/index.js';
+import { SIGNAL_KEY_TYPES } from '../Defaults/index.js';
+import { aesDecryptGCM, aesEncryptGCM, sha256 } from './crypto.js';
+import { BufferJSON } from './generics.js';
+// Lia@Changes 19-10-26 --- Add makeEncryptedKeyStore, encrypts creds & signal keys before any backend writes them
+const ENVELOPE_MAGIC = Buffer.from('BENC');
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_KEY_ID_LENGTH = 4;
+const ENVELOPE_IV_LENGTH = 12;
+const ENVELOPE_TAG_LENGTH = 16;
+const CREDS_ENVELOPE_FIELD = '__encrypted';
+const DEFAULT_PASSPHRASE_SALT = 'baileys-encrypted-key-store';
+/**
+ * Turns `key` (32 bytes) or `{ passphrase, salt }` into an AES-256 key,
+ * along with a short id stored next to every ciphertext so the right key is picked on rotation
+ */
+const resolveEncryptionKey = (opts) => {
+    let key;
+    if (Buffer.isBuffer(opts) || opts instanceof Uint8Array) {
+        key = Buffer.from(opts);
+    }
+    else if (opts?.key) {
+        key = Buffer.from(opts.key);
+    }
+    else if (opts?.passphrase) {
+        key = scryptSync(opts.passphrase, opts.salt || DEFAULT_PASSPHRASE_SALT, 32);
+    }
+    else {
+        throw new Error('makeEncryptedKeyStore needs either a 32 byte `key` or a `passphrase`');
+    }
+    if (key.length !== 32) {
+        throw new Error(`encryption key must be 32 bytes, got ${key.length}`);
+    }
+    return { key, id: sha256(key).subarray(0, ENVELOPE_KEY_ID_LENGTH).toString('hex') };
+};
+/**
+ * Packs as `magic | version | key id | iv | ciphertext + tag`.
+ * The buffer is kept under `keyData`, because some backends pass
+ * app-state-sync-key values through `AppStateSyncKeyData.fromObject` which drops unknown fields
+ */
+const sealValue = (value, { key, id }, aad) => {
+    const iv = randomBytes(ENVELOPE_IV_LENGTH);
+    const plaintext = Buffer.from(JSON.stringify(value, BufferJSON.replacer));
+    const ciphertext = aesEncryptGCM(plaintext, key, iv, Buffer.from(aad));
+    return {
+        keyData: Buffer.concat([ENVELOPE_MAGIC, Buffer.from([ENVELOPE_VERSION]), Buffer.from(id, 'hex'), iv, ciphertext])
+    };
+};
+const isSealed = (value) => {
+    const data = value?.keyData;
+    return !!data &&
+        data.length >= ENVELOPE_MAGIC.length + 1 + ENVELOPE_KEY_ID_LENGTH + ENVELOPE_IV_LENGTH + ENVELOPE_TAG_LENGTH &&
+        Buffer.from(data.subarray(0, ENVELOPE_MAGIC.length)).equals(ENVELOPE_MAGIC) &&
+        data[ENVELOPE_MAGIC.length] === ENVELOPE_VERSION;
+};
+const openValue = (value, keys, aad) => {
+    const data = Buffer.from(value.keyData);
+    let offset = ENVELOPE_MAGIC.length + 1;
+    const id = data.subarray(offset, offset + ENVELOPE_KEY_ID_LENGTH).toString('hex');
+    offset += ENVELOPE_KEY_ID_LENGTH;
+    const iv = data.subarray(offset, offset + ENVELOPE_IV_LENGTH);
+    const ciphertext = data.subarray(offset + ENVELOPE_IV_LENGTH);
+    const key = keys.find(k => k.id === id);
+    if (!key) {
+        throw new Error(`no encryption key with id ${id} configured for "${aad}", pass it in \`previousKeys\``);
+    }
+    return JSON.parse(aesDecryptGCM(ciphertext, key.key, iv, Buffer.from(aad)).toString(), BufferJSON.reviver);
+};
+/**
+ * Encrypts everything an auth state persists with AES-256-GCM,
+ * so a copy of the session folder/database is useless without the key
+ *
+ * Values written before the wrapper was added are still read as plaintext
+ * and get encrypted on their next write; `rotate()` encrypts all of them at once.
+ * @param authState `{ state, saveCreds }` returned by any of the auth state backends
+ * @param opts `key` (32 bytes) or `passphrase` (+ optional `salt`) to encrypt with,
+ * `previousKeys` lists older keys (or `{ passphrase, salt }`) that can still decrypt
+ */
+export const makeEncryptedKeyStore = (authState, opts) => {
+    const current = resolveEncryptionKey(opts);
+    const decryptionKeys = [current, ...(opts.previousKeys || []).map(resolveEncryptionKey)];
+    const { state, saveCreds: saveInnerCreds } = authState;
+    const innerCreds = state.creds;
+    const creds = innerCreds[CREDS_ENVELOPE_FIELD]
+        ? openValue(innerCreds[CREDS_ENVELOPE_FIELD], decryptionKeys, 'creds')
+        : { ...innerCreds };
+    const decryptKey = (type, id, value) => {
+        if (!isSealed(value)) {
+            return value;
+        }
+        const opened = openValue(value, decryptionKeys, `${type}/${id}`);
+        return type === 'app-state-sync-key' && opened ? proto.Message.AppStateSyncKeyData.fromObject(opened) : opened;
+    };
+    const keys = {
+        get: async (type, ids) => {
+            const data = await state.keys.get(type, ids);
+            const result = {};
+            for (const id of ids) {
+                result[id] = decryptKey(type, id, data[id]);
+            }
+            return result;
+        },
+        set: async (data) => {
+            const sealed = {};
+            for (const type in data) {
+                sealed[type] = {};
+                for (const id in data[type]) {
+                    const value = data[type][id];
+                    sealed[type][id] = value ? sealValue(value, current, `${type}/${id}`) : value;
+                }
+            }
+            await state.keys.set(sealed);
+        }
+    };
+    if (state.keys.list) {
+        keys.list = (type) => state.keys.list(type);
+    }
+    // the backend keeps persisting its own creds object, it just only ever holds the envelope
+    const saveCreds = async () => {
+        const envelope = sealValue(creds, current, 'creds');
+        for (const field of Object.keys(innerCreds)) {
+            delete innerCreds[field];
+        }
+        innerCreds[CREDS_ENVELOPE_FIELD] = envelope;
+        await saveInnerCreds();
+    };
+    return {
+        state: { creds, keys },
+        saveCreds,
+        /**
+         * Re-encrypts the creds & every stored key with the current key,
+         * after which `previousKeys` can be dropped
+         * @returns number of keys re-encrypted
+         */
+        rotate: async (types = SIGNAL_KEY_TYPES) => {
+            if (!keys.list) {
+                throw new Error('rotate() needs an auth state that can list its keys');
+            }
+            let rotated = 0;
+            for (const type of types) {
+                const ids = await keys.list(type);
+                if (!ids.length) {
+                    continue;
+                }
+                const values = await keys.get(type, ids);
+                const batch = {};
+                for (const id of ids) {
+                    if (values[id]) {
+                        batch[id] = values[id];
+                        rotated += 1;
+                    }
+                }
+                await keys.set({ [type]: batch });
+            }
+            await saveCreds();
+            return rotated;
+        }
+    };
+};
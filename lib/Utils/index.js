@@ -13,10 +13,25 @@ export * from './auth-utils.js';
 export * from './use-multi-file-auth-state.js';
 export * from './use-single-file-auth-state.js';
 export * from './use-sqlite-auth-state.js';
+export * from './use-key-value-auth-state.js';
+export * from './migrate-auth-state.js';
+export * from './encrypted-auth-state.js';
+export * from './stanza-recorder.js';
+export * from './message-scheduler.js';
+export * from './send-queue.js';
+export * from './outbox.js';
+export * from './interactive-response.js';
+export * from './native-flow.js';
+export * from './command-router.js';
+export * from './conversation-manager.js';
+export * from './markdown-utils.js';
+export * from './sticker-utils.js';
+export * from './media-downloader.js';
 export * from './link-preview.js';
 export * from './event-buffer.js';
 export * from './process-message.js';
 export * from './rich-message-utils.js';
+export * from './code-tokenizer.js';
 export * from './message-retry-manager.js';
 export * from './browser-utils.js';
 export * from './companion-reg-client-utils.js';
@@ -0,0 +1,79 @@
+export type InteractiveResponse = {
+    kind: 'button' | 'template_button' | 'list' | 'native_flow';
+    selectedId?: string;
+    selectedTitle?: string;
+    selectedIndex?: number;
+    /** the row description, for list replies */
+    description?: string;
+    /** the native flow name & its parsed `paramsJson`, for native flow replies */
+    name?: string;
+    version?: number;
+    params?: Record<string, any>;
+    /** the key of the message replied to, `fromMe` is left out as the response doesn't tell */
+    originalKey?: {
+        remoteJid: string;
+        id: string;
+        participant?: string;
+    };
+};
+export type InteractiveButton = {
+    kind: 'button' | 'template_button' | 'list' | 'native_flow';
+    id?: string;
+    title?: string;
+    description?: string;
+    /** native flow button name, eg. quick_reply, cta_url or single_select */
+    name?: string;
+    params?: Record<string, any>;
+    /** the list section title, for list & single_select rows */
+    section?: string;
+    /** the carousel card index */
+    card?: number;
+    index?: number;
+    url?: string;
+    phoneNumber?: string;
+};
+export type InteractiveRegistryEntry = {
+    key: proto.IMessageKey;
+    buttons: InteractiveButton[];
+    sentAt: number;
+};
+/**
+ * Reads the reply to a `buttons`, `sections`, `templateButtons`, `nativeFlow` or `cards` message
+ * @param msg the received message, or just its content
+ * @returns `{ kind, selectedId, selectedTitle, params, originalKey }` where `kind` is
+ * button, template_button, list or native_flow, undefined if the message isn't such a reply
+ */
+export declare const parseInteractiveResponse: (msg: proto.IWebMessageInfo | proto.IMessage | null | undefined) => InteractiveResponse | undefined;
+/**
+ * Collects the options a sent interactive message offers
+ * @returns the button, template button, list row & native flow definitions, empty if it isn't interactive
+ */
+export declare const getInteractiveButtons: (message: proto.IMessage | null | undefined) => InteractiveButton[];
+/**
+ * Opt-in registry of sent interactive messages, links every reply to the message & the button it answers
+ *
+ * `bind(sock)` registers every interactive message the socket sends, `register` adds one manually.
+ * Entries are kept for `ttlMs`, the oldest are dropped past `maxSize`
+ */
+export declare const makeInteractiveRegistry: ({ maxSize, ttlMs }?: {
+    maxSize?: number;
+    ttlMs?: number;
+}) => {
+    register: (msg: proto.IWebMessageInfo) => InteractiveRegistryEntry | undefined;
+    /** @returns the registered message with this ID */
+    get: (id: string) => InteractiveRegistryEntry | undefined;
+    /**
+     * parses a reply & looks up what it answers
+     * @returns the parsed response with `original` (the registered message) & `button` (the option picked),
+     * both undefined when the message isn't registered, undefined if it isn't a reply at all
+     */
+    resolve: (msg: proto.IWebMessageInfo) => (InteractiveResponse & {
+        original?: InteractiveRegistryEntry;
+        button?: InteractiveButton;
+    }) | undefined;
+    /** registers every interactive message `sock` sends, call again with the new socket after reconnecting */
+    bind: (sock: any) => void;
+    stop: () => void;
+    clear: () => void;
+};
+import { proto } from '../../WAProto/index.js';
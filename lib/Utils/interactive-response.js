@@ -0,0 +1,214 @@
+import { isJidGroup } from '../WABinary/index.js';
+import { normalizeMessageContent } from './messages.js';
+// Lia@Changes 19-10-26 --- Add parseInteractiveResponse & makeInteractiveRegistry, maps button/list/native flow replies back to the message they answer
+const parseJson = (json) => {
+    if (!json) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(json);
+    }
+    catch {
+        return undefined;
+    }
+};
+/**
+ * the key of the message a response answers, `fromMe` is left out as the response doesn't tell
+ */
+const getOriginalKey = (contextInfo, remoteJid) => {
+    if (!contextInfo?.stanzaId) {
+        return undefined;
+    }
+    const jid = contextInfo.remoteJid || remoteJid;
+    return {
+        remoteJid: jid,
+        id: contextInfo.stanzaId,
+        participant: isJidGroup(jid) ? contextInfo.participant || undefined : undefined
+    };
+};
+/**
+ * Reads the reply to a `buttons`, `sections`, `templateButtons`, `nativeFlow` or `cards` message
+ * @param msg the received message, or just its content
+ * @returns `{ kind, selectedId, selectedTitle, params, originalKey }` where `kind` is
+ * button, template_button, list or native_flow, undefined if the message isn't such a reply
+ */
+export const parseInteractiveResponse = (msg) => {
+    const content = normalizeMessageContent(msg?.key ? msg.message : msg);
+    const remoteJid = msg?.key?.remoteJid;
+    if (content?.buttonsResponseMessage) {
+        const { selectedButtonId, selectedDisplayText, contextInfo } = content.buttonsResponseMessage;
+        return {
+            kind: 'button',
+            selectedId: selectedButtonId || undefined,
+            selectedTitle: selectedDisplayText || undefined,
+            originalKey: getOriginalKey(contextInfo, remoteJid)
+        };
+    }
+    if (content?.templateButtonReplyMessage) {
+        const { selectedId, selectedDisplayText, selectedIndex, contextInfo } = content.templateButtonReplyMessage;
+        return {
+            kind: 'template_button',
+            selectedId: selectedId || undefined,
+            selectedTitle: selectedDisplayText || undefined,
+            selectedIndex: selectedIndex ?? undefined,
+            originalKey: getOriginalKey(contextInfo, remoteJid)
+        };
+    }
+    if (content?.listResponseMessage) {
+        const { singleSelectReply, title, description, contextInfo } = content.listResponseMessage;
+        return {
+            kind: 'list',
+            selectedId: singleSelectReply?.selectedRowId || undefined,
+            selectedTitle: title || undefined,
+            description: description || undefined,
+            originalKey: getOriginalKey(contextInfo, remoteJid)
+        };
+    }
+    if (content?.interactiveResponseMessage) {
+        const { nativeFlowResponseMessage, body, contextInfo } = content.interactiveResponseMessage;
+        const params = parseJson(nativeFlowResponseMessage?.paramsJson);
+        return {
+            kind: 'native_flow',
+            // quick_reply & single_select answer with the `id` of the option, flows with their form values
+            selectedId: typeof params?.id === 'string' ? params.id : undefined,
+            selectedTitle: body?.text || undefined,
+            name: nativeFlowResponseMessage?.name || undefined,
+            version: nativeFlowResponseMessage?.version ?? undefined,
+            params,
+            originalKey: getOriginalKey(contextInfo, remoteJid)
+        };
+    }
+    return undefined;
+};
+const getNativeFlowButtons = (buttons, card) => {
+    const definitions = [];
+    for (const { name, buttonParamsJson } of buttons || []) {
+        const params = parseJson(buttonParamsJson) || {};
+        if (name === 'single_select') {
+            for (const section of params.sections || []) {
+                for (const row of section.rows || []) {
+                    definitions.push({ kind: 'native_flow', name, id: row.id, title: row.title, description: row.description, section: section.title, card });
+                }
+            }
+            continue;
+        }
+        definitions.push({ kind: 'native_flow', name, id: params.id, title: params.display_text, params, card });
+    }
+    return definitions;
+};
+const getListRows = (sections, kind) => {
+    const definitions = [];
+    for (const section of sections || []) {
+        for (const row of section.rows || []) {
+            definitions.push({ kind, id: row.rowId || row.id, title: row.title, description: row.description, section: section.title });
+        }
+    }
+    return definitions;
+};
+/**
+ * Collects the options a sent interactive message offers
+ * @returns the button, template button, list row & native flow definitions, empty if it isn't interactive
+ */
+export const getInteractiveButtons = (message) => {
+    const content = normalizeMessageContent(message);
+    if (content?.buttonsMessage) {
+        return content.buttonsMessage.buttons.flatMap(button => {
+            if (button.nativeFlowInfo) {
+                return getNativeFlowButtons([{ name: button.nativeFlowInfo.name, buttonParamsJson: button.nativeFlowInfo.paramsJson }]);
+            }
+            return [{ kind: 'button', id: button.buttonId, title: button.buttonText?.displayText }];
+        });
+    }
+    if (content?.listMessage) {
+        return getListRows(content.listMessage.sections, 'list');
+    }
+    const template = content?.templateMessage;
+    const hydrated = template?.hydratedTemplate || template?.hydratedFourRowTemplate;
+    if (hydrated) {
+        return (hydrated.hydratedButtons || []).map(button => {
+            const { displayText, id, url, phoneNumber } = button.quickReplyButton || button.urlButton || button.callButton || {};
+            return { kind: 'template_button', id, title: displayText, index: button.index, url, phoneNumber };
+        });
+    }
+    const interactive = content?.interactiveMessage || template?.interactiveMessageTemplate;
+    if (interactive?.carouselMessage) {
+        return interactive.carouselMessage.cards.flatMap((card, index) => getNativeFlowButtons(card.nativeFlowMessage?.buttons, index));
+    }
+    if (interactive?.nativeFlowMessage) {
+        return getNativeFlowButtons(interactive.nativeFlowMessage.buttons);
+    }
+    return [];
+};
+/**
+ * Opt-in registry of sent interactive messages, links every reply to the message & the button it answers
+ *
+ * `bind(sock)` registers every interactive message the socket sends, `register` adds one manually.
+ * Entries are kept for `ttlMs`, the oldest are dropped past `maxSize`
+ */
+export const makeInteractiveRegistry = ({ maxSize = 1000, ttlMs = 24 * 60 * 60 * 1000 } = {}) => {
+    const entries = new Map();
+    let currentSock;
+    const prune = () => {
+        const now = Date.now();
+        // entries are kept in insertion order, the oldest are first
+        for (const [id, entry] of entries) {
+            if (entries.size <= maxSize && now - entry.sentAt <= ttlMs) {
+                break;
+            }
+            entries.delete(id);
+        }
+    };
+    const register = (msg) => {
+        const buttons = getInteractiveButtons(msg.message);
+        if (!buttons.length) {
+            return undefined;
+        }
+        const entry = { key: msg.key, buttons, sentAt: Date.now() };
+        entries.delete(msg.key.id);
+        entries.set(msg.key.id, entry);
+        prune();
+        return entry;
+    };
+    const onMessagesUpsert = ({ messages }) => {
+        for (const msg of messages) {
+            if (msg.key.fromMe && msg.message) {
+                register(msg);
+            }
+        }
+    };
+    return {
+        register,
+        /** @returns the registered message with this ID */
+        get: (id) => {
+            const entry = entries.get(id);
+            return entry && Date.now() - entry.sentAt <= ttlMs ? entry : undefined;
+        },
+        /**
+         * parses a reply & looks up what it answers
+         * @returns the parsed response with `original` (the registered message) & `button` (the option picked),
+         * both undefined when the message isn't registered, undefined if it isn't a reply at all
+         */
+        resolve: (msg) => {
+            const response = parseInteractiveResponse(msg);
+            if (!response) {
+                return undefined;
+            }
+            const entry = response.originalKey && entries.get(response.originalKey.id);
+            const original = entry && Date.now() - entry.sentAt <= ttlMs ? entry : undefined;
+            const button = original?.buttons.find(button => response.selectedId !== undefined && button.id === response.selectedId) ||
+                original?.buttons.find(button => response.selectedTitle !== undefined && button.title === response.selectedTitle);
+            return { ...response, original, button };
+        },
+        /** registers every interactive message `sock` sends, call again with the new socket after reconnecting */
+        bind: (sock) => {
+            currentSock?.ev.off('messages.upsert', onMessagesUpsert);
+            currentSock = sock;
+            sock.ev.on('messages.upsert', onMessagesUpsert);
+        },
+        stop: () => {
+            currentSock?.ev.off('messages.upsert', onMessagesUpsert);
+            currentSock = undefined;
+        },
+        clear: () => entries.clear()
+    };
+};
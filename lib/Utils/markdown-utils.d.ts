@@ -0,0 +1,23 @@
+import { proto } from '../../WAProto/index.js';
+export type MarkdownToWhatsAppOptions = {
+    /** to build a rich response message, send it with `{ ...message, raw: true }` */
+    richResponse?: boolean;
+    /** the rich response disclaimer */
+    disclaimerText?: string;
+};
+/**
+ * Converts Markdown into WhatsApp formatting
+ *
+ * Bold, italic, strikethrough, inline code, headings, lists, quotes & links are converted to WhatsApp's own syntax.
+ * Fenced code blocks become ``` blocks & pipe tables are lined up inside one.
+ *
+ * With `richResponse`, fenced code & tables are sent as code & table submessages instead, through `prepareRichResponseMessage`;
+ * the text between them is kept as Markdown, which the rich response renders itself
+ * @returns the converted text, or the rich response message with `richResponse`
+ */
+export declare function markdownToWhatsApp(markdown: string, opts?: MarkdownToWhatsAppOptions & {
+    richResponse?: false;
+}): string;
+export declare function markdownToWhatsApp(markdown: string, opts: MarkdownToWhatsAppOptions & {
+    richResponse: true;
+}): proto.IMessage;
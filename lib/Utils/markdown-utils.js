@@ -0,0 +1,181 @@
+import { detectCodeLanguage, resolveCodeLanguage, tokenizeCode } from './code-tokenizer.js';
+import { prepareRichResponseMessage } from './rich-message-utils.js';
+// Lia@Changes 19-10-26 --- Add markdownToWhatsApp, turns CMS/LLM Markdown into WhatsApp formatting or a rich response
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HEADING_REGEX = /^ {0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_REGEX = /^ {0,3}((?:>\s?)+)(.*)$/;
+// placeholders can't appear in the text itself, so nothing inside them gets formatted
+const PLACEHOLDER_REGEX = /\u0000(\d+)\u0000/g;
+const BOLD = '\u0001';
+const splitRow = (line) => line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+const isTableStart = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_REGEX.test(lines[i + 1]) && lines[i + 1].includes('-');
+/**
+ * Splits Markdown into text, fenced code & pipe table blocks
+ */
+const parseBlocks = (markdown) => {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let text = [];
+    const flushText = () => {
+        if (text.length) {
+            blocks.push({ type: 'text', lines: text });
+            text = [];
+        }
+    };
+    for (let i = 0; i < lines.length; i++) {
+        const fence = lines[i].match(FENCE_REGEX);
+        if (fence) {
+            flushText();
+            const code = [];
+            // an unclosed fence runs to the end, like it does on GitHub
+            while (++i < lines.length && !(lines[i].trim().startsWith(fence[1]) && !lines[i].trim().slice(fence[1].length).trim())) {
+                code.push(lines[i]);
+            }
+            blocks.push({ type: 'code', language: fence[2].toLowerCase() || undefined, code: code.join('\n') });
+            continue;
+        }
+        if (isTableStart(lines, i)) {
+            flushText();
+            const rows = [splitRow(lines[i])];
+            i += 1;
+            while (i + 1 < lines.length && lines[i + 1].includes('|') && lines[i + 1].trim()) {
+                rows.push(splitRow(lines[++i]));
+            }
+            blocks.push({ type: 'table', rows });
+            continue;
+        }
+        text.push(lines[i]);
+    }
+    flushText();
+    return blocks;
+};
+/**
+ * Converts inline Markdown, eg. `**bold**`, `*italic*`, `~~strike~~` & links, into WhatsApp's syntax
+ */
+const convertInline = (text) => {
+    const protectedText = [];
+    const protect = (value) => `\u0000${protectedText.push(value) - 1}\u0000`;
+    return text
+        // code spans & URLs are kept as-is, underscores in them aren't italics
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => protect('`' + code.trim() + '`'))
+        .replace(/!\[([^\]]*)\]\(\s*<?([^\s>)]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, alt, url) => protect(alt ? `${alt} (${url})` : url))
+        .replace(/\[([^\]]+)\]\(\s*<?([^\s>)]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, label, url) => {
+            // [https://example.com](https://example.com) only needs the URL once
+            const plain = label.replace(/[*_~`]/g, '');
+            return plain === url || `mailto:${plain}` === url ? protect(url) : `${label} (${protect(url)})`;
+        })
+        .replace(/<((?:https?|mailto):[^\s>]+)>/g, (_, url) => protect(url))
+        .replace(/\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, url => protect(url))
+        .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, (_, char) => protect(char))
+        .replace(/(\*\*\*|___)(?=\S)([\s\S]*?\S)\1/g, `${BOLD}_$2_${BOLD}`)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, `${BOLD}$2${BOLD}`)
+        .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])/g, '$1_$2_')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~')
+        .replaceAll(BOLD, '*')
+        .replace(PLACEHOLDER_REGEX, (_, index) => protectedText[index]);
+};
+const convertLine = (line) => {
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+        // the whole heading is bold, bold inside it would close it early
+        return heading[1] ? `*${convertInline(heading[1].replace(/(\*\*|__)(?=\S)(.*?\S)\1/g, '$2'))}*` : '';
+    }
+    if (RULE_REGEX.test(line)) {
+        return '';
+    }
+    const quote = line.match(QUOTE_REGEX);
+    if (quote) {
+        // WhatsApp only has one level of quotes
+        return `> ${convertLine(quote[2])}`.trimEnd();
+    }
+    const list = line.match(LIST_REGEX);
+    if (list) {
+        // `* item` would read as bold, WhatsApp lists use `-` & `1.`
+        const marker = /\d/.test(list[2]) ? list[2].replace(')', '.') : '-';
+        return `${list[1]}${marker} ${convertInline(list[3])}`;
+    }
+    return convertInline(line);
+};
+const convertText = (lines) => lines
+    .map(convertLine)
+    .join('\n')
+    // Markdown hard line breaks
+    .replace(/( {2,}|\\)$/gm, '');
+/**
+ * Pads the cells so the table lines up in a monospace block
+ */
+const formatTable = (rows) => {
+    const columns = Math.max(...rows.map(row => row.length));
+    const widths = Array.from({ length: columns }, (_, column) => Math.max(...rows.map(row => [...(row[column] || '')].length)));
+    const format = (row) => widths.map((width, column) => (row[column] || '').padEnd(width + (row[column] || '').length - [...(row[column] || '')].length)).join(' | ').trimEnd();
+    const [heading, ...body] = rows;
+    return ['```', format(heading), widths.map(width => '-'.repeat(width)).join('-|-'), ...body.map(format), '```'].join('\n');
+};
+const trimBlankLines = (text) => text.replace(/^(\s*\n)+/, '').replace(/(\n\s*)+$/, '');
+/**
+ * Converts Markdown into WhatsApp formatting
+ *
+ * Bold, italic, strikethrough, inline code, headings, lists, quotes & links are converted to WhatsApp's own syntax.
+ * Fenced code blocks become ``` blocks & pipe tables are lined up inside one.
+ *
+ * With `richResponse`, fenced code & tables are sent as code & table submessages instead, through `prepareRichResponseMessage`;
+ * the text between them is kept as Markdown, which the rich response renders itself
+ * @param opts.richResponse to build a rich response message, send it with `{ ...message, raw: true }`
+ * @param opts.disclaimerText the rich response disclaimer
+ * @returns the converted text, or the rich response message with `richResponse`
+ */
+export const markdownToWhatsApp = (markdown, { richResponse = false, disclaimerText } = {}) => {
+    const blocks = parseBlocks(markdown || '');
+    if (!richResponse) {
+        return blocks
+            .map(block => {
+                switch (block.type) {
+                    case 'code':
+                        return '```\n' + block.code + '\n```';
+                    case 'table':
+                        return formatTable(block.rows);
+                    default:
+                        return convertText(block.lines);
+                }
+            })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+    const submessages = [];
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'code': {
+                // the label names the grammar the code is highlighted with, eg. `typescript` for a `ts` fence
+                const language = resolveCodeLanguage(block.language) || resolveCodeLanguage(detectCodeLanguage(block.code));
+                submessages.push({ language: language || block.language || 'text', code: tokenizeCode(block.code, language) });
+                break;
+            }
+            case 'table': {
+                const [heading, ...body] = block.rows;
+                submessages.push({
+                    table: [
+                        { isHeading: true, items: heading },
+                        ...body.map(items => ({ isHeading: false, items: heading.map((_, column) => items[column] || '') }))
+                    ]
+                });
+                break;
+            }
+            default: {
+                const text = trimBlankLines(block.lines.join('\n'));
+                if (text.trim()) {
+                    submessages.push({ text });
+                }
+            }
+        }
+    }
+    return prepareRichResponseMessage({ richResponse: submessages, disclaimerText });
+};
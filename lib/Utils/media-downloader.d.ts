@@ -0,0 +1,47 @@
+export type MediaDownloadProgress = {
+    bytesDownloaded: number;
+    /** the decrypted size, when the message has its `fileLength` */
+    totalBytes?: number;
+};
+export type MediaDownloaderOptions = {
+    /** where the decrypted media is written */
+    filePath: string;
+    /** the bytes of `filePath` to keep, eg. `bytesDownloaded` of an earlier download */
+    resumeFrom?: number;
+    onProgress?: (progress: MediaDownloadProgress) => void;
+    /** re-uploads expired media, when `ctx.reuploadRequest` is given */
+    autoReupload?: boolean;
+    /** the retries in a row before giving up */
+    maxRetries?: number;
+    /** doubled on every retry */
+    retryDelayMs?: number;
+    /** fetch options, eg. `dispatcher`, `headers` & `host` */
+    options?: any;
+};
+export type MediaDownloader = {
+    /** downloads, or resumes, the media into `filePath` */
+    download: () => Promise<{
+        filePath: string;
+        fileLength: number;
+        fileSha256: Buffer;
+        /** the message, updated when the media was re-uploaded */
+        message: any;
+    }>;
+    /** stops the download, what's on disk can be resumed from `bytesDownloaded` */
+    abort: () => void;
+    readonly bytesDownloaded: number;
+    /** the message, updated when the media was re-uploaded */
+    readonly message: any;
+};
+/**
+ * Creates a downloader that streams the media of `message` into `filePath`
+ *
+ * Only the ciphertext past what's already on disk is requested, with a `Range` header,
+ * so a download can resume after a dropped connection, an `abort()` or a restart, from the last whole AES-CBC block.
+ * Network errors are retried, & expired media (404/410) is re-uploaded with `ctx.reuploadRequest`, eg. `sock.updateMediaMessage`.
+ * Once done, the MAC, `fileSha256` & `fileEncSha256` are verified, a file that doesn't match them is removed
+ */
+export declare const createMediaDownloader: (message: any, opts: MediaDownloaderOptions, ctx?: {
+    logger?: any;
+    reuploadRequest?: (message: any) => Promise<any>;
+}) => MediaDownloader;
@@ -0,0 +1,277 @@
+import { Boom } from '@hapi/boom';
+import * as Crypto from 'crypto';
+import { once } from 'events';
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import { Readable } from 'stream';
+import { DEFAULT_ORIGIN } from '../Defaults/index.js';
+import { delayCancellable, toNumber } from './generics.js';
+import { getMediaKeys, getUrlFromDirectPath } from './messages-media.js';
+import { extractMessageContent, getContentType } from './messages.js';
+// Lia@Changes 19-10-26 --- Add createMediaDownloader, resumable media downloads straight to disk
+const AES_BLOCK_SIZE = 16;
+const MAC_LENGTH = 10;
+const REUPLOAD_REQUIRED_STATUS = [404, 410];
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+const toBlockSize = (num) => Math.floor(num / AES_BLOCK_SIZE) * AES_BLOCK_SIZE;
+const toHash = (value) => typeof value === 'string' ? Buffer.from(value, 'base64') : value?.length ? Buffer.from(value) : undefined;
+const getMediaContent = (message) => {
+    const content = extractMessageContent(message.message);
+    const contentType = content && getContentType(content);
+    const media = contentType && content[contentType];
+    if (!media?.mediaKey || (!media.directPath && !media.url)) {
+        throw new Boom('given message is not a media message', { statusCode: 400, data: message.key });
+    }
+    return {
+        media,
+        mediaType: contentType === 'stickerPackMessage' ? 'sticker-pack' : contentType.replace('Message', '')
+    };
+};
+const getDownloadUrl = ({ directPath, url }, host) => {
+    if (!directPath) {
+        return url;
+    }
+    if (!host && url) {
+        try {
+            host = new URL(url).host;
+        }
+        catch { }
+    }
+    return getUrlFromDirectPath(directPath, host);
+};
+/**
+ * HTTP errors are only retried when they're temporary, anything without a status is a dropped connection,
+ * except errors of the file being written
+ */
+const isRetryableError = (error) => error?.isBoom ? RETRYABLE_STATUS.includes(error.output.statusCode) : !error?.path;
+/**
+ * Creates a downloader that streams the media of `message` into `filePath`
+ *
+ * Only the ciphertext past what's already on disk is requested, with a `Range` header,
+ * so a download can resume after a dropped connection, an `abort()` or a restart, from the last whole AES-CBC block.
+ * Network errors are retried, & expired media (404/410) is re-uploaded with `ctx.reuploadRequest`, eg. `sock.updateMediaMessage`.
+ * Once done, the MAC, `fileSha256` & `fileEncSha256` are verified, a file that doesn't match them is removed
+ * @param opts.resumeFrom the bytes of `filePath` to keep, eg. `bytesDownloaded` of an earlier download
+ * @param opts.onProgress called after every decrypted chunk
+ * @param opts.autoReupload re-uploads expired media, when `ctx.reuploadRequest` is given
+ * @param opts.maxRetries the retries in a row before giving up
+ */
+export const createMediaDownloader = (message, { filePath, resumeFrom = 0, onProgress, autoReupload = true, maxRetries = 5, retryDelayMs = 1000, options } = {}, ctx) => {
+    if (!filePath) {
+        throw new Boom('A filePath is required to download to', { statusCode: 400 });
+    }
+    let bytesDownloaded = 0;
+    let isDownloading = false;
+    let aborted = false;
+    let controller;
+    let cancelDelay;
+    const download = async () => {
+        if (isDownloading) {
+            throw new Boom('Media is already being downloaded', { statusCode: 409 });
+        }
+        isDownloading = true;
+        aborted = false;
+        try {
+            return await downloadToFile();
+        }
+        finally {
+            // calling download() again resumes
+            resumeFrom = bytesDownloaded;
+            isDownloading = false;
+        }
+    };
+    const downloadToFile = async () => {
+        let { media, mediaType } = getMediaContent(message);
+        const { cipherKey, iv, macKey } = await getMediaKeys(media.mediaKey, mediaType);
+        const fileLength = toNumber(media.fileLength) || undefined;
+        const encLength = fileLength && toBlockSize(fileLength) + AES_BLOCK_SIZE + MAC_LENGTH;
+        const existingLength = await fs.stat(filePath).then(stat => stat.size, () => 0);
+        let offset = toBlockSize(Math.min(resumeFrom, existingLength));
+        const handle = await fs.open(filePath, 'a');
+        await handle.truncate(offset);
+        await handle.close();
+        const sha256Plain = Crypto.createHash('sha256');
+        const sha256Enc = Crypto.createHash('sha256');
+        const hmac = Crypto.createHmac('sha256', macKey).update(iv);
+        let decipherIv = iv;
+        if (offset) {
+            // CBC always encrypts the same plaintext the same way, so the kept bytes give back the hashes & the IV to go on with
+            const cipher = Crypto.createCipheriv('aes-256-cbc', cipherKey, iv).setAutoPadding(false);
+            let lastBlock = Buffer.alloc(0);
+            for await (const chunk of createReadStream(filePath, { end: offset - 1 })) {
+                const encrypted = cipher.update(chunk);
+                sha256Plain.update(chunk);
+                sha256Enc.update(encrypted);
+                hmac.update(encrypted);
+                lastBlock = Buffer.concat([lastBlock, encrypted]).subarray(-AES_BLOCK_SIZE);
+            }
+            cipher.final();
+            decipherIv = lastBlock;
+            ctx?.logger?.debug({ key: message.key, offset }, 'resuming media download');
+        }
+        const decipher = Crypto.createDecipheriv('aes-256-cbc', cipherKey, decipherIv).setAutoPadding(false);
+        const output = createWriteStream(filePath, { flags: 'r+', start: offset });
+        // eg. ENOSPC or EACCES, kept to reject the download with instead of crashing the process
+        let writeError;
+        output.on('error', error => {
+            writeError = error;
+        });
+        const write = async (chunk) => {
+            if (writeError) {
+                throw writeError;
+            }
+            if (!output.write(chunk)) {
+                // rejects when the stream errors before draining
+                await once(output, 'drain');
+            }
+        };
+        const closeOutput = async () => {
+            if (!output.closed) {
+                output.end();
+                await once(output, 'close');
+            }
+            if (writeError) {
+                throw writeError;
+            }
+        };
+        bytesDownloaded = offset;
+        // received but not decrypted yet, a partial block or the last block & the MAC
+        let pending = Buffer.alloc(0);
+        let hasReuploaded = false;
+        let retries = 0;
+        try {
+            while (true) {
+                const startOffset = offset;
+                try {
+                    controller = new AbortController();
+                    const url = getDownloadUrl(media, options?.host);
+                    const response = await fetch(url, {
+                        dispatcher: options?.dispatcher,
+                        headers: {
+                            ...(Array.isArray(options?.headers) ? Object.fromEntries(options.headers) : options?.headers),
+                            Origin: DEFAULT_ORIGIN,
+                            ...(offset ? { Range: `bytes=${offset}-` } : {})
+                        },
+                        signal: controller.signal
+                    });
+                    if (!response.ok) {
+                        throw new Boom(`Failed to fetch media from ${url}`, { statusCode: response.status, data: { url } });
+                    }
+                    // the whole file came back when the range was ignored
+                    let skip = response.status === 206 ? 0 : offset;
+                    for await (const chunk of Readable.fromWeb(response.body)) {
+                        const data = skip ? chunk.subarray(skip) : chunk;
+                        skip = Math.max(skip - chunk.length, 0);
+                        pending = Buffer.concat([pending, data]);
+                        const length = toBlockSize(pending.length - AES_BLOCK_SIZE - MAC_LENGTH);
+                        if (length <= 0) {
+                            continue;
+                        }
+                        const encrypted = pending.subarray(0, length);
+                        pending = pending.subarray(length);
+                        const decrypted = decipher.update(encrypted);
+                        sha256Enc.update(encrypted);
+                        hmac.update(encrypted);
+                        sha256Plain.update(decrypted);
+                        await write(decrypted);
+                        offset += length;
+                        bytesDownloaded = offset;
+                        onProgress?.({ bytesDownloaded, totalBytes: fileLength });
+                    }
+                    if ((encLength && offset + pending.length < encLength) || pending.length < AES_BLOCK_SIZE + MAC_LENGTH) {
+                        throw new Error('Media stream ended early');
+                    }
+                    break;
+                }
+                catch (error) {
+                    // the undecrypted bytes are requested again from `offset`
+                    pending = Buffer.alloc(0);
+                    if (aborted) {
+                        throw new Boom('Media download aborted', { data: { bytesDownloaded } });
+                    }
+                    if (offset > startOffset) {
+                        retries = 0;
+                    }
+                    if (autoReupload &&
+                        !hasReuploaded &&
+                        ctx?.reuploadRequest &&
+                        REUPLOAD_REQUIRED_STATUS.includes(error?.output?.statusCode)) {
+                        ctx.logger?.info({ key: message.key, offset }, 'sending reupload media request...');
+                        message = await ctx.reuploadRequest(message);
+                        media = getMediaContent(message).media;
+                        hasReuploaded = true;
+                        continue;
+                    }
+                    if (error === writeError || !isRetryableError(error) || retries >= maxRetries) {
+                        throw error;
+                    }
+                    retries += 1;
+                    ctx?.logger?.debug({ key: message.key, offset, retries, err: error }, 'retrying media download');
+                    const { delay, cancel } = delayCancellable(retryDelayMs * 2 ** (retries - 1));
+                    cancelDelay = cancel;
+                    await delay.catch(() => { });
+                    if (aborted) {
+                        throw new Boom('Media download aborted', { data: { bytesDownloaded } });
+                    }
+                }
+            }
+            // the last block has the PKCS7 padding to strip
+            const lastBlock = pending.subarray(0, AES_BLOCK_SIZE);
+            const mac = pending.subarray(AES_BLOCK_SIZE, AES_BLOCK_SIZE + MAC_LENGTH);
+            const decrypted = Buffer.concat([decipher.update(lastBlock), decipher.final()]);
+            const padding = decrypted[decrypted.length - 1];
+            if (!padding || padding > AES_BLOCK_SIZE) {
+                throw new Boom('Media padding is invalid', { statusCode: 422 });
+            }
+            const lastPlain = decrypted.subarray(0, AES_BLOCK_SIZE - padding);
+            sha256Enc.update(lastBlock).update(mac);
+            hmac.update(lastBlock);
+            sha256Plain.update(lastPlain);
+            await write(lastPlain);
+            await closeOutput();
+            const fileSha256 = sha256Plain.digest();
+            const fileEncSha256 = sha256Enc.digest();
+            const expectedFileSha256 = toHash(media.fileSha256);
+            const expectedFileEncSha256 = toHash(media.fileEncSha256);
+            if (!hmac.digest().subarray(0, MAC_LENGTH).equals(mac) ||
+                (expectedFileSha256 && !expectedFileSha256.equals(fileSha256)) ||
+                (expectedFileEncSha256 && !expectedFileEncSha256.equals(fileEncSha256))) {
+                throw new Boom('Media hash mismatch', {
+                    statusCode: 422,
+                    data: { fileSha256, fileEncSha256 }
+                });
+            }
+            bytesDownloaded = offset + lastPlain.length;
+            onProgress?.({ bytesDownloaded, totalBytes: fileLength });
+            return { filePath, fileLength: bytesDownloaded, fileSha256, message };
+        }
+        catch (error) {
+            // nothing on disk can be trusted once the file doesn't match its hashes
+            if (error?.output?.statusCode === 422) {
+                bytesDownloaded = 0;
+                await closeOutput().catch(() => { });
+                await fs.unlink(filePath).catch(() => { });
+            }
+            throw error;
+        }
+        finally {
+            // a write error was already thrown, or is less relevant than the one being thrown
+            await closeOutput().catch(() => { });
+        }
+    };
+    return {
+        download,
+        /** stops the download, what's on disk can be resumed from `bytesDownloaded` */
+        abort: () => {
+            aborted = true;
+            controller?.abort();
+            cancelDelay?.();
+        },
+        get bytesDownloaded() {
+            return bytesDownloaded;
+        },
+        /** the message, updated when the media was re-uploaded */
+        get message() {
+            return message;
+        }
+    };
+};
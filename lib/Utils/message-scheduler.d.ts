@@ -0,0 +1,46 @@
+export function makeMemorySchedulerStore(): {
+    get: (id: any) => Promise<any>;
+    set: (job: any) => Promise<void>;
+    del: (id: any) => Promise<void>;
+    list: () => Promise<any[]>;
+};
+export function makeKeyValueSchedulerStore(adapter: any, { prefix }?: {
+    prefix?: string | undefined;
+}): {
+    get: (id: any) => Promise<any>;
+    set: (job: any) => Promise<void>;
+    del: (id: any) => Promise<void>;
+    list: () => Promise<any[]>;
+};
+export function makeMessageScheduler(sock: any, store?: {
+    get: (id: any) => Promise<any>;
+    set: (job: any) => Promise<void>;
+    del: (id: any) => Promise<void>;
+    list: () => Promise<any[]>;
+}, { logger, maxAttempts, retryDelayMs }?: {
+    logger?: any;
+    maxAttempts?: number | undefined;
+    retryDelayMs?: number | undefined;
+}): {
+    /** switches to a new socket, eg. after reconnecting */
+    bind: (sock: any) => void;
+    /**
+     * schedules `content` to be sent to `jid`
+     * @param opts `sendAt` (Date or ms), `recurrence` as `{ every, interval, count, until }`
+     * where `every` is minute, hour, day, week, month or a number of ms,
+     * `jitterMs` delays each run randomly by up to that much, `options` are passed to `sendMessage`
+     * @returns the stored job
+     */
+    schedule: (jid: any, content: any, { sendAt, recurrence, jitterMs, options, id }?: {
+        sendAt: Date | number;
+        recurrence?: any;
+        jitterMs?: number | undefined;
+        options?: any;
+        id?: string | undefined;
+    }) => Promise<any>;
+    /** @returns whether a job with the ID was scheduled */
+    cancel: (id: any) => Promise<boolean>;
+    list: () => Promise<any[]>;
+    /** clears every timer, jobs stay in the store */
+    stop: () => void;
+};
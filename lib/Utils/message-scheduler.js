@@ -0,0 +1,278 @@
+import { randomBytes } from 'crypto';
+import { BufferJSON } from './generics.js';
+// Lia@Changes 19-10-26 --- Add makeMessageScheduler, persisted "send at" jobs that survive restarts
+/** setTimeout overflows past ~24.8 days, longer waits are chained */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const FIXED_UNITS_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+/**
+ * Scheduler store kept in memory, jobs are lost on restart
+ *
+ * The store contract is `get(id)`, `set(job)`, `del(id)` & `list()`, all may be async
+ */
+export const makeMemorySchedulerStore = () => {
+    const jobs = new Map();
+    return {
+        get: async (id) => jobs.get(id),
+        set: async (job) => {
+            jobs.set(job.id, job);
+        },
+        del: async (id) => {
+            jobs.delete(id);
+        },
+        list: async () => [...jobs.values()]
+    };
+};
+/**
+ * Persists scheduler jobs through a key-value adapter, eg. `makeRedisKeyValueAdapter(redis)`
+ * @param adapter see `makeMemoryKeyValueAdapter`, must implement `keys(prefix)`
+ */
+export const makeKeyValueSchedulerStore = (adapter, { prefix = 'baileys:scheduler:' } = {}) => {
+    if (!adapter.keys) {
+        throw new Error('key-value adapter does not implement `keys(prefix)`, cannot list scheduled jobs');
+    }
+    const read = (raw) => (raw ? JSON.parse(raw, BufferJSON.reviver) : undefined);
+    return {
+        get: async (id) => read(await adapter.get(prefix + id)),
+        set: async (job) => {
+            await adapter.set(prefix + job.id, JSON.stringify(job, BufferJSON.replacer));
+        },
+        del: async (id) => {
+            await adapter.del(prefix + id);
+        },
+        list: async () => {
+            const keys = await adapter.keys(prefix);
+            const values = adapter.mget ? await adapter.mget(keys) : await Promise.all(keys.map(key => adapter.get(key)));
+            return values.map(read).filter(Boolean);
+        }
+    };
+};
+/**
+ * Moves `time` one step of the recurrence rule forward,
+ * day/week/month steps keep the wall clock time across DST changes
+ */
+const advance = (time, { every, interval = 1 }) => {
+    if (typeof every === 'number') {
+        return time + every * interval;
+    }
+    if (FIXED_UNITS_MS[every]) {
+        return time + FIXED_UNITS_MS[every] * interval;
+    }
+    const date = new Date(time);
+    switch (every) {
+        case 'day':
+            date.setDate(date.getDate() + interval);
+            break;
+        case 'week':
+            date.setDate(date.getDate() + 7 * interval);
+            break;
+        case 'month':
+            date.setMonth(date.getMonth() + interval);
+            break;
+        default:
+            throw new Error(`unknown recurrence "${every}", use minute, hour, day, week, month or a number of ms`);
+    }
+    return date.getTime();
+};
+const normalizeRecurrence = (recurrence) => {
+    if (!recurrence) {
+        return undefined;
+    }
+    const rule = typeof recurrence === 'object' ? { ...recurrence } : { every: recurrence };
+    if (rule.until instanceof Date) {
+        rule.until = rule.until.getTime();
+    }
+    // validates the rule up front, rather than when the first run completes
+    advance(0, rule);
+    return rule;
+};
+/**
+ * @returns the next run of a recurring job after `now`, skipping any missed runs, or undefined when it's done
+ */
+const nextRun = (job, now) => {
+    const rule = job.recurrence;
+    if (!rule || (rule.count && job.runs >= rule.count)) {
+        return undefined;
+    }
+    let next = job.sendAt;
+    do {
+        next = advance(next, rule);
+    } while (next <= now);
+    if (rule.until && next > rule.until) {
+        return undefined;
+    }
+    return next;
+};
+const isSocketOpen = (sock) => !!sock.user && !!sock.ws?.isOpen;
+/**
+ * Sends messages at a later time, optionally on repeat
+ *
+ * Jobs are kept in `store` so they survive restarts, they're (re-)armed when bound to an open socket & every time
+ * it reports `connection: 'open'`; jobs that came due while offline are sent then.
+ * Emits `scheduler.sent` & `scheduler.failed` on `sock.ev`.
+ * Call `bind()` with the new socket after reconnecting.
+ * @param store see `makeMemorySchedulerStore` for the contract
+ * @param opts `maxAttempts` per run, `retryDelayMs` between attempts
+ */
+export const makeMessageScheduler = (sock, store = makeMemorySchedulerStore(), { logger, maxAttempts = 3, retryDelayMs = 60000 } = {}) => {
+    const timers = new Map();
+    const sending = new Set();
+    let connected = false;
+    let currentSock;
+    let stopped = false;
+    const clearTimer = (id) => {
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+    };
+    const arm = (job) => {
+        clearTimer(job.id);
+        if (stopped) {
+            return;
+        }
+        const fireAt = job.retryAt || job.sendAt + (job.jitterMs ? Math.floor(Math.random() * job.jitterMs) : 0);
+        const wait = () => {
+            const remaining = fireAt - Date.now();
+            if (remaining > MAX_TIMER_MS) {
+                timers.set(job.id, setTimeout(wait, MAX_TIMER_MS));
+            }
+            else {
+                timers.set(job.id, setTimeout(() => {
+                    timers.delete(job.id);
+                    void run(job.id);
+                }, Math.max(0, remaining)));
+            }
+        };
+        wait();
+    };
+    const run = async (id) => {
+        if (!connected || sending.has(id)) {
+            // picked up again on the next `open`
+            return;
+        }
+        const job = await store.get(id);
+        if (!job) {
+            return;
+        }
+        sending.add(id);
+        try {
+            const message = await currentSock.sendMessage(job.jid, job.content, job.options);
+            job.runs = (job.runs || 0) + 1;
+            job.attempts = 0;
+            job.retryAt = undefined;
+            job.lastSentAt = Date.now();
+            const next = nextRun(job, Date.now());
+            // the job may have been cancelled while it was being sent
+            if (next && (await store.get(job.id))) {
+                job.sendAt = next;
+                await store.set(job);
+                arm(job);
+            }
+            else {
+                await store.del(job.id);
+            }
+            logger?.debug({ id: job.id, jid: job.jid, next }, 'sent scheduled message');
+            currentSock.ev.emit('scheduler.sent', { job, message });
+        }
+        catch (error) {
+            job.attempts = (job.attempts || 0) + 1;
+            const willRetry = job.attempts < maxAttempts;
+            if (willRetry) {
+                job.retryAt = Date.now() + retryDelayMs;
+            }
+            else {
+                // give up on this run, a recurring job still gets its next one
+                job.attempts = 0;
+                job.retryAt = undefined;
+                job.sendAt = nextRun(job, Date.now());
+            }
+            if ((job.retryAt || job.sendAt) && (await store.get(job.id))) {
+                await store.set(job);
+                arm(job);
+            }
+            else {
+                await store.del(job.id);
+            }
+            logger?.warn({ id: job.id, jid: job.jid, error, willRetry }, 'failed to send scheduled message');
+            currentSock.ev.emit('scheduler.failed', { job, error, willRetry });
+        }
+        finally {
+            sending.delete(id);
+        }
+    };
+    const armAll = async () => {
+        for (const job of await store.list()) {
+            arm(job);
+        }
+    };
+    const rearm = () => armAll().catch(error => logger?.error({ error }, 'failed to re-arm scheduled messages'));
+    const onConnectionUpdate = ({ connection }) => {
+        if (connection === 'open') {
+            connected = true;
+            rearm();
+        }
+        else if (connection === 'close') {
+            connected = false;
+        }
+    };
+    const bind = (sock) => {
+        currentSock?.ev.off('connection.update', onConnectionUpdate);
+        currentSock = sock;
+        // a socket that's already open won't report `open` again
+        connected = isSocketOpen(sock);
+        sock.ev.on('connection.update', onConnectionUpdate);
+        if (connected) {
+            rearm();
+        }
+    };
+    bind(sock);
+    return {
+        /** switches to a new socket, eg. after reconnecting */
+        bind,
+        /**
+         * schedules `content` to be sent to `jid`
+         * @param opts `sendAt` (Date or ms), `recurrence` as `{ every, interval, count, until }`
+         * where `every` is minute, hour, day, week, month or a number of ms,
+         * `jitterMs` delays each run randomly by up to that much, `options` are passed to `sendMessage`
+         * @returns the stored job
+         */
+        schedule: async (jid, content, { sendAt, recurrence, jitterMs = 0, options, id = randomBytes(8).toString('hex') } = {}) => {
+            const time = sendAt instanceof Date ? sendAt.getTime() : sendAt;
+            if (typeof time !== 'number' || isNaN(time)) {
+                throw new Error('a valid `sendAt` time is required to schedule a message');
+            }
+            const job = {
+                id,
+                jid,
+                content,
+                options,
+                sendAt: time,
+                recurrence: normalizeRecurrence(recurrence),
+                jitterMs,
+                runs: 0,
+                attempts: 0,
+                createdAt: Date.now()
+            };
+            await store.set(job);
+            arm(job);
+            return job;
+        },
+        /** @returns whether a job with the ID was scheduled */
+        cancel: async (id) => {
+            clearTimer(id);
+            const exists = !!(await store.get(id));
+            await store.del(id);
+            return exists;
+        },
+        list: async () => (await store.list()).sort((a, b) => a.sendAt - b.sendAt),
+        /** clears every timer, jobs stay in the store */
+        stop: () => {
+            stopped = true;
+            for (const id of timers.keys()) {
+                clearTimer(id);
+            }
+            currentSock?.ev.off('connection.update', onConnectionUpdate);
+        }
+    };
+};
@@ -26,6 +26,53 @@ export function getRawMediaUploadData(media: any, mediaType: any, logger: any):
     fileLength: number;
 }>;
 export function extractVideoThumb(path: any, time: any, size: any): Promise<any>;
+/**
+ * Runs FFmpeg with `args`
+ * @returns what FFmpeg wrote to stdout
+ * @throws a Boom with FFmpeg's stderr when it exits with an error
+ */
+export function runFFmpeg(args: string[]): Promise<Buffer>;
+/**
+ * Reads the streams & format of a media file with FFprobe
+ */
+export function probeMedia(path: string): Promise<{
+    streams: any[];
+    format: any;
+}>;
+/**
+ * Transcodes `media` into mono 48kHz Opus in an OGG container, like WhatsApp's own voice notes
+ * @returns a stream of the transcoded audio, it only ends once FFmpeg exits cleanly & errors otherwise
+ */
+export function transcodeAudio(media: any, { bitrate, opts }?: {
+    bitrate?: string;
+    opts?: any;
+}): Promise<PassThrough>;
+/**
+ * Computes a voice note waveform by decoding the audio with FFmpeg, for when `audio-decode` isn't available
+ */
+export function extractAudioWaveform(path: string): Promise<Uint8Array<ArrayBuffer>>;
+/**
+ * Normalizes `media` into a faststart MP4 with H.264 video & AAC audio, which every WhatsApp client plays
+ *
+ * The video is only transcoded when it has to be: another codec, eg. HEVC or VP9, a dimension or size over the limits, or a GIF, which becomes a silent MP4 for `gifPlayback`.
+ * A compatible video in another container, eg. MKV, or without faststart is only remuxed
+ * @param opts.dimension the largest width or height, defaults to `VIDEO_LIMITS.dimension`
+ * @param opts.size the largest file size in bytes, defaults to `VIDEO_LIMITS.size`
+ * @returns the path of the normalized video, its metadata & the tmp files to remove once it's uploaded
+ */
+export function normalizeVideo(media: any, { dimension, size, logger, opts }?: {
+    dimension?: number;
+    size?: number;
+    logger?: any;
+    opts?: any;
+}): Promise<{
+    filePath: string;
+    tmpFiles: string[];
+    isGif: boolean;
+    seconds: number;
+    width: number;
+    height: number;
+}>;
 export function extractImageThumb(bufferOrFilePath: any, width?: number): Promise<{
     buffer: any;
     original: {
@@ -134,4 +181,5 @@ export function decryptMediaRetryData({ ciphertext, iv }: {
 }, mediaKey: any, msgId: any): proto.MediaRetryNotification;
 export function getStatusCodeForMediaRetry(code: any): any;
 import { proto } from '../../WAProto/index.js';
+import { PassThrough } from 'stream';
 //# sourceMappingURL=messages-media.d.ts.map
\ No newline at end of file
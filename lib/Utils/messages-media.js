@@ -5,10 +5,11 @@ import { once } from 'events';
 import { createReadStream, createWriteStream, promises as fs, WriteStream } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
-import { Readable, Transform } from 'stream';
+import { PassThrough, Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { URL } from 'url';
 import { proto } from '../../WAProto/index.js';
-import { DEFAULT_ORIGIN, MEDIA_HKDF_KEY_MAPPING, MEDIA_PATH_MAP, NEWSLETTER_MEDIA_PATH_MAP } from '../Defaults/index.js';
+import { DEFAULT_ORIGIN, MEDIA_HKDF_KEY_MAPPING, MEDIA_PATH_MAP, NEWSLETTER_MEDIA_PATH_MAP, VIDEO_LIMITS } from '../Defaults/index.js';
 import { getBinaryNodeChild, getBinaryNodeChildBuffer, jidNormalizedUser } from '../WABinary/index.js';
 import { aesDecryptGCM, aesEncryptGCM, hkdf } from './crypto.js';
 import { generateMessageIDV2 } from './generics.js';
@@ -125,6 +126,249 @@ export const extractVideoThumb = async (path, time, size) => {
     }
     return buffer;
 };
+// Lia@Changes 19-10-26 --- Shared FFmpeg & FFprobe runner for the sticker, audio & video converters
+const runProcess = async (command, name, args) => {
+    const child = spawn(command, args, {
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const stdoutChunks = [];
+    const stderrChunks = [];
+    child.stdout.on('data', (chunk) => stdoutChunks.push(chunk));
+    child.stderr.on('data', (chunk) => stderrChunks.push(chunk));
+    const [code] = await once(child, 'close').catch(error => {
+        if (error.code === 'ENOENT') {
+            throw new Boom(`${name} not found, install it & make sure it's in the PATH`);
+        }
+        throw error;
+    });
+    if (code !== 0) {
+        throw new Boom(`${name} failed (code ${code}):\n` +
+            Buffer.concat(stderrChunks).toString('utf8'));
+    }
+    return Buffer.concat(stdoutChunks);
+};
+/**
+ * Runs FFmpeg with `args`
+ * @returns what FFmpeg wrote to stdout
+ * @throws a Boom with FFmpeg's stderr when it exits with an error
+ */
+export const runFFmpeg = (args) => runProcess('ffmpeg', 'FFmpeg', ['-hide_banner', '-loglevel', 'error', ...args]);
+/**
+ * Reads the streams & format of a media file with FFprobe
+ */
+export const probeMedia = async (path) => {
+    const output = await runProcess('ffprobe', 'FFprobe', [
+        '-v', 'error',
+        '-show_format',
+        '-show_streams',
+        '-of', 'json',
+        path
+    ]);
+    return JSON.parse(output.toString('utf8'));
+};
+// Lia@Changes 19-10-26 --- Add transcodeAudio, streams any audio through FFmpeg into an OGG/Opus voice note
+/**
+ * Transcodes `media` into mono 48kHz Opus in an OGG container, like WhatsApp's own voice notes
+ * @returns a stream of the transcoded audio, it only ends once FFmpeg exits cleanly & errors otherwise
+ */
+export const transcodeAudio = async (media, { bitrate = '32k', opts } = {}) => {
+    const { stream } = await getStream(media, opts);
+    const ffmpeg = spawn('ffmpeg', [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-vn', '-sn', '-dn',
+        '-map_metadata', '-1',
+        '-ac', '1',
+        '-ar', '48000',
+        '-c:a', 'libopus',
+        '-b:a', bitrate,
+        '-application', 'voip',
+        '-f', 'ogg',
+        'pipe:1'
+    ], {
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const output = new PassThrough();
+    const stderrChunks = [];
+    ffmpeg.stderr.on('data', (chunk) => stderrChunks.push(chunk));
+    // a half transcoded file shouldn't get uploaded, so the exit code decides how the output ends
+    ffmpeg.stdout.pipe(output, { end: false });
+    ffmpeg.once('error', (error) => {
+        stream.destroy();
+        output.destroy(error.code === 'ENOENT' ? new Boom('FFmpeg not found, install it & make sure it\'s in the PATH') : error);
+    });
+    ffmpeg.once('close', (code) => {
+        if (code === 0) {
+            output.end();
+        }
+        else {
+            output.destroy(new Boom(`FFmpeg failed (code ${code}):\n` +
+                Buffer.concat(stderrChunks).toString('utf8')));
+        }
+    });
+    // FFmpeg stops reading on invalid input, the exit code already reports that
+    ffmpeg.stdin.on('error', () => { });
+    stream.once('error', (error) => {
+        output.destroy(error);
+        ffmpeg.kill();
+    });
+    stream.pipe(ffmpeg.stdin);
+    // eg. the upload failed midway
+    output.once('close', () => {
+        if (ffmpeg.exitCode === null) {
+            stream.destroy();
+            ffmpeg.kill();
+        }
+    });
+    return output;
+};
+/**
+ * Computes a voice note waveform by decoding the audio with FFmpeg, for when `audio-decode` isn't available
+ */
+export const extractAudioWaveform = async (path) => {
+    const pcm = await runFFmpeg([
+        '-i', path,
+        '-vn', '-sn', '-dn',
+        '-ac', '1',
+        '-ar', '8000',
+        '-f', 'f32le',
+        'pipe:1'
+    ]);
+    // copied, as the buffer may not be aligned for a Float32Array
+    return computeWaveform(new Float32Array(new Uint8Array(pcm.subarray(0, pcm.length - (pcm.length % 4))).buffer));
+};
+// Lia@Changes 19-10-26 --- Add normalizeVideo, turns any video or GIF into an MP4 every WhatsApp client plays
+const PLAYABLE_H264_PROFILES = ['Constrained Baseline', 'Baseline', 'Main', 'High'];
+/**
+ * Checks whether the `moov` box comes before `mdat`, so the video plays before it's fully downloaded
+ */
+const isFastStart = async (path) => {
+    const file = await fs.open(path, 'r');
+    try {
+        const header = Buffer.alloc(16);
+        let offset = 0;
+        while (true) {
+            const { bytesRead } = await file.read(header, 0, 16, offset);
+            if (bytesRead < 8) {
+                return false;
+            }
+            const type = header.toString('latin1', 4, 8);
+            if (type === 'moov') {
+                return true;
+            }
+            if (type === 'mdat') {
+                return false;
+            }
+            let boxSize = header.readUInt32BE(0);
+            // 1 means a 64-bit size follows, 0 means the box runs to the end of the file
+            if (boxSize === 1 && bytesRead === 16) {
+                boxSize = Number(header.readBigUInt64BE(8));
+            }
+            if (boxSize < 8) {
+                return false;
+            }
+            offset += boxSize;
+        }
+    }
+    finally {
+        await file.close();
+    }
+};
+const getRotation = (stream) => Number(stream.side_data_list?.find(data => 'rotation' in data)?.rotation ?? stream.tags?.rotate ?? 0);
+/**
+ * Normalizes `media` into a faststart MP4 with H.264 video & AAC audio, which every WhatsApp client plays
+ *
+ * The video is only transcoded when it has to be: another codec, eg. HEVC or VP9, a dimension or size over the limits, or a GIF, which becomes a silent MP4 for `gifPlayback`.
+ * A compatible video in another container, eg. MKV, or without faststart is only remuxed
+ * @param opts.dimension the largest width or height, defaults to `VIDEO_LIMITS.dimension`
+ * @param opts.size the largest file size in bytes, defaults to `VIDEO_LIMITS.size`
+ * @returns the path of the normalized video, its metadata & the tmp files to remove once it's uploaded
+ */
+export const normalizeVideo = async (media, { dimension = VIDEO_LIMITS.dimension, size = VIDEO_LIMITS.size, logger, opts } = {}) => {
+    const tmpFiles = [];
+    try {
+        let inputPath;
+        if (!Buffer.isBuffer(media) && typeof media.url === 'string' && !/^(https?|data):/.test(media.url)) {
+            inputPath = media.url;
+        }
+        else {
+            // FFprobe can't seek a pipe, which MP4s with the moov box at the end need
+            inputPath = join(getTmpFilesDirectory(), 'video' + generateMessageIDV2() + '-input');
+            tmpFiles.push(inputPath);
+            const { stream } = await getStream(media, opts);
+            await pipeline(stream, createWriteStream(inputPath));
+        }
+        const input = await probeMedia(inputPath);
+        const video = input.streams.find(stream => stream.codec_type === 'video');
+        if (!video) {
+            throw new Boom('No video stream found', { statusCode: 400 });
+        }
+        const audio = input.streams.find(stream => stream.codec_type === 'audio');
+        const isGif = video.codec_name === 'gif';
+        const duration = Number(input.format.duration || video.duration) || undefined;
+        const inputSize = Number(input.format.size) || (await fs.stat(inputPath)).size;
+        const reencodeVideo = isGif ||
+            video.codec_name !== 'h264' ||
+            !PLAYABLE_H264_PROFILES.includes(video.profile) ||
+            video.pix_fmt !== 'yuv420p' ||
+            Math.max(video.width, video.height) > dimension ||
+            inputSize > size;
+        const reencodeAudio = !!audio && !isGif && audio.codec_name !== 'aac';
+        const remux = !input.format.format_name.split(',').includes('mp4') ||
+            input.format.tags?.major_brand?.trim() === 'qt' ||
+            !(await isFastStart(inputPath));
+        let outputPath = inputPath;
+        if (reencodeVideo || reencodeAudio || remux) {
+            outputPath = join(getTmpFilesDirectory(), 'video' + generateMessageIDV2() + '.mp4');
+            tmpFiles.push(outputPath);
+            const args = ['-i', inputPath, '-map', '0:v:0', '-map_metadata', '-1'];
+            if (reencodeVideo) {
+                const scale = `min(1\\,${dimension}/max(iw\\,ih))`;
+                args.push('-c:v', 'libx264', '-profile:v', 'baseline', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', '-vf', `scale=trunc(${scale}*iw/2)*2:trunc(${scale}*ih/2)*2`);
+                if (duration) {
+                    // leaves room for the audio & the container, so the whole file fits the size limit
+                    const maxrate = Math.floor(size * 8 * 0.9 / duration / 1000 - (audio && !isGif ? VIDEO_LIMITS.audioBitrate : 0));
+                    if (maxrate < 100) {
+                        throw new Boom(`Video is too long to fit ${size} bytes`, { statusCode: 413, data: { duration } });
+                    }
+                    args.push('-maxrate', `${maxrate}k`, '-bufsize', `${maxrate * 2}k`);
+                }
+            }
+            else {
+                args.push('-c:v', 'copy');
+            }
+            if (audio && !isGif) {
+                args.push('-map', '0:a:0', ...(reencodeAudio ? ['-c:a', 'aac', '-b:a', `${VIDEO_LIMITS.audioBitrate}k`] : ['-c:a', 'copy']));
+            }
+            else {
+                args.push('-an');
+            }
+            args.push('-movflags', '+faststart', '-f', 'mp4', '-y', outputPath);
+            logger?.debug({ codec: video.codec_name, reencodeVideo, reencodeAudio, remux }, 'normalizing video');
+            await runFFmpeg(args);
+            const { size: outputSize } = await fs.stat(outputPath);
+            if (outputSize > size) {
+                throw new Boom(`Normalized video is still over ${size} bytes`, { statusCode: 413, data: { size: outputSize } });
+            }
+        }
+        const output = outputPath === inputPath ? input : await probeMedia(outputPath);
+        const outputVideo = output.streams.find(stream => stream.codec_type === 'video');
+        const isRotated = Math.abs(getRotation(outputVideo)) % 180 === 90;
+        return {
+            filePath: outputPath,
+            tmpFiles,
+            isGif,
+            seconds: Math.round(Number(output.format.duration) || duration || 0),
+            width: isRotated ? outputVideo.height : outputVideo.width,
+            height: isRotated ? outputVideo.width : outputVideo.height
+        };
+    }
+    catch (error) {
+        await Promise.all(tmpFiles.map(path => fs.unlink(path).catch(() => { })));
+        throw error;
+    }
+};
 export const extractImageThumb = async (bufferOrFilePath, width = 32) => {
     // TODO: Move entirely to sharp, removing jimp as it supports readable streams
     // This will have positive speed and performance impacts as well as minimizing RAM usage.
@@ -242,6 +486,25 @@ export async function getAudioDuration(buffer) {
     }
     return metadata.format.duration;
 }
+const computeWaveform = (rawData) => {
+    const samples = 64; // Number of samples we want to have in our final data set
+    const blockSize = Math.floor(rawData.length / samples); // the number of samples in each subdivision
+    const filteredData = [];
+    for (let i = 0; i < samples; i++) {
+        const blockStart = blockSize * i; // the location of the first sample in the block
+        let sum = 0;
+        for (let j = 0; j < blockSize; j++) {
+            sum = sum + Math.abs(rawData[blockStart + j]); // find the sum of all the samples in the block
+        }
+        filteredData.push(sum / blockSize); // divide the sum by the block size to get the average
+    }
+    // This guarantees that the largest data point will be set to 1, and the rest of the data will scale proportionally.
+    const multiplier = Math.pow(Math.max(...filteredData), -1);
+    const normalizedData = filteredData.map(n => n * multiplier);
+    // Generate waveform like WhatsApp
+    const waveform = new Uint8Array(normalizedData.map(n => Math.floor(100 * n)));
+    return waveform;
+};
 /**
   referenced from and modifying https://github.com/wppconnect-team/wa-js/blob/main/src/chat/functions/prepareAudioWaveform.ts
  */
@@ -261,24 +524,7 @@ export async function getAudioWaveform(buffer, logger) {
             audioData = await toBuffer(buffer);
         }
         const audioBuffer = await decoder(audioData);
-        const rawData = audioBuffer.getChannelData(0); // We only need to work with one channel of data
-        const samples = 64; // Number of samples we want to have in our final data set
-        const blockSize = Math.floor(rawData.length / samples); // the number of samples in each subdivision
-        const filteredData = [];
-        for (let i = 0; i < samples; i++) {
-            const blockStart = blockSize * i; // the location of the first sample in the block
-            let sum = 0;
-            for (let j = 0; j < blockSize; j++) {
-                sum = sum + Math.abs(rawData[blockStart + j]); // find the sum of all the samples in the block
-            }
-            filteredData.push(sum / blockSize); // divide the sum by the block size to get the average
-        }
-        // This guarantees that the largest data point will be set to 1, and the rest of the data will scale proportionally.
-        const multiplier = Math.pow(Math.max(...filteredData), -1);
-        const normalizedData = filteredData.map(n => n * multiplier);
-        // Generate waveform like WhatsApp
-        const waveform = new Uint8Array(normalizedData.map(n => Math.floor(100 * n)));
-        return waveform;
+        return computeWaveform(audioBuffer.getChannelData(0)); // We only need to work with one channel of data
     }
     catch (e) {
         logger?.debug('Failed to generate waveform: ' + e);
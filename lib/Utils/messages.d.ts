@@ -33,6 +33,7 @@ export function generateWAMessage(jid: any, content: any, options: any): Promise
 export function getContentType(content: any): string | undefined;
 export function normalizeMessageContent(content: any): any;
 export function extractMessageContent(content: any): any;
+export function extractMessageText(content: any): any;
 export function getDevice(id: any): "unknown" | "android" | "web" | "ios" | "desktop";
 export function updateMessageWithReceipt(msg: any, receipt: any): void;
 export function updateMessageWithReaction(msg: any, reaction: any): void;
@@ -41,6 +42,8 @@ export function updateMessageWithEventResponse(msg: any, update: any): void;
 export function aggregateMessageKeysNotFromMe(keys: any): any[];
 export function downloadMediaMessage(message: any, type: any, options: any, ctx: any): Promise<any>;
 export function assertMediaContent(content: any): any;
+export function isAnimatedWebP(buffer: Buffer): boolean;
+export function isWebPBuffer(buffer: Buffer): boolean;
 export function shouldIncludeBizBinaryNode(message: any): boolean;
 import { proto } from '../../WAProto/index.js';
 //# sourceMappingURL=messages.d.ts.map
\ No newline at end of file
@@ -8,7 +8,7 @@ import { AssociationType, ButtonHeaderType, ButtonType, CarouselCardType, ListTy
 import { isLidUser, isPnUser, isJidGroup, isJidNewsletter, isJidStatusBroadcast, jidNormalizedUser } from '../WABinary/index.js';
 import { sha256 } from './crypto.js';
 import { generateMessageIDV2, getKeyAuthor, unixTimestampSeconds } from './generics.js';
-import { downloadContentFromMessage, encryptedStream, generateThumbnail, getAudioDuration, getAudioWaveform, getImageProcessingLibrary, getRawMediaUploadData, getStream, toBuffer } from './messages-media.js';
+import { downloadContentFromMessage, encryptedStream, extractAudioWaveform, generateThumbnail, getAudioDuration, getAudioWaveform, getImageProcessingLibrary, getRawMediaUploadData, getStream, normalizeVideo, toBuffer, transcodeAudio } from './messages-media.js';
 import { prepareRichResponseMessage } from './rich-message-utils.js';
 import { shouldIncludeReportingToken } from './reporting-utils.js';
 const CONCURRENCY_LIMIT = 15;
@@ -100,14 +100,25 @@ export const prepareWAMessageMedia = async (message, options) => {
     }
     delete uploadData[mediaType];
     // check if cacheable + generate cache key
+    // Lia@Changes 19-10-26 --- Opt-in transcoding of audio into OGG/Opus, eg. MP3 or WAV voice notes
+    const requiresAudioTranscoding = mediaType === 'audio' && !!options.transcodeAudio;
+    // Lia@Changes 19-10-26 --- Opt-in normalization of video into H.264/AAC MP4, eg. HEVC, VP9 or GIF
+    const requiresVideoNormalization = mediaType === 'video' && !!options.normalizeVideo;
     const cacheableKey = typeof uploadData.media === 'object' &&
         'url' in uploadData.media &&
         !!uploadData.media.url &&
         !!options.mediaCache &&
-        mediaType + ':' + uploadData.media.url.toString();
+        mediaType + ':' + uploadData.media.url.toString() + (requiresAudioTranscoding ? ':opus' : '') + (requiresVideoNormalization ? ':normalized' : '');
     if (mediaType === 'document' && !uploadData.fileName) {
         uploadData.fileName = 'file';
     }
+    // Lia@Changes 19-10-26 --- Flag animated WebP stickers given as a buffer, eg. from createSticker
+    if (mediaType === 'sticker' && Buffer.isBuffer(uploadData.media) && typeof uploadData.isAnimated === 'undefined') {
+        uploadData.isAnimated = isAnimatedWebP(uploadData.media);
+    }
+    if (requiresAudioTranscoding || requiresVideoNormalization) {
+        uploadData.mimetype = MIMETYPE_MAP[mediaType];
+    }
     if (!uploadData.mimetype) {
         uploadData.mimetype = MIMETYPE_MAP[mediaType];
     }
@@ -121,10 +132,44 @@ export const prepareWAMessageMedia = async (message, options) => {
             return obj;
         }
     }
+    if (requiresAudioTranscoding) {
+        uploadData.media = {
+            stream: await transcodeAudio(uploadData.media, {
+                bitrate: typeof options.transcodeAudio === 'object' ? options.transcodeAudio.bitrate : undefined,
+                opts: options.options
+            })
+        };
+        logger?.debug('transcoding audio');
+    }
+    let normalizedVideoFiles = [];
+    if (requiresVideoNormalization) {
+        const { dimension, size } = typeof options.normalizeVideo === 'object' ? options.normalizeVideo : {};
+        const { filePath, tmpFiles, isGif, seconds, width, height } = await normalizeVideo(uploadData.media, {
+            dimension,
+            size,
+            logger,
+            opts: options.options
+        });
+        normalizedVideoFiles = tmpFiles;
+        uploadData.media = { url: filePath };
+        if (typeof uploadData.seconds === 'undefined') {
+            uploadData.seconds = seconds;
+        }
+        if (!uploadData.width) {
+            uploadData.width = width;
+            uploadData.height = height;
+        }
+        if (isGif && typeof uploadData.gifPlayback === 'undefined') {
+            uploadData.gifPlayback = true;
+        }
+        logger?.debug({ seconds, width, height }, 'normalized video');
+    }
+    // the normalized video is only read once, by the encryption or the raw upload
+    const removeNormalizedVideo = () => Promise.all(normalizedVideoFiles.map(path => fs.unlink(path).catch(() => { })));
     const isNewsletter = !!options.jid && isJidNewsletter(options.jid);
     if (isNewsletter) {
         logger?.info({ key: cacheableKey }, 'Preparing raw media for newsletter');
-        const { filePath, fileSha256, fileLength } = await getRawMediaUploadData(uploadData.media, options.mediaTypeOverride || mediaType, logger);
+        const { filePath, fileSha256, fileLength } = await getRawMediaUploadData(uploadData.media, options.mediaTypeOverride || mediaType, logger).finally(removeNormalizedVideo);
         const fileSha256B64 = fileSha256.toString('base64');
         const { mediaUrl, directPath, thumbnailDirectPath, thumbnailSha256 } = await options.upload(filePath, {
             fileEncSha256B64: fileSha256B64,
@@ -163,12 +208,12 @@ export const prepareWAMessageMedia = async (message, options) => {
     const requiresThumbnailComputation = (mediaType === 'image' || mediaType === 'video') && typeof uploadData['jpegThumbnail'] === 'undefined';
     const requiresWaveformProcessing = mediaType === 'audio' && uploadData.ptt === true && typeof uploadData.waveform === 'undefined';
     const requiresAudioBackground = options.backgroundColor && mediaType === 'audio' && uploadData.ptt === true;
-    const requiresOriginalForSomeProcessing = requiresDurationComputation || requiresThumbnailComputation;
+    const requiresOriginalForSomeProcessing = requiresDurationComputation || requiresThumbnailComputation || requiresWaveformProcessing;
     const { mediaKey, encFilePath, originalFilePath, fileEncSha256, fileSha256, fileLength } = await encryptedStream(uploadData.media, options.mediaTypeOverride || mediaType, {
         logger,
         saveOriginalFileIfRequired: requiresOriginalForSomeProcessing,
         opts: options.options
-    });
+    }).finally(removeNormalizedVideo);
     const fileEncSha256B64 = fileEncSha256.toString('base64');
     const [{ mediaUrl, directPath }] = await Promise.all([
         (async () => {
@@ -198,6 +243,10 @@ export const prepareWAMessageMedia = async (message, options) => {
                 }
                 if (requiresWaveformProcessing) {
                     uploadData.waveform = await getAudioWaveform(originalFilePath, logger);
+                    // FFmpeg is already there when transcoding
+                    if (!uploadData.waveform && requiresAudioTranscoding) {
+                        uploadData.waveform = await extractAudioWaveform(originalFilePath);
+                    }
                     logger?.debug('processed waveform');
                 }
                 if (requiresAudioBackground) {
@@ -1597,6 +1646,58 @@ export const extractMessageContent = (content) => {
     }
     return content;
 };
+// Lia@Changes 19-10-26 --- Add extractMessageText for store search & text based handlers
+/**
+ * Extract the human readable text from a message
+ * Eg. conversation, captions, button/list titles & replies, edits
+ * @returns the text, or undefined if the message carries none
+ */
+export const extractMessageText = (content) => {
+    content = extractMessageContent(content);
+    if (!content) {
+        return undefined;
+    }
+    const edited = content.protocolMessage?.editedMessage;
+    if (edited) {
+        return extractMessageText(edited);
+    }
+    const type = getContentType(content);
+    const inner = type ? content[type] : undefined;
+    switch (type) {
+        case 'conversation':
+            return content.conversation || undefined;
+        case 'extendedTextMessage':
+            return inner.text || undefined;
+        case 'imageMessage':
+        case 'videoMessage':
+        case 'documentMessage':
+            return inner.caption || undefined;
+        case 'buttonsResponseMessage':
+            return inner.selectedDisplayText || inner.selectedButtonId || undefined;
+        case 'templateButtonReplyMessage':
+            return inner.selectedDisplayText || inner.selectedId || undefined;
+        case 'listResponseMessage':
+            return inner.title || inner.singleSelectReply?.selectedRowId || undefined;
+        case 'listMessage':
+            return [inner.title, inner.description].filter(Boolean).join('\n') || undefined;
+        case 'interactiveMessage':
+            return [inner.header?.title, inner.body?.text, inner.footer?.text].filter(Boolean).join('\n') || undefined;
+        case 'interactiveResponseMessage':
+            return inner.body?.text || undefined;
+        case 'pollCreationMessage':
+        case 'pollCreationMessageV2':
+        case 'pollCreationMessageV3':
+            return inner.name || undefined;
+        case 'eventMessage':
+            return [inner.name, inner.description].filter(Boolean).join('\n') || undefined;
+        case 'contactMessage':
+            return inner.displayName || undefined;
+        case 'locationMessage':
+        case 'liveLocationMessage':
+            return [inner.name, inner.address, inner.caption].filter(Boolean).join('\n') || undefined;
+    }
+    return undefined;
+};
 /**
  * Returns the device predicted by message ID
  */
@@ -1754,7 +1855,12 @@ export const downloadMediaMessage = async (message, type, options, ctx) => {
             throw new Boom(`"${contentType}" message is not a media message`);
         }
         let download;
-        if ('thumbnailDirectPath' in media && !('url' in media)) {
+        // Lia@Changes 19-10-26 --- Sticker packs have no url & a thumbnail of their own, download the zip itself
+        if (contentType === 'stickerPackMessage') {
+            download = media;
+            mediaType = 'sticker-pack';
+        }
+        else if ('thumbnailDirectPath' in media && !('url' in media)) {
             download = {
                 directPath: media.thumbnailDirectPath,
                 mediaKey: media.mediaKey
@@ -1782,7 +1888,9 @@ export const assertMediaContent = (content) => {
         content?.imageMessage ||
         content?.videoMessage ||
         content?.audioMessage ||
-        content?.stickerMessage;
+        content?.stickerMessage ||
+        // Lia@Changes 19-10-26 --- Sticker packs can be re-uploaded too, for parseStickerPack
+        content?.stickerPackMessage;
     if (!mediaContent) {
         throw new Boom('given message is not a media message', { statusCode: 400, data: content });
     }
@@ -1792,7 +1900,8 @@ export const assertMediaContent = (content) => {
  * Checks if a WebP buffer is animated by looking for VP8X chunk with animation flag
  * or ANIM/ANMF chunks
  */
-const isAnimatedWebP = (buffer) => {
+// Lia@Changes 19-10-26 --- Export isAnimatedWebP & isWebPBuffer for createSticker
+export const isAnimatedWebP = (buffer) => {
     // WebP must start with RIFF....WEBP
     if (buffer.length < 12 ||
         buffer[0] !== 0x52 ||
@@ -1837,7 +1946,7 @@ const isAnimatedWebP = (buffer) => {
 /**
  * Checks if a buffer is a WebP file
  */
-const isWebPBuffer = (buffer) => {
+export const isWebPBuffer = (buffer) => {
     return (buffer.length >= 12 &&
         buffer[0] === 0x52 &&
         buffer[1] === 0x49 &&
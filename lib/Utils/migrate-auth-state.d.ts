@@ -0,0 +1,6 @@
+export function migrateAuthState(source: any, target: any, { verify, types, logger }?: {
+    verify?: boolean | undefined;
+    types?: string[] | undefined;
+    logger: any;
+}): Promise<{}>;
+export function diffAuthStates(a: any, b: any, types?: string[]): Promise<string[]>;
@@ -0,0 +1,84 @@
+import { SIGNAL_KEY_TYPES } from '../Defaults/index.js';
+import { BufferJSON } from './generics.js';
+// Lia@Changes 19-10-26 --- Add migrateAuthState to move a paired session between auth state backends
+const MIGRATION_BATCH_SIZE = 500;
+const serialize = (value) => JSON.stringify(value ?? null, BufferJSON.replacer);
+const listKeys = async (keys, type, side) => {
+    if (typeof keys.list !== 'function') {
+        throw new Error(`${side} auth state cannot list its keys, pass the state returned by useMultiFileAuthState, useSingleFileAuthState, useSqliteAuthState or useKeyValueAuthState`);
+    }
+    return keys.list(type);
+};
+/**
+ * Copies creds & every signal key from one auth state to another,
+ * eg. from `useMultiFileAuthState` to `useSqliteAuthState`, without re-pairing
+ *
+ * Stop the socket using `source` first, keys written mid-migration may be missed.
+ * @param source `{ state, saveCreds }` to read from
+ * @param target `{ state, saveCreds }` to write to, existing keys with the same ID are overwritten
+ * @param opts `verify` (default true) re-reads both sides & throws if anything differs
+ * @returns the number of keys copied per category
+ */
+export const migrateAuthState = async (source, target, { verify = true, types = SIGNAL_KEY_TYPES, logger } = {}) => {
+    const copied = {};
+    for (const type of types) {
+        const ids = await listKeys(source.state.keys, type, 'source');
+        copied[type] = 0;
+        for (let i = 0; i < ids.length; i += MIGRATION_BATCH_SIZE) {
+            const batch = ids.slice(i, i + MIGRATION_BATCH_SIZE);
+            const data = await source.state.keys.get(type, batch);
+            const values = {};
+            for (const id of batch) {
+                if (data[id]) {
+                    values[id] = data[id];
+                    copied[type] += 1;
+                }
+            }
+            await target.state.keys.set({ [type]: values });
+        }
+        logger?.debug({ type, count: copied[type] }, 'migrated auth keys');
+    }
+    // creds are mutated in place by the socket, so the target's object has to be kept
+    const targetCreds = target.state.creds;
+    for (const key of Object.keys(targetCreds)) {
+        delete targetCreds[key];
+    }
+    Object.assign(targetCreds, JSON.parse(serialize(source.state.creds), BufferJSON.reviver));
+    await target.saveCreds();
+    if (verify) {
+        const mismatches = await diffAuthStates(source, target, types);
+        if (mismatches.length) {
+            logger?.error({ mismatches }, 'auth state migration verification failed');
+            throw new Error(`auth state migration verification failed for ${mismatches.length} entries, eg. ${mismatches.slice(0, 5).join(', ')}`);
+        }
+        logger?.info({ copied }, 'auth state migrated & verified');
+    }
+    return copied;
+};
+/**
+ * Compares creds & every signal key of two auth states
+ * @returns `type/id` of every entry that differs, `creds` if the creds differ
+ */
+export const diffAuthStates = async (a, b, types = SIGNAL_KEY_TYPES) => {
+    const mismatches = [];
+    if (serialize(a.state.creds) !== serialize(b.state.creds)) {
+        mismatches.push('creds');
+    }
+    for (const type of types) {
+        const ids = new Set(await listKeys(a.state.keys, type, 'source'));
+        for (const id of await listKeys(b.state.keys, type, 'target')) {
+            ids.add(id);
+        }
+        const allIds = [...ids];
+        for (let i = 0; i < allIds.length; i += MIGRATION_BATCH_SIZE) {
+            const batch = allIds.slice(i, i + MIGRATION_BATCH_SIZE);
+            const [left, right] = await Promise.all([a.state.keys.get(type, batch), b.state.keys.get(type, batch)]);
+            for (const id of batch) {
+                if (serialize(left[id]) !== serialize(right[id])) {
+                    mismatches.push(`${type}/${id}`);
+                }
+            }
+        }
+    }
+    return mismatches;
+};
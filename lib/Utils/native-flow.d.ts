@@ -0,0 +1,126 @@
+import { NATIVE_FLOW_LIMITS } from '../Defaults/index.js';
+export type NativeFlowLimits = typeof NATIVE_FLOW_LIMITS;
+export type NativeFlowButton = {
+    name: string;
+    /** may be given as an object, it's stringified once validated */
+    buttonParamsJson?: string | Record<string, any>;
+};
+export type NativeFlowAmount = {
+    /** the amount times `offset`, eg. `{ value: 1050, offset: 100 }` for 10.50 */
+    value: number;
+    offset: number;
+};
+/**
+ * Checks a native flow button before it's sent,
+ * button types without a validator (eg. ones added by WhatsApp later) are only checked for valid JSON
+ * @param button `{ name, buttonParamsJson }`, `buttonParamsJson` may be given as an object
+ * @returns the button with `buttonParamsJson` as a string
+ * @throws a Boom 400 naming the button type & field when the button is malformed
+ */
+export declare const validateNativeFlowButton: (button: NativeFlowButton, limits?: NativeFlowLimits) => NativeFlowButton & {
+    buttonParamsJson: string;
+};
+/**
+ * Builds validated native flow buttons, each one is checked as it's added
+ *
+ * @example
+ * const buttons = new NativeFlowBuilder()
+ *     .quickReply({ text: '👋🏻 Hi', id: '#Hi' })
+ *     .url({ text: '🌐 Docs', url: 'https://example.com' })
+ *     .build()
+ * await sock.sendMessage(jid, { text: 'Pick one', nativeFlow: buttons })
+ */
+export declare class NativeFlowBuilder {
+    limits: NativeFlowLimits;
+    buttons: NativeFlowButton[];
+    /** @param opts `limits` to override some of `NATIVE_FLOW_LIMITS` */
+    constructor({ limits }?: {
+        limits?: Partial<NativeFlowLimits>;
+    });
+    /** adds a button from its raw native flow params, validated if the type is known */
+    add(name: string, params: Record<string, any>): this;
+    quickReply({ text, id, icon }: {
+        text: string;
+        id: string;
+        icon?: string;
+    }): this;
+    url({ text, url, merchantUrl, webview, icon }: {
+        text: string;
+        url: string;
+        merchantUrl?: string;
+        webview?: boolean;
+        icon?: string;
+    }): this;
+    call({ text, phoneNumber, icon }: {
+        text: string;
+        phoneNumber: string;
+        icon?: string;
+    }): this;
+    copy({ text, code, icon }: {
+        text: string;
+        code: string;
+        icon?: string;
+    }): this;
+    /** @param sections `[{ title, highlight_label, rows: [{ id, title, description, header }] }]` */
+    singleSelect({ title, sections, icon }: {
+        title: string;
+        sections: {
+            title?: string;
+            highlight_label?: string;
+            rows: {
+                id: string;
+                title: string;
+                description?: string;
+                header?: string;
+            }[];
+        }[];
+        icon?: string;
+    }): this;
+    /** @param country ISO 3166 alpha-2 code, `values` prefills the form */
+    address({ country, values, savedAddresses, validationErrors }: {
+        country: string;
+        values?: Record<string, string>;
+        savedAddresses?: ({
+            id: string;
+        } & Record<string, any>)[];
+        validationErrors?: Record<string, string>;
+    }): this;
+    sendLocation({ text }?: {
+        text?: string;
+    }): this;
+    /**
+     * @param settings `[{ type: 'pix_static_code', pix_static_code: { merchant_name, key, key_type } }]`,
+     * `payment_link: { uri }` or `boleto: { digitable_line }`
+     */
+    payment({ currency, totalAmount, referenceId, type, settings }: {
+        currency: string;
+        totalAmount: NativeFlowAmount;
+        referenceId: string;
+        type?: 'physical-goods' | 'digital-goods';
+        settings: Record<string, any>[];
+    }): this;
+    /** @param order `{ status, items: [{ retailer_id, name, amount, quantity }], subtotal, tax, shipping, discount }` */
+    reviewAndPay({ referenceId, type, paymentType, paymentConfiguration, currency, totalAmount, order }: {
+        referenceId: string;
+        type?: 'physical-goods' | 'digital-goods';
+        paymentType?: string;
+        paymentConfiguration: string;
+        currency: string;
+        totalAmount: NativeFlowAmount;
+        order: {
+            status?: string;
+            items: {
+                retailer_id?: string;
+                name: string;
+                amount: NativeFlowAmount;
+                quantity: number;
+            }[];
+            subtotal: NativeFlowAmount;
+            tax?: NativeFlowAmount;
+            shipping?: NativeFlowAmount;
+            discount?: NativeFlowAmount;
+        };
+    }): this;
+    /** the buttons, ready for `nativeFlow` */
+    build(): NativeFlowButton[];
+}
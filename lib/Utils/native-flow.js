@@ -0,0 +1,308 @@
+import { Boom } from '@hapi/boom';
+import { NATIVE_FLOW_LIMITS } from '../Defaults/index.js';
+// Lia@Changes 19-10-26 --- Add validateNativeFlowButton & NativeFlowBuilder, malformed buttons fail here instead of silently on the phone
+const PAYMENT_TYPES = ['digital-goods', 'physical-goods'];
+const PIX_KEY_TYPES = ['CPF', 'CNPJ', 'EMAIL', 'PHONE', 'EVP'];
+/** counts characters rather than UTF-16 units, so an emoji counts once */
+const length = (value) => [...value].length;
+const fail = (name, field, message) => {
+    throw new Boom(`Invalid ${name} button: "${field}" ${message}`, { statusCode: 400, data: { name, field } });
+};
+/**
+ * Validates the native flow params of one button type against `limits`
+ */
+const makeChecker = (name, limits) => {
+    const check = {
+        /** `at` is the path of `params` within the button params, for the error message */
+        string: (params, field, { required = false, max, at } = {}) => {
+            const value = params[field];
+            const path = at ? `${at}.${field}` : field;
+            if (value === undefined || value === null || value === '') {
+                if (required) {
+                    fail(name, path, 'is required');
+                }
+                return;
+            }
+            if (typeof value !== 'string') {
+                fail(name, path, `must be a string, got ${typeof value}`);
+            }
+            if (max && length(value) > limits[max]) {
+                fail(name, path, `must be at most ${limits[max]} characters, got ${length(value)}`);
+            }
+        },
+        url: (params, field, opts = {}) => {
+            check.string(params, field, { ...opts, max: 'url' });
+            if (params[field] && !/^https?:\/\/\S+$/i.test(params[field])) {
+                fail(name, opts.at ? `${opts.at}.${field}` : field, 'must be an http(s) URL');
+            }
+        },
+        oneOf: (params, field, values) => {
+            if (!values.includes(params[field])) {
+                fail(name, field, `must be one of ${values.join(', ')}`);
+            }
+        },
+        currency: (params, field) => {
+            if (typeof params[field] !== 'string' || !/^[A-Z]{3}$/.test(params[field])) {
+                fail(name, field, 'must be an ISO 4217 code, eg. "BRL"');
+            }
+        },
+        /** amounts are `{ value, offset }`, eg. `{ value: 1050, offset: 100 }` for 10.50 */
+        amount: (params, field, { required = true, at } = {}) => {
+            const amount = params[field];
+            if (amount === undefined && !required) {
+                return;
+            }
+            if (!Number.isSafeInteger(amount?.value) || amount.value < 0 || !Number.isSafeInteger(amount.offset) || amount.offset <= 0) {
+                fail(name, at ? `${at}.${field}` : field, 'must be { value, offset } with whole numbers, eg. { value: 1050, offset: 100 }');
+            }
+        },
+        array: (params, field, { min = 1, max, at } = {}) => {
+            const value = params[field];
+            const path = at ? `${at}.${field}` : field;
+            if (!Array.isArray(value) || value.length < min) {
+                fail(name, path, min ? `must be an array with at least ${min} item${min === 1 ? '' : 's'}` : 'must be an array');
+            }
+            if (max && value.length > limits[max]) {
+                fail(name, path, `must have at most ${limits[max]} items, got ${value.length}`);
+            }
+        }
+    };
+    return check;
+};
+const VALIDATORS = {
+    quick_reply: (params, check) => {
+        check.string(params, 'display_text', { required: true, max: 'displayText' });
+        check.string(params, 'id', { required: true, max: 'buttonId' });
+    },
+    cta_url: (params, check) => {
+        check.string(params, 'display_text', { required: true, max: 'displayText' });
+        check.url(params, 'url', { required: true });
+        check.url(params, 'merchant_url');
+    },
+    cta_call: (params, check, name) => {
+        check.string(params, 'display_text', { required: true, max: 'displayText' });
+        check.string(params, 'phone_number', { required: true, max: 'phoneNumber' });
+        if (!/^\+?[\d\s()-]+$/.test(params.phone_number)) {
+            fail(name, 'phone_number', 'must only contain digits, spaces, "+", "-" & brackets');
+        }
+    },
+    cta_copy: (params, check) => {
+        check.string(params, 'display_text', { required: true, max: 'displayText' });
+        check.string(params, 'copy_code', { required: true, max: 'copyCode' });
+    },
+    single_select: (params, check, name, limits) => {
+        check.string(params, 'title', { required: true, max: 'displayText' });
+        check.array(params, 'sections', { max: 'sections' });
+        const ids = new Set();
+        let rows = 0;
+        params.sections.forEach((section, i) => {
+            // a title is only required to tell sections apart
+            const at = `sections[${i}]`;
+            check.string(section, 'title', { required: params.sections.length > 1, max: 'sectionTitle', at });
+            check.array(section, 'rows', { at });
+            section.rows.forEach((row, j) => {
+                rows += 1;
+                check.string(row, 'id', { required: true, max: 'rowId', at: `${at}.rows[${j}]` });
+                check.string(row, 'title', { required: true, max: 'rowTitle', at: `${at}.rows[${j}]` });
+                check.string(row, 'description', { max: 'rowDescription', at: `${at}.rows[${j}]` });
+                if (ids.has(row.id)) {
+                    fail(name, `sections[${i}].rows`, `has the row id "${row.id}" more than once`);
+                }
+                ids.add(row.id);
+            });
+        });
+        if (rows > limits.rows) {
+            fail(name, 'sections', `must have at most ${limits.rows} rows in total, got ${rows}`);
+        }
+    },
+    address_message: (params, check, name) => {
+        if (typeof params.country !== 'string' || !/^[A-Z]{2}$/.test(params.country)) {
+            fail(name, 'country', 'must be an ISO 3166 alpha-2 code, eg. "IN"');
+        }
+        if (params.values !== undefined && (typeof params.values !== 'object' || Array.isArray(params.values))) {
+            fail(name, 'values', 'must be an object of address fields');
+        }
+        if (params.saved_addresses !== undefined) {
+            check.array(params, 'saved_addresses', { min: 0 });
+            params.saved_addresses.forEach((address, i) => {
+                check.string(address || {}, 'id', { required: true, at: `saved_addresses[${i}]` });
+            });
+        }
+    },
+    send_location: (params, check) => {
+        check.string(params, 'display_text', { max: 'displayText' });
+    },
+    payment_info: (params, check, name) => {
+        check.currency(params, 'currency');
+        check.amount(params, 'total_amount');
+        check.string(params, 'reference_id', { required: true, max: 'referenceId' });
+        check.oneOf(params, 'type', PAYMENT_TYPES);
+        check.array(params, 'payment_settings');
+        params.payment_settings.forEach((setting, i) => {
+            const field = `payment_settings[${i}]`;
+            switch (setting?.type) {
+                case 'pix_static_code': {
+                    const pix = setting.pix_static_code || {};
+                    check.string(pix, 'merchant_name', { required: true, at: `${field}.pix_static_code` });
+                    check.string(pix, 'key', { required: true, at: `${field}.pix_static_code` });
+                    if (!PIX_KEY_TYPES.includes(pix.key_type)) {
+                        fail(name, `${field}.pix_static_code.key_type`, `must be one of ${PIX_KEY_TYPES.join(', ')}`);
+                    }
+                    break;
+                }
+                case 'payment_link':
+                    check.url(setting.payment_link || {}, 'uri', { required: true, at: `${field}.payment_link` });
+                    break;
+                case 'boleto':
+                    check.string(setting.boleto || {}, 'digitable_line', { required: true, at: `${field}.boleto` });
+                    break;
+                default:
+                    fail(name, `${field}.type`, 'must be one of pix_static_code, payment_link, boleto');
+            }
+        });
+    },
+    review_and_pay: (params, check, name) => {
+        check.string(params, 'reference_id', { required: true, max: 'referenceId' });
+        check.oneOf(params, 'type', PAYMENT_TYPES);
+        check.string(params, 'payment_configuration', { required: true });
+        check.currency(params, 'currency');
+        check.amount(params, 'total_amount');
+        const order = params.order;
+        if (!order || typeof order !== 'object') {
+            fail(name, 'order', 'is required');
+        }
+        check.array(order, 'items', { max: 'orderItems', at: 'order' });
+        order.items.forEach((item, i) => {
+            check.string(item, 'name', { required: true, at: `order.items[${i}]` });
+            check.amount(item, 'amount', { at: `order.items[${i}]` });
+            if (!Number.isSafeInteger(item.quantity) || item.quantity <= 0) {
+                fail(name, `order.items[${i}].quantity`, 'must be a whole number above 0');
+            }
+        });
+        check.amount(order, 'subtotal', { at: 'order' });
+        for (const field of ['tax', 'shipping', 'discount']) {
+            check.amount(order, field, { required: false, at: 'order' });
+        }
+        // the phone rejects orders that don't add up, checked when every amount uses the same offset
+        const { subtotal, tax, shipping, discount } = order;
+        if (order.items.every(item => item.amount.offset === subtotal.offset)) {
+            const sum = order.items.reduce((sum, item) => sum + item.amount.value * item.quantity, 0);
+            if (sum !== subtotal.value) {
+                fail(name, 'order.subtotal', `must be the sum of the items, ${sum}, got ${subtotal.value}`);
+            }
+        }
+        if ([subtotal, tax, shipping, discount].every(amount => !amount || amount.offset === params.total_amount.offset)) {
+            const total = subtotal.value + (tax?.value || 0) + (shipping?.value || 0) - (discount?.value || 0);
+            if (total !== params.total_amount.value) {
+                fail(name, 'total_amount', `must be subtotal + tax + shipping - discount, ${total}, got ${params.total_amount.value}`);
+            }
+        }
+    }
+};
+/**
+ * Checks a native flow button before it's sent,
+ * button types without a validator (eg. ones added by WhatsApp later) are only checked for valid JSON
+ * @param button `{ name, buttonParamsJson }`, `buttonParamsJson` may be given as an object
+ * @returns the button with `buttonParamsJson` as a string
+ * @throws a Boom 400 naming the button type & field when the button is malformed
+ */
+export const validateNativeFlowButton = (button, limits = NATIVE_FLOW_LIMITS) => {
+    const name = button?.name;
+    if (typeof name !== 'string' || !name) {
+        throw new Boom('Invalid native flow button: "name" is required', { statusCode: 400, data: { button } });
+    }
+    let params = button.buttonParamsJson ?? {};
+    if (typeof params === 'string') {
+        try {
+            params = JSON.parse(params);
+        }
+        catch {
+            fail(name, 'buttonParamsJson', 'is not valid JSON');
+        }
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        fail(name, 'buttonParamsJson', 'must be a JSON object');
+    }
+    const validate = VALIDATORS[name];
+    if (validate) {
+        validate(params, makeChecker(name, limits), name, limits);
+    }
+    return {
+        ...button,
+        buttonParamsJson: typeof button.buttonParamsJson === 'string' ? button.buttonParamsJson : JSON.stringify(params)
+    };
+};
+/**
+ * Builds validated native flow buttons, each one is checked as it's added
+ *
+ * @example
+ * const buttons = new NativeFlowBuilder()
+ *     .quickReply({ text: '👋🏻 Hi', id: '#Hi' })
+ *     .url({ text: '🌐 Docs', url: 'https://example.com' })
+ *     .build()
+ * await sock.sendMessage(jid, { text: 'Pick one', nativeFlow: buttons })
+ */
+export class NativeFlowBuilder {
+    /** @param opts `limits` to override some of `NATIVE_FLOW_LIMITS` */
+    constructor({ limits } = {}) {
+        this.limits = { ...NATIVE_FLOW_LIMITS, ...limits };
+        this.buttons = [];
+    }
+    /** adds a button from its raw native flow params, validated if the type is known */
+    add(name, params) {
+        this.buttons.push(validateNativeFlowButton({ name, buttonParamsJson: params }, this.limits));
+        return this;
+    }
+    quickReply({ text, id, icon }) {
+        return this.add('quick_reply', { display_text: text, id, icon });
+    }
+    url({ text, url, merchantUrl = url, webview, icon }) {
+        return this.add('cta_url', { display_text: text, url, merchant_url: merchantUrl, webview_interaction: webview, icon });
+    }
+    call({ text, phoneNumber, icon }) {
+        return this.add('cta_call', { display_text: text, phone_number: phoneNumber, icon });
+    }
+    copy({ text, code, icon }) {
+        return this.add('cta_copy', { display_text: text, copy_code: code, icon });
+    }
+    /** @param sections `[{ title, highlight_label, rows: [{ id, title, description, header }] }]` */
+    singleSelect({ title, sections, icon }) {
+        return this.add('single_select', { title, sections, icon });
+    }
+    /** @param country ISO 3166 alpha-2 code, `values` prefills the form */
+    address({ country, values, savedAddresses, validationErrors }) {
+        return this.add('address_message', { country, values, saved_addresses: savedAddresses, validation_errors: validationErrors });
+    }
+    sendLocation({ text } = {}) {
+        return this.add('send_location', { display_text: text });
+    }
+    /**
+     * @param settings `[{ type: 'pix_static_code', pix_static_code: { merchant_name, key, key_type } }]`,
+     * `payment_link: { uri }` or `boleto: { digitable_line }`
+     */
+    payment({ currency, totalAmount, referenceId, type = 'physical-goods', settings }) {
+        return this.add('payment_info', {
+            currency,
+            total_amount: totalAmount,
+            reference_id: referenceId,
+            type,
+            payment_settings: settings
+        });
+    }
+    /** @param order `{ status, items: [{ retailer_id, name, amount, quantity }], subtotal, tax, shipping, discount }` */
+    reviewAndPay({ referenceId, type = 'physical-goods', paymentType, paymentConfiguration, currency, totalAmount, order }) {
+        return this.add('review_and_pay', {
+            reference_id: referenceId,
+            type,
+            payment_type: paymentType,
+            payment_configuration: paymentConfiguration,
+            currency,
+            total_amount: totalAmount,
+            order
+        });
+    }
+    /** the buttons, ready for `nativeFlow` */
+    build() {
+        return this.buttons.slice();
+    }
+}
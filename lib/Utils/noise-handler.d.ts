@@ -1,4 +1,4 @@
-export function makeNoiseHandler({ keyPair: { private: privateKey, public: publicKey }, NOISE_HEADER, logger, routingInfo }: {
+export function makeNoiseHandler({ keyPair: { private: privateKey, public: publicKey }, NOISE_HEADER, logger, routingInfo, certDetails }: {
     keyPair: {
         private: any;
         public: any;
@@ -6,6 +6,11 @@ export function makeNoiseHandler({ keyPair: { private: privateKey, public: publi
     NOISE_HEADER: any;
     logger: any;
     routingInfo: any;
+    certDetails?: {
+        SERIAL: number;
+        ISSUER: string;
+        PUBLIC_KEY: Buffer;
+    } | undefined;
 }): {
     encrypt: (plaintext: any) => any;
     decrypt: (ciphertext: any) => any;
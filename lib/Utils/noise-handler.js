@@ -35,7 +35,8 @@ class TransportState {
         return aesDecryptGCM(ciphertext, this.decKey, this.iv, EMPTY_BUFFER);
     }
 }
-export const makeNoiseHandler = ({ keyPair: { private: privateKey, public: publicKey }, NOISE_HEADER, logger, routingInfo }) => {
+// Lia@Changes 19-10-26 --- certDetails can be swapped, so a local mock server can sign its own noise certificate
+export const makeNoiseHandler = ({ keyPair: { private: privateKey, public: publicKey }, NOISE_HEADER, logger, routingInfo, certDetails = WA_CERT_DETAILS }) => {
     logger = logger.child({ class: 'ns' });
     const data = Buffer.from(NOISE_MODE);
     let hash = data.byteLength === 32 ? data : sha256(data);
@@ -151,14 +152,14 @@ export const makeNoiseHandler = ({ keyPair: { private: privateKey, public: publi
             const details = proto.CertChain.NoiseCertificate.Details.decode(certIntermediate.details);
             const { issuerSerial } = details;
             const verify = Curve.verify(details.key, leaf.details, leaf.signature);
-            const verifyIntermediate = Curve.verify(WA_CERT_DETAILS.PUBLIC_KEY, certIntermediate.details, certIntermediate.signature);
+            const verifyIntermediate = Curve.verify(certDetails.PUBLIC_KEY, certIntermediate.details, certIntermediate.signature);
             if (!verify) {
                 throw new Boom('noise certificate signature invalid', { statusCode: 400 });
             }
             if (!verifyIntermediate) {
                 throw new Boom('noise intermediate certificate signature invalid', { statusCode: 400 });
             }
-            if (issuerSerial !== WA_CERT_DETAILS.SERIAL) {
+            if (issuerSerial !== certDetails.SERIAL) {
                 throw new Boom('certification match failed', { statusCode: 400 });
             }
             const keyEnc = encrypt(noiseKey.public);
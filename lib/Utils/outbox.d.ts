@@ -0,0 +1,66 @@
+export function makeMemoryOutboxStore(): {
+    get: (id: any) => Promise<any>;
+    set: (entry: any) => Promise<void>;
+    del: (id: any) => Promise<void>;
+    list: () => Promise<any[]>;
+};
+export function makeKeyValueOutboxStore(adapter: any, { prefix }?: {
+    prefix?: string | undefined;
+}): {
+    get: (id: any) => Promise<any>;
+    set: (entry: any) => Promise<void>;
+    del: (id: any) => Promise<void>;
+    list: () => Promise<any[]>;
+};
+/**
+ * Whether a relayed message is user content worth resending after a reconnect,
+ * peer & protocol messages, reactions & statuses aren't recorded unless `useOutbox` is passed to `relayMessage`
+ */
+export function isOutboxMessage(jid: string, message: any, { additionalAttributes }?: {
+    additionalAttributes?: any;
+}): boolean;
+export function makeOutbox({ store, maxAttempts, maxAgeMs, keepAcked, logger }?: {
+    store?: {
+        get: (id: any) => Promise<any>;
+        set: (entry: any) => Promise<void>;
+        del: (id: any) => Promise<void>;
+        list: () => Promise<any[]>;
+    } | undefined;
+    maxAttempts?: number | undefined;
+    maxAgeMs?: number | undefined;
+    /** keeps acked messages, to track them up to `read`, instead of dropping them on the server ack */
+    keepAcked?: boolean | undefined;
+    logger?: any;
+}): {
+    store: {
+        get: (id: any) => Promise<any>;
+        set: (entry: any) => Promise<void>;
+        del: (id: any) => Promise<void>;
+        list: () => Promise<any[]>;
+    };
+    /** called by the socket right before a message is relayed */
+    record: (jid: string, message: any, { messageId, ...relayOptions }: {
+        [x: string]: any;
+        messageId: string;
+    }) => Promise<void>;
+    /** called by the socket once it's created, tracks acks & receipts on it */
+    attach: ({ ev, ws, relayMessage }: {
+        ev: any;
+        ws: any;
+        relayMessage: (jid: string, message: any, opts: any) => Promise<string>;
+    }) => void;
+    /**
+     * stops tracking the socket it was attached to
+     * @param ws only detach if still attached to this socket, a newer one may have taken over
+     */
+    detach: (ws?: any) => void;
+    /** @returns `queued`, `sent`, `delivered`, `read` or `failed`, undefined if the message isn't in the outbox */
+    getStatus: (id: string) => Promise<OutboxStatus | undefined>;
+    get: (id: string) => Promise<any>;
+    /** @param status only list entries with this status */
+    list: ({ status }?: {
+        status?: OutboxStatus | undefined;
+    }) => Promise<any[]>;
+};
+export type OutboxStatus = 'queued' | 'sent' | 'delivered' | 'read' | 'failed';
+export type Outbox = ReturnType<typeof makeOutbox>;
@@ -0,0 +1,225 @@
+import { proto } from '../../WAProto/index.js';
+import { isJidStatusBroadcast } from '../WABinary/index.js';
+import { BufferJSON } from './generics.js';
+import { getContentType, normalizeMessageContent } from './messages.js';
+// Lia@Changes 19-10-26 --- Add makeOutbox, tracks every relayed message until the server acks it & resends it after a reconnect otherwise
+const STATUS_RANK = {
+    queued: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3
+};
+/** replaying these after a reconnect would only duplicate them, or resend stale app-state & history requests */
+const SKIPPED_CONTENT_TYPES = ['protocolMessage', 'reactionMessage', 'encReactionMessage'];
+/**
+ * Whether a relayed message is user content worth resending after a reconnect,
+ * peer & protocol messages, reactions & statuses aren't recorded unless `useOutbox` is passed to `relayMessage`
+ */
+export const isOutboxMessage = (jid, message, { additionalAttributes } = {}) => {
+    if (isJidStatusBroadcast(jid) || additionalAttributes?.category === 'peer') {
+        return false;
+    }
+    const contentType = getContentType(normalizeMessageContent(message));
+    return !!contentType && !SKIPPED_CONTENT_TYPES.includes(contentType);
+};
+/**
+ * Outbox store kept in memory, use `makeKeyValueOutboxStore` to survive restarts
+ *
+ * The store contract is `get(id)`, `set(entry)`, `del(id)` & `list()`, all may be async
+ */
+export const makeMemoryOutboxStore = () => {
+    const entries = new Map();
+    return {
+        get: async (id) => entries.get(id),
+        set: async (entry) => {
+            entries.set(entry.id, entry);
+        },
+        del: async (id) => {
+            entries.delete(id);
+        },
+        list: async () => [...entries.values()]
+    };
+};
+/**
+ * Persists the outbox through a key-value adapter, eg. `makeRedisKeyValueAdapter(redis)`
+ * @param adapter see `makeMemoryKeyValueAdapter`, must implement `keys(prefix)`
+ */
+export const makeKeyValueOutboxStore = (adapter, { prefix = 'baileys:outbox:' } = {}) => {
+    if (!adapter.keys) {
+        throw new Error('key-value adapter does not implement `keys(prefix)`, cannot list the outbox');
+    }
+    const read = (raw) => (raw ? JSON.parse(raw, BufferJSON.reviver) : undefined);
+    return {
+        get: async (id) => read(await adapter.get(prefix + id)),
+        set: async (entry) => {
+            await adapter.set(prefix + entry.id, JSON.stringify(entry, BufferJSON.replacer));
+        },
+        del: async (id) => {
+            await adapter.del(prefix + id);
+        },
+        list: async () => {
+            const keys = await adapter.keys(prefix);
+            const values = adapter.mget ? await adapter.mget(keys) : await Promise.all(keys.map(key => adapter.get(key)));
+            return values.map(read).filter(Boolean);
+        }
+    };
+};
+const getStatusFromMessageStatus = (status) => {
+    switch (status) {
+        case proto.WebMessageInfo.Status.ERROR:
+            return 'failed';
+        case proto.WebMessageInfo.Status.SERVER_ACK:
+            return 'sent';
+        case proto.WebMessageInfo.Status.DELIVERY_ACK:
+            return 'delivered';
+        case proto.WebMessageInfo.Status.READ:
+        case proto.WebMessageInfo.Status.PLAYED:
+            return 'read';
+    }
+};
+/**
+ * Durable outbox, pass it as `outbox` in the socket config
+ *
+ * Every message is recorded before it's relayed & tracked as
+ * `queued` -> `sent` (server ack) -> `delivered` -> `read`, or `failed`.
+ * Messages still `queued` when the connection drops are relayed again, with the same ID,
+ * once the next socket made with the same config opens.
+ * Only user content is recorded, see `isOutboxMessage`, & entries are dropped once the server acks them
+ * @param opts `maxAttempts` relays per message, `maxAgeMs` after which a message is no longer resent
+ * and finished entries are dropped, `keepAcked` to keep tracking acked messages up to `read`
+ */
+export const makeOutbox = ({ store = makeMemoryOutboxStore(), maxAttempts = 3, maxAgeMs = 24 * 60 * 60 * 1000, keepAcked = false, logger } = {}) => {
+    let attachedWs;
+    let detach;
+    const update = async (id, status, extra = {}) => {
+        const entry = await store.get(id);
+        if (!entry) {
+            return;
+        }
+        // receipts can arrive out of order, a status never moves backwards
+        if (status !== 'failed' && entry.status !== 'failed' && STATUS_RANK[status] <= STATUS_RANK[entry.status]) {
+            return;
+        }
+        if (!keepAcked && status !== 'failed') {
+            await store.del(id);
+            logger?.trace({ id, status }, 'outbox entry acked');
+            return;
+        }
+        Object.assign(entry, extra, { status, updatedAt: Date.now() });
+        await store.set(entry);
+        logger?.trace({ id, status }, 'outbox entry updated');
+    };
+    const resendPending = async (relayMessage) => {
+        const now = Date.now();
+        for (const entry of await store.list()) {
+            if (now - entry.createdAt > maxAgeMs) {
+                if (entry.status === 'queued') {
+                    await update(entry.id, 'failed', { error: 'expired' });
+                }
+                else {
+                    await store.del(entry.id);
+                }
+                continue;
+            }
+            if (entry.status !== 'queued') {
+                continue;
+            }
+            if (entry.attempts >= maxAttempts) {
+                await update(entry.id, 'failed', { error: 'max attempts reached' });
+                continue;
+            }
+            logger?.info({ id: entry.id, jid: entry.jid, attempts: entry.attempts }, 'resending unacked message from outbox');
+            try {
+                await relayMessage(entry.jid, proto.Message.decode(entry.message), { ...entry.relayOptions, messageId: entry.id });
+            }
+            catch (error) {
+                logger?.warn({ id: entry.id, error }, 'failed to resend message from outbox');
+            }
+        }
+    };
+    return {
+        store,
+        /** called by the socket right before a message is relayed */
+        record: async (jid, message, { messageId, ...relayOptions }) => {
+            const existing = await store.get(messageId);
+            // relaying an acked message again, eg. to edit it, doesn't make it unacked
+            if (existing && existing.status !== 'queued' && existing.status !== 'failed') {
+                return;
+            }
+            const now = Date.now();
+            await store.set({
+                id: messageId,
+                jid,
+                message: Buffer.from(proto.Message.encode(message).finish()),
+                relayOptions,
+                status: 'queued',
+                attempts: (existing?.attempts || 0) + 1,
+                createdAt: existing?.createdAt || now,
+                updatedAt: now
+            });
+        },
+        /** called by the socket once it's created, tracks acks & receipts on it */
+        attach: ({ ev, ws, relayMessage }) => {
+            detach?.();
+            attachedWs = ws;
+            const onError = (error) => logger?.error({ error }, 'failed to update outbox');
+            const onAck = ({ attrs }) => {
+                const promise = attrs.error
+                    ? update(attrs.id, 'failed', { error: attrs.error })
+                    : update(attrs.id, 'sent');
+                promise.catch(onError);
+            };
+            const onMessagesUpdate = (updates) => {
+                for (const { key, update: { status } } of updates) {
+                    const outboxStatus = key.fromMe ? getStatusFromMessageStatus(status) : undefined;
+                    if (outboxStatus) {
+                        update(key.id, outboxStatus).catch(onError);
+                    }
+                }
+            };
+            const onReceiptUpdate = (updates) => {
+                for (const { key, receipt } of updates) {
+                    const outboxStatus = receipt.readTimestamp || receipt.playedTimestamp ? 'read' : receipt.receiptTimestamp ? 'delivered' : undefined;
+                    if (key.fromMe && outboxStatus) {
+                        update(key.id, outboxStatus).catch(onError);
+                    }
+                }
+            };
+            const onConnectionUpdate = ({ connection }) => {
+                if (connection === 'open') {
+                    resendPending(relayMessage).catch(onError);
+                }
+            };
+            ws.on('CB:ack,class:message', onAck);
+            ev.on('messages.update', onMessagesUpdate);
+            ev.on('message-receipt.update', onReceiptUpdate);
+            ev.on('connection.update', onConnectionUpdate);
+            detach = () => {
+                ws.off('CB:ack,class:message', onAck);
+                ev.off('messages.update', onMessagesUpdate);
+                ev.off('message-receipt.update', onReceiptUpdate);
+                ev.off('connection.update', onConnectionUpdate);
+                attachedWs = undefined;
+                detach = undefined;
+            };
+        },
+        /**
+         * stops tracking the socket it was attached to
+         * @param ws only detach if still attached to this socket, a newer one may have taken over
+         */
+        detach: (ws) => {
+            if (!ws || ws === attachedWs) {
+                detach?.();
+            }
+        },
+        /** @returns `queued`, `sent`, `delivered`, `read` or `failed`, undefined if the message isn't in the outbox */
+        getStatus: async (id) => (await store.get(id))?.status,
+        get: async (id) => store.get(id),
+        /** @param status only list entries with this status */
+        list: async ({ status } = {}) => {
+            const entries = await store.list();
+            return (status ? entries.filter(entry => entry.status === status) : entries)
+                .sort((a, b) => a.createdAt - b.createdAt);
+        }
+    };
+};
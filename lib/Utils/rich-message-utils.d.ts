@@ -1,7 +1,4 @@
-export function tokenizeCode(code: any, language?: string): {
-    highlightType: any;
-    codeContent: string | undefined;
-}[];
+export { tokenizeCode } from './code-tokenizer.js';
 export function toUnified(submessages: any, uuid: any): {
     response_id: any;
     sections: any;
@@ -5,45 +5,13 @@
  * If you use or copy this code, please credit my name or project. AND DO NOT CHANGE THIS NOTE
  */
 import { getRandomValues, randomUUID } from 'crypto';
-import { DONATE_URL, LEXER_REGEX } from '../Defaults/index.js';
-import { LANGUAGE_KEYWORDS } from '../WABinary/constants.js';
+import { DONATE_URL } from '../Defaults/index.js';
 import { CodeHighlightType, RichSubMessageType } from '../Types/RichType.js';
 import { proto } from '../../WAProto/index.js';
+import { detectCodeLanguage, resolveCodeLanguage, tokenizeCode } from './code-tokenizer.js';
 import { unixTimestampSeconds } from './generics.js';
-const NOOP = new Set([]);
-export const tokenizeCode = (code, language = 'javascript') => {
-    const keywords = LANGUAGE_KEYWORDS[language] || NOOP;
-    const blocks = [];
-    LEXER_REGEX.lastIndex = 0;
-    let match;
-    while ((match = LEXER_REGEX.exec(code)) !== null) {
-        if (match[1]) {
-            blocks.push({ highlightType: CodeHighlightType.COMMENT, codeContent: match[1] });
-        }
-        else if (match[2]) {
-            blocks.push({ highlightType: CodeHighlightType.STRING, codeContent: match[2] });
-        }
-        else if (match[3]) {
-            blocks.push({
-                highlightType: keywords.has(match[3]) ? CodeHighlightType.KEYWORD : CodeHighlightType.METHOD,
-                codeContent: match[3],
-            });
-        }
-        else if (match[4]) {
-            blocks.push({
-                highlightType: keywords.has(match[4]) ? CodeHighlightType.KEYWORD : CodeHighlightType.DEFAULT,
-                codeContent: match[4],
-            });
-        }
-        else if (match[5]) {
-            blocks.push({ highlightType: CodeHighlightType.NUMBER, codeContent: match[5] });
-        }
-        else {
-            blocks.push({ highlightType: CodeHighlightType.DEFAULT, codeContent: match[6] });
-        }
-    }
-    return blocks;
-};
+// Lia@Changes 19-10-26 --- tokenizeCode moved to code-tokenizer.js with a lexer per language, re-exported here
+export { tokenizeCode };
 // Lia@Changes 09-04-26 --- Inject buffer into unifiedResponse.data to support proper rendering of rich messages (ex: tables and code blocks)
 export const toUnified = (submessages, uuid) => ({
     response_id: uuid || randomUUID(),
@@ -198,7 +166,7 @@ export const prepareRichResponseMessage = (content) => {
             });
         }
         if (code) {
-            language ||= 'javascript';
+            language = resolveCodeLanguage(language) || resolveCodeLanguage(detectCodeLanguage(code)) || language || 'javascript';
             submessages.push({
                 messageType: RichSubMessageType.CODE,
                 codeMetadata: {
@@ -0,0 +1,38 @@
+export function makeTokenBucket({ limit, intervalMs, burst }: {
+    limit: number;
+    intervalMs?: number | undefined;
+    burst?: number | undefined;
+}): {
+    /** ms until a token is available, 0 if one is available now */
+    wait: () => number;
+    take: () => void;
+    /** a full bucket can be dropped without changing behaviour */
+    isFull: () => boolean;
+};
+export function makeSendQueue(config: any, { ev, logger, sendPresenceUpdate }?: {
+    ev?: any;
+    logger?: any;
+    sendPresenceUpdate?: (type: any, toJid: any) => Promise<void>;
+}): {
+    /**
+     * queues `task`, which sends `content` to `jid`
+     * @param opts `lane` to queue in, defaults to the middle lane
+     * @returns resolves with the result of `task` once it ran
+     */
+    enqueue: <T>(jid: string, content: any, task: () => Promise<T>, { lane }?: {
+        lane?: string | undefined;
+    }) => Promise<T>;
+    /** whether `lane` is configured, eg. to only use the `reply` lane when there is one */
+    hasLane: (lane: string) => boolean;
+    /** number of sends waiting, by lane */
+    stats: () => {
+        size: number;
+        inFlight: number;
+        lanes: {
+            [lane: string]: number;
+        };
+    };
+    /** rejects every waiting send, eg. when the socket closes */
+    clear: (error?: Error) => void;
+};
+export type SendQueue = ReturnType<typeof makeSendQueue>;
@@ -0,0 +1,189 @@
+import { Boom } from '@hapi/boom';
+import { DEFAULT_SEND_QUEUE_CONFIG } from '../Defaults/index.js';
+import { isJidBroadcast, isJidGroup, isJidNewsletter } from '../WABinary/index.js';
+import { delay } from './generics.js';
+// Lia@Changes 19-10-26 --- Add makeSendQueue, token bucket limits per account, recipient & group in front of sendMessage
+/**
+ * Token bucket allowing `burst` sends at once, refilled at `limit` per `intervalMs`
+ */
+export const makeTokenBucket = ({ limit, intervalMs = 60000, burst = limit }) => {
+    const refillPerMs = limit / intervalMs;
+    let tokens = burst;
+    let updatedAt = Date.now();
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - updatedAt) * refillPerMs);
+        updatedAt = now;
+    };
+    return {
+        /** ms until a token is available, 0 if one is available now */
+        wait: () => {
+            refill();
+            return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+        },
+        take: () => {
+            refill();
+            tokens -= 1;
+        },
+        /** a full bucket can be dropped without changing behaviour */
+        isFull: () => {
+            refill();
+            return tokens >= burst;
+        }
+    };
+};
+const getTypingDurationMs = (content, { msPerChar, minMs, maxMs }) => {
+    const text = content?.text || content?.caption || '';
+    return Math.min(maxMs, Math.max(minMs, text.length * msPerChar));
+};
+/**
+ * Queues sends & releases them as the rate limits allow,
+ * in lane order (eg. replies before broadcasts) while keeping the order within each chat
+ *
+ * Emits `send-queue.backpressure` on `ev` once `highWaterMark` jobs are waiting,
+ * and `send-queue.drain` once they've all been sent after that.
+ * @param config see `DEFAULT_SEND_QUEUE_CONFIG`, `typing: false` skips the typing warm-up
+ * @param sendPresenceUpdate used for the typing warm-up
+ */
+export const makeSendQueue = (config, { ev, logger, sendPresenceUpdate } = {}) => {
+    const { account, recipient, group, typing, lanes, highWaterMark, maxSize } = {
+        ...DEFAULT_SEND_QUEUE_CONFIG,
+        ...(typeof config === 'object' ? config : {})
+    };
+    const accountBucket = makeTokenBucket(account);
+    const chatBuckets = new Map();
+    const queues = new Map(lanes.map(lane => [lane, []]));
+    /** chats with a send in flight, the next send to them waits so the order is kept */
+    const busyJids = new Set();
+    let size = 0;
+    let isBackpressured = false;
+    let timer;
+    const getChatBucket = (jid) => {
+        let bucket = chatBuckets.get(jid);
+        if (!bucket) {
+            bucket = makeTokenBucket(isJidGroup(jid) ? group : recipient);
+            chatBuckets.set(jid, bucket);
+        }
+        return bucket;
+    };
+    const updateBackpressure = () => {
+        if (!isBackpressured && size >= highWaterMark) {
+            isBackpressured = true;
+            logger?.warn({ size, highWaterMark }, 'send queue is backed up');
+            ev?.emit('send-queue.backpressure', { size, highWaterMark });
+        }
+        else if (isBackpressured && size === 0 && !busyJids.size) {
+            isBackpressured = false;
+            ev?.emit('send-queue.drain', {});
+        }
+    };
+    const warmUp = async ({ jid, content }) => {
+        if (!typing || !sendPresenceUpdate || isJidBroadcast(jid) || isJidNewsletter(jid)) {
+            return;
+        }
+        try {
+            await sendPresenceUpdate('composing', jid);
+            await delay(getTypingDurationMs(content, typing));
+        }
+        catch (error) {
+            logger?.debug({ jid, error }, 'failed to send typing warm-up');
+        }
+    };
+    const run = async (job) => {
+        busyJids.add(job.jid);
+        try {
+            await warmUp(job);
+            job.resolve(await job.task());
+        }
+        catch (error) {
+            job.reject(error);
+        }
+        finally {
+            busyJids.delete(job.jid);
+            updateBackpressure();
+            pump();
+        }
+    };
+    const pump = () => {
+        clearTimeout(timer);
+        timer = undefined;
+        let nextWaitMs = Infinity;
+        for (const queue of queues.values()) {
+            for (let i = 0; i < queue.length; i++) {
+                const accountWaitMs = accountBucket.wait();
+                if (accountWaitMs) {
+                    nextWaitMs = Math.min(nextWaitMs, accountWaitMs);
+                    break;
+                }
+                const job = queue[i];
+                if (busyJids.has(job.jid)) {
+                    continue;
+                }
+                const chatBucket = getChatBucket(job.jid);
+                const chatWaitMs = chatBucket.wait();
+                if (chatWaitMs) {
+                    nextWaitMs = Math.min(nextWaitMs, chatWaitMs);
+                    continue;
+                }
+                accountBucket.take();
+                chatBucket.take();
+                queue.splice(i--, 1);
+                size -= 1;
+                void run(job);
+            }
+        }
+        // buckets that have refilled behave like new ones
+        for (const [jid, bucket] of chatBuckets) {
+            if (!busyJids.has(jid) && bucket.isFull()) {
+                chatBuckets.delete(jid);
+            }
+        }
+        if (size && nextWaitMs !== Infinity) {
+            timer = setTimeout(pump, nextWaitMs);
+            // a queue waiting for its buckets to refill shouldn't keep the process alive once the socket is gone
+            timer.unref?.();
+        }
+    };
+    return {
+        /**
+         * queues `task`, which sends `content` to `jid`
+         * @param opts `lane` to queue in, defaults to the middle lane
+         * @returns resolves with the result of `task` once it ran
+         */
+        enqueue: (jid, content, task, { lane = lanes[Math.floor(lanes.length / 2)] } = {}) => {
+            const queue = queues.get(lane);
+            if (!queue) {
+                return Promise.reject(new Boom(`Unknown send queue lane "${lane}"`, { statusCode: 400, data: { lanes } }));
+            }
+            if (size >= maxSize) {
+                return Promise.reject(new Boom('Send queue is full', { statusCode: 429, data: { size, maxSize } }));
+            }
+            return new Promise((resolve, reject) => {
+                queue.push({ jid, content, task, resolve, reject });
+                size += 1;
+                updateBackpressure();
+                pump();
+            });
+        },
+        /** whether `lane` is configured, eg. to only use the `reply` lane when there is one */
+        hasLane: (lane) => queues.has(lane),
+        /** number of sends waiting, by lane */
+        stats: () => ({
+            size,
+            inFlight: busyJids.size,
+            lanes: Object.fromEntries([...queues].map(([lane, queue]) => [lane, queue.length]))
+        }),
+        /** rejects every waiting send, eg. when the socket closes */
+        clear: (error = new Boom('Send queue cleared', { statusCode: 410 })) => {
+            clearTimeout(timer);
+            timer = undefined;
+            for (const queue of queues.values()) {
+                for (const job of queue.splice(0)) {
+                    job.reject(error);
+                }
+            }
+            size = 0;
+            updateBackpressure();
+        }
+    };
+};
@@ -0,0 +1,16 @@
+export function redactStanzaBodies(node: any): any;
+export function makeStanzaRecorder({ path, stream, redact, logger }?: {
+    path?: string;
+    stream?: any;
+    redact?: (node: any, direction: 'in' | 'out') => any;
+    logger?: any;
+}): {
+    /** called by the socket when it connects */
+    start: ({ me }?: {
+        me?: any;
+    }) => void;
+    /** called by the socket with every node it sends or receives */
+    record: (direction: 'in' | 'out', node: any) => void;
+    close: () => Promise<void>;
+};
+export function readStanzaRecording(path: string): Promise<any[]>;
@@ -0,0 +1,105 @@
+import { createWriteStream } from 'fs';
+import { readFile } from 'fs/promises';
+import { BufferJSON } from './generics.js';
+// Lia@Changes 19-10-26 --- Add makeStanzaRecorder, dumps every decrypted stanza to JSONL so production bugs can be replayed
+/** tags whose content carries (encrypted or plain) message bodies */
+const BODY_TAGS = new Set(['enc', 'plaintext', 'body', 'hsm', 'media', 'picture', 'props']);
+/**
+ * Redaction hook that empties the content of every node carrying a message body,
+ * the stanza structure, tags & attributes are kept so the recording still replays
+ */
+export const redactStanzaBodies = (node) => {
+    if (!node || typeof node !== 'object' || node instanceof Uint8Array) {
+        return node;
+    }
+    let content = node.content;
+    if (Array.isArray(content)) {
+        content = content.map(child => redactStanzaBodies(child));
+    }
+    else if (content && BODY_TAGS.has(node.tag)) {
+        content = typeof content === 'string' ? '' : Buffer.alloc(0);
+    }
+    return { ...node, content };
+};
+/**
+ * Records the stanzas of a socket, pass the result as `stanzaRecorder` in the socket config
+ *
+ * Each line of the output is `{ ts, direction, tag, id, node }`, `direction` is `in` or `out`;
+ * a `meta` line with the logged in user starts every connection.
+ * Nothing is written unless a recorder is configured, & recording stops, logging why, if the output errors.
+ * @param opts `path` to append to (or a writable `stream`),
+ * `redact(node, direction)` may return a modified node or `undefined` to skip it, see `redactStanzaBodies`
+ */
+export const makeStanzaRecorder = ({ path, stream, redact, logger } = {}) => {
+    if (!path && !stream) {
+        throw new Error('makeStanzaRecorder needs either a `path` or a `stream` to write to');
+    }
+    const out = stream || createWriteStream(path, { flags: 'a' });
+    let closed = false;
+    let failed = false;
+    // eg. EACCES or ENOSPC, recording stops instead of taking down the process
+    out.on('error', error => {
+        if (!failed) {
+            logger?.error({ error, path }, 'failed to write stanza recording, recording disabled');
+        }
+        closed = true;
+        failed = true;
+    });
+    const write = (entry) => {
+        if (closed) {
+            return;
+        }
+        out.write(JSON.stringify(entry, BufferJSON.replacer) + '\n');
+    };
+    return {
+        /** called by the socket when it connects */
+        start: ({ me } = {}) => {
+            write({
+                ts: Date.now(),
+                direction: 'meta',
+                me: me ? { id: me.id, lid: me.lid } : undefined
+            });
+        },
+        /** called by the socket with every node it sends or receives */
+        record: (direction, node) => {
+            try {
+                const recorded = redact ? redact(node, direction) : node;
+                if (!recorded) {
+                    return;
+                }
+                write({
+                    ts: Date.now(),
+                    direction,
+                    tag: recorded.tag,
+                    id: recorded.attrs?.id,
+                    node: recorded
+                });
+            }
+            catch (error) {
+                // never let the recorder take down the connection
+                logger?.warn({ error, direction }, 'failed to record stanza');
+            }
+        },
+        close: () => new Promise(resolve => {
+            if (closed) {
+                return resolve();
+            }
+            closed = true;
+            if (stream || failed) {
+                return resolve();
+            }
+            out.end(resolve);
+        })
+    };
+};
+/**
+ * Parses a recording made by `makeStanzaRecorder`
+ * @param path the JSONL file
+ */
+export const readStanzaRecording = async (path) => {
+    const text = await readFile(path, 'utf-8');
+    return text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line, BufferJSON.reviver));
+};
@@ -0,0 +1,78 @@
+export type StickerMetadata = {
+    /** generated when left out */
+    packId?: string;
+    packName?: string;
+    author?: string;
+    emojis?: string[];
+    [key: string]: any;
+};
+export type CreateStickerOptions = {
+    packId?: string;
+    packName?: string;
+    author?: string;
+    emojis?: string[];
+    /** `full` fits the whole image with a transparent border, `crop` fills the square, `circle` crops to a circle */
+    type?: 'full' | 'crop' | 'circle';
+    /** the WebP quality to start from, 1-100 */
+    quality?: number;
+    /** frame rate of animated stickers, defaults to `STICKER_LIMITS.animatedFps` */
+    fps?: number;
+    /** seconds kept from GIFs & videos, defaults to `STICKER_LIMITS.animatedDuration` */
+    maxDuration?: number;
+    logger?: any;
+};
+/**
+ * Embeds sticker pack metadata in a WebP, replacing any EXIF it already had
+ * @returns the WebP with the EXIF chunk
+ */
+export declare const addStickerMetadata: (webp: Buffer, metadata?: StickerMetadata) => Buffer;
+/**
+ * Reads the sticker pack metadata embedded in a WebP sticker
+ * @returns `{ packId, packName, author, emojis }` plus any other key of the JSON, undefined if it has none
+ */
+export declare const getStickerMetadata: (webp: Buffer) => StickerMetadata | undefined;
+export type ParsedStickerPack = {
+    id?: string;
+    name?: string;
+    publisher?: string;
+    description?: string;
+    /** the tray icon */
+    cover?: Buffer;
+    stickers: {
+        fileName: string;
+        /** undefined when the file is missing from the zip */
+        data?: Buffer;
+        mimetype: string;
+        isAnimated: boolean;
+        isLottie: boolean;
+        emojis: string[];
+        accessibilityLabel?: string;
+        /** the pack metadata embedded in the sticker itself */
+        metadata?: StickerMetadata;
+    }[];
+};
+/**
+ * Downloads a received sticker pack & unzips it
+ * @param options passed to `downloadMediaMessage`
+ * @param ctx `{ logger, reuploadRequest }` to ask the sender to upload the pack again when it expired, eg. `{ logger, reuploadRequest: sock.updateMediaMessage }`
+ * @returns the pack info, its `cover` & every sticker with its emojis, accessibility label & embedded `metadata`
+ * @throws a Boom 400 when the message isn't a sticker pack, 422 when the download doesn't match its hash
+ */
+export declare const parseStickerPack: (message: any, options?: any, ctx?: {
+    logger: any;
+    reuploadRequest: (msg: any) => Promise<any>;
+}) => Promise<ParsedStickerPack>;
+/**
+ * Creates a 512x512 WebP sticker, ready for `sendMessage(jid, { sticker })`
+ *
+ * PNG, JPEG & static WebP become static stickers, GIF, MP4, WebM & animated WebP animated ones.
+ * The quality (& for animated stickers the frame rate) is lowered until the sticker fits WhatsApp's size limits.
+ * Static images use sharp when installed, everything else needs FFmpeg (with libwebp), animated WebP needs sharp
+ * @param input a buffer, `{ url }` or `{ stream }`
+ * @throws a Boom 400 when the sticker can't be made small enough
+ */
+export declare const createSticker: (input: Buffer | {
+    url: string | URL;
+} | {
+    stream: NodeJS.ReadableStream;
+}, opts?: CreateStickerOptions) => Promise<Buffer>;
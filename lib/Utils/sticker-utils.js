@@ -0,0 +1,350 @@
+import { Boom } from '@hapi/boom';
+import { unzip } from 'fflate';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { STICKER_LIMITS } from '../Defaults/index.js';
+import { sha256 } from './crypto.js';
+import { generateMessageIDV2 } from './generics.js';
+import { getImageProcessingLibrary, getStream, runFFmpeg, toBuffer } from './messages-media.js';
+import { downloadMediaMessage, extractMessageContent, isAnimatedWebP, isWebPBuffer } from './messages.js';
+// Lia@Changes 19-10-26 --- Add createSticker, converts images, GIFs & videos into WhatsApp stickers with pack metadata
+// Lia@Changes 19-10-26 --- Add parseStickerPack & getStickerMetadata, reads received sticker packs back
+const STICKER_TYPES = ['full', 'crop', 'circle'];
+// the EXIF tag WhatsApp reads the sticker pack JSON from
+const STICKER_EXIF_TAG = 0x5741;
+const readChunks = (webp) => {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= webp.length) {
+        const fourCC = webp.toString('ascii', offset, offset + 4);
+        const size = webp.readUInt32LE(offset + 4);
+        chunks.push({ fourCC, data: webp.subarray(offset + 8, offset + 8 + size) });
+        // chunks are padded to an even size
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+};
+const writeChunks = (chunks) => {
+    const parts = [];
+    for (const { fourCC, data } of chunks) {
+        const header = Buffer.alloc(8);
+        header.write(fourCC, 0, 'ascii');
+        header.writeUInt32LE(data.length, 4);
+        parts.push(header, data);
+        if (data.length % 2) {
+            parts.push(Buffer.alloc(1));
+        }
+    }
+    const body = Buffer.concat(parts);
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(body.length + 4, 4);
+    riff.write('WEBP', 8, 'ascii');
+    return Buffer.concat([riff, body]);
+};
+/**
+ * Builds the VP8X header a simple (lossy or lossless) WebP needs before it can carry EXIF
+ */
+const makeExtendedHeader = (chunks) => {
+    let width;
+    let height;
+    let hasAlpha = chunks.some(chunk => chunk.fourCC === 'ALPH');
+    const vp8 = chunks.find(chunk => chunk.fourCC === 'VP8 ');
+    const vp8l = chunks.find(chunk => chunk.fourCC === 'VP8L');
+    if (vp8 && vp8.data.length >= 10) {
+        width = vp8.data.readUInt16LE(6) & 0x3fff;
+        height = vp8.data.readUInt16LE(8) & 0x3fff;
+    }
+    else if (vp8l && vp8l.data.length >= 5) {
+        const bits = vp8l.data.readUInt32LE(1);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >>> 14) & 0x3fff) + 1;
+        hasAlpha = hasAlpha || !!((bits >>> 28) & 1);
+    }
+    else {
+        throw new Boom('Invalid WebP: no image data', { statusCode: 400 });
+    }
+    const data = Buffer.alloc(10);
+    data[0] = hasAlpha ? 0x10 : 0;
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    return { fourCC: 'VP8X', data };
+};
+/**
+ * Builds the EXIF WhatsApp reads sticker pack info from, a single IFD entry holding the JSON
+ */
+const makeStickerExif = (json) => {
+    const data = Buffer.from(JSON.stringify(json), 'utf8');
+    const exif = Buffer.alloc(22);
+    // little endian TIFF header, the IFD right after it
+    exif.write('II', 0, 'ascii');
+    exif.writeUInt16LE(42, 2);
+    exif.writeUInt32LE(8, 4);
+    exif.writeUInt16LE(1, 8);
+    // tag, type UNDEFINED, length & offset of the JSON
+    exif.writeUInt16LE(STICKER_EXIF_TAG, 10);
+    exif.writeUInt16LE(7, 12);
+    exif.writeUInt32LE(data.length, 14);
+    exif.writeUInt32LE(22, 18);
+    return Buffer.concat([exif, data]);
+};
+/**
+ * Embeds sticker pack metadata in a WebP, replacing any EXIF it already had
+ * @param metadata `{ packId, packName, author, emojis }`, anything else is added to the JSON as-is
+ * @returns the WebP with the EXIF chunk
+ */
+export const addStickerMetadata = (webp, { packId, packName, author, emojis, ...extra } = {}) => {
+    if (!isWebPBuffer(webp)) {
+        throw new Boom('Sticker metadata can only be added to a WebP', { statusCode: 400 });
+    }
+    const chunks = readChunks(webp).filter(chunk => chunk.fourCC !== 'EXIF');
+    let header = chunks.find(chunk => chunk.fourCC === 'VP8X');
+    if (!header) {
+        header = makeExtendedHeader(chunks);
+        chunks.unshift(header);
+    }
+    header.data = Buffer.from(header.data);
+    // the EXIF flag
+    header.data[0] |= 0x08;
+    const exif = {
+        fourCC: 'EXIF',
+        data: makeStickerExif({
+            'sticker-pack-id': packId || generateMessageIDV2(),
+            'sticker-pack-name': packName || '',
+            'sticker-pack-publisher': author || '',
+            emojis: emojis || [],
+            ...extra
+        })
+    };
+    // EXIF goes after the image data, before XMP
+    const xmp = chunks.findIndex(chunk => chunk.fourCC === 'XMP ');
+    chunks.splice(xmp === -1 ? chunks.length : xmp, 0, exif);
+    return writeChunks(chunks);
+};
+/**
+ * Reads the JSON out of a sticker's EXIF, in either byte order
+ */
+const readStickerExif = (exif) => {
+    // some encoders keep the JPEG style "Exif\0\0" prefix
+    if (exif.toString('ascii', 0, 6) === 'Exif\0\0') {
+        exif = exif.subarray(6);
+    }
+    const order = exif.toString('ascii', 0, 2);
+    if (exif.length < 8 || (order !== 'II' && order !== 'MM')) {
+        return undefined;
+    }
+    const le = order === 'II';
+    const read16 = (offset) => (le ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset));
+    const read32 = (offset) => (le ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset));
+    const ifd = read32(4);
+    if (ifd + 2 > exif.length) {
+        return undefined;
+    }
+    for (let i = 0, count = read16(ifd); i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > exif.length || read16(entry) !== STICKER_EXIF_TAG) {
+            continue;
+        }
+        const length = read32(entry + 4);
+        // values of up to 4 bytes are stored in the entry itself
+        const offset = length <= 4 ? entry + 8 : read32(entry + 8);
+        return JSON.parse(exif.toString('utf8', offset, offset + length));
+    }
+    return undefined;
+};
+/**
+ * Reads the sticker pack metadata embedded in a WebP sticker
+ * @returns `{ packId, packName, author, emojis }` plus any other key of the JSON, undefined if it has none
+ */
+export const getStickerMetadata = (webp) => {
+    if (!isWebPBuffer(webp)) {
+        return undefined;
+    }
+    const exif = readChunks(webp).find(chunk => chunk.fourCC === 'EXIF');
+    let json;
+    try {
+        json = exif && readStickerExif(exif.data);
+    }
+    catch {
+        return undefined;
+    }
+    if (!json || typeof json !== 'object') {
+        return undefined;
+    }
+    const { 'sticker-pack-id': packId, 'sticker-pack-name': packName, 'sticker-pack-publisher': author, emojis, ...extra } = json;
+    return { packId, packName, author, emojis, ...extra };
+};
+/**
+ * Downloads a received sticker pack & unzips it
+ * @param options passed to `downloadMediaMessage`
+ * @param ctx `{ logger, reuploadRequest }` to ask the sender to upload the pack again when it expired, eg. `{ logger, reuploadRequest: sock.updateMediaMessage }`
+ * @returns the pack info, its `cover` & every sticker with its emojis, accessibility label & embedded `metadata`
+ * @throws a Boom 400 when the message isn't a sticker pack, 422 when the download doesn't match its hash
+ */
+export const parseStickerPack = async (message, options = {}, ctx) => {
+    const pack = extractMessageContent(message.message)?.stickerPackMessage;
+    if (!pack) {
+        throw new Boom('Not a sticker pack message', { statusCode: 400, data: message.key });
+    }
+    const zipBuffer = await downloadMediaMessage(message, 'buffer', options, ctx);
+    if (pack.fileSha256?.length && !sha256(zipBuffer).equals(Buffer.from(pack.fileSha256))) {
+        throw new Boom('Sticker pack hash mismatch', { statusCode: 422, data: message.key });
+    }
+    const files = await new Promise((resolve, reject) => {
+        unzip(new Uint8Array(zipBuffer), (error, data) => error ? reject(error) : resolve(data));
+    });
+    const getFile = (fileName) => {
+        const file = fileName && files[fileName];
+        return file ? Buffer.from(file.buffer, file.byteOffset, file.byteLength) : undefined;
+    };
+    const stickers = (pack.stickers || []).map(sticker => {
+        const data = getFile(sticker.fileName);
+        if (!data) {
+            ctx?.logger?.warn({ fileName: sticker.fileName }, 'sticker missing from sticker pack');
+        }
+        return {
+            fileName: sticker.fileName,
+            data,
+            mimetype: sticker.mimetype || 'image/webp',
+            isAnimated: !!sticker.isAnimated,
+            isLottie: !!sticker.isLottie,
+            emojis: sticker.emojis || [],
+            accessibilityLabel: sticker.accessibilityLabel || undefined,
+            metadata: data && getStickerMetadata(data)
+        };
+    });
+    return {
+        id: pack.stickerPackId,
+        name: pack.name,
+        publisher: pack.publisher,
+        description: pack.packDescription || undefined,
+        cover: getFile(pack.trayIconFileName),
+        stickers
+    };
+};
+const getInputFormat = (buffer) => {
+    if (isWebPBuffer(buffer)) {
+        return isAnimatedWebP(buffer) ? 'animated-webp' : 'webp';
+    }
+    if (/^GIF8[79]a/.test(buffer.toString('ascii', 0, 6))) {
+        return 'gif';
+    }
+    // MP4/MOV, or Matroska/WebM
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' || (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3)) {
+        return 'video';
+    }
+    return 'image';
+};
+const getCircleMask = (size) => Buffer.from(`<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="#fff"/></svg>`);
+/**
+ * Resizes with sharp, animated WebPs are resized frame by frame
+ */
+const encodeWithSharp = (sharp, buffer, { type, quality, animated }) => {
+    const size = STICKER_LIMITS.dimension;
+    let image = sharp(buffer, { animated }).resize(size, size, {
+        fit: type === 'full' ? 'contain' : 'cover',
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+    });
+    if (type === 'circle') {
+        // frames of an animated image are stacked vertically, tiling the mask covers every one of them
+        image = image.composite([{ input: getCircleMask(size), blend: 'dest-in', tile: animated }]);
+    }
+    return image.webp({ quality, effort: 4, loop: 0 }).toBuffer();
+};
+const getFilters = (type) => {
+    const size = STICKER_LIMITS.dimension;
+    switch (type) {
+        case 'full':
+            return [
+                `scale=${size}:${size}:force_original_aspect_ratio=decrease:flags=lanczos`,
+                'format=rgba',
+                `pad=${size}:${size}:(ow-iw)/2:(oh-ih)/2:color=black@0`
+            ];
+        case 'crop':
+            return [`scale=${size}:${size}:force_original_aspect_ratio=increase:flags=lanczos`, `crop=${size}:${size}`, 'format=rgba'];
+        case 'circle':
+            return [
+                ...getFilters('crop'),
+                `geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='if(lte(hypot(X-${size / 2},Y-${size / 2}),${size / 2}),alpha(X,Y),0)'`
+            ];
+    }
+};
+/**
+ * Converts with FFmpeg's libwebp encoder, GIFs & videos become animated stickers
+ */
+const encodeWithFFmpeg = async (buffer, { type, quality, animated, fps, maxDuration }) => {
+    const inputPath = join(tmpdir(), 'sticker' + generateMessageIDV2());
+    const outputPath = inputPath + '.webp';
+    await fs.writeFile(inputPath, buffer);
+    try {
+        const filters = getFilters(type);
+        await runFFmpeg([
+            '-y',
+            ...(animated ? ['-t', String(maxDuration)] : []),
+            '-i', inputPath,
+            '-vf', (animated ? [`fps=${fps}`, ...filters] : filters).join(','),
+            '-an', '-sn', '-dn',
+            '-map_metadata', '-1',
+            '-c:v', 'libwebp',
+            '-lossless', '0',
+            '-q:v', String(quality),
+            '-compression_level', '6',
+            ...(animated ? ['-loop', '0', '-vsync', '0'] : ['-frames:v', '1']),
+            outputPath
+        ]);
+        return await fs.readFile(outputPath);
+    }
+    finally {
+        await Promise.all([fs.unlink(inputPath), fs.unlink(outputPath)].map(promise => promise.catch(() => { })));
+    }
+};
+/**
+ * Creates a 512x512 WebP sticker, ready for `sendMessage(jid, { sticker })`
+ *
+ * PNG, JPEG & static WebP become static stickers, GIF, MP4, WebM & animated WebP animated ones.
+ * The quality (& for animated stickers the frame rate) is lowered until the sticker fits WhatsApp's size limits.
+ * Static images use sharp when installed, everything else needs FFmpeg (with libwebp), animated WebP needs sharp
+ * @param input a buffer, `{ url }` or `{ stream }`
+ * @param opts.type `full` fits the whole image with a transparent border, `crop` fills the square, `circle` crops to a circle
+ * @param opts.quality the WebP quality to start from, 1-100
+ * @throws a Boom 400 when the sticker can't be made small enough
+ */
+export const createSticker = async (input, { packId, packName, author, emojis, type = 'full', quality = 80, fps = STICKER_LIMITS.animatedFps, maxDuration = STICKER_LIMITS.animatedDuration, logger } = {}) => {
+    if (!STICKER_TYPES.includes(type)) {
+        throw new Boom(`Invalid sticker type "${type}", expected one of ${STICKER_TYPES.join(', ')}`, { statusCode: 400 });
+    }
+    const { stream } = await getStream(input);
+    const buffer = await toBuffer(stream);
+    const format = getInputFormat(buffer);
+    const animated = format === 'animated-webp' || format === 'gif' || format === 'video';
+    const maxSize = animated ? STICKER_LIMITS.animatedSize : STICKER_LIMITS.staticSize;
+    const lib = animated && format !== 'animated-webp' ? undefined : await getImageProcessingLibrary().catch(() => undefined);
+    const sharp = lib && 'sharp' in lib ? lib.sharp.default : undefined;
+    if (format === 'animated-webp' && !sharp) {
+        throw new Boom('Converting an animated WebP into a sticker needs sharp', { statusCode: 400 });
+    }
+    let sticker;
+    // each attempt lowers the quality, animated stickers also drop frames after the first two
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const opts = {
+            type,
+            animated,
+            quality: Math.max(quality - attempt * 15, 10),
+            fps: attempt < 2 ? fps : Math.max(Math.round(fps * (1 - (attempt - 1) * 0.25)), 5),
+            maxDuration
+        };
+        const webp = sharp && format !== 'gif' && format !== 'video'
+            ? await encodeWithSharp(sharp, buffer, opts)
+            : await encodeWithFFmpeg(buffer, opts);
+        sticker = addStickerMetadata(webp, { packId, packName, author, emojis });
+        logger?.debug({ format, attempt, quality: opts.quality, fps: opts.fps, size: sticker.length }, 'encoded sticker');
+        if (sticker.length <= maxSize) {
+            return sticker;
+        }
+    }
+    throw new Boom(`Sticker is ${sticker.length} bytes, over the ${maxSize} bytes limit for ${animated ? 'animated' : 'static'} stickers`, {
+        statusCode: 400,
+        data: { size: sticker.length, maxSize }
+    });
+};
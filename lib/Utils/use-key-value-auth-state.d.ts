@@ -0,0 +1,55 @@
+export function makeMemoryKeyValueAdapter(): {
+    get: (key: any) => Promise<any>;
+    mget: (keys: any) => Promise<any>;
+    set: (key: any, value: any, { ttlMs, ifNotExists }?: {
+        ttlMs: any;
+        ifNotExists: any;
+    }) => Promise<boolean>;
+    del: (key: any) => Promise<void>;
+    multi: () => {
+        set: (key: any, value: any) => any;
+        del: (key: any) => any;
+        exec: () => Promise<void>;
+    };
+    renew: (key: any, value: any, ttlMs: any) => Promise<boolean>;
+    release: (key: any, value: any) => Promise<void>;
+    keys: (prefix: any) => Promise<any[]>;
+};
+export function makeRedisKeyValueAdapter(redis: any): {
+    get: (key: any) => any;
+    mget: (keys: any) => any;
+    set: (key: any, value: any, { ttlMs, ifNotExists }?: {
+        ttlMs: any;
+        ifNotExists: any;
+    }) => Promise<boolean>;
+    del: (key: any) => Promise<void>;
+    multi: () => {
+        set: (key: any, value: any) => any;
+        del: (key: any) => any;
+        exec: () => Promise<void>;
+    };
+    renew: (key: any, value: any, ttlMs: any) => Promise<boolean>;
+    release: (key: any, value: any) => Promise<void>;
+    keys: (prefix: any) => Promise<any[]>;
+};
+export function useKeyValueAuthState(adapter: any, { prefix, lease, leaseMs, acquireTimeoutMs, ownerId, logger, onLeaseLost }?: {
+    prefix?: string | undefined;
+    lease?: boolean | undefined;
+    leaseMs?: number | undefined;
+    acquireTimeoutMs?: number | undefined;
+    ownerId?: string | undefined;
+    logger: any;
+    onLeaseLost: any;
+}): Promise<{
+    state: {
+        creds: any;
+        keys: {
+            get: (type: any, ids: any) => Promise<{}>;
+            set: (data: any) => Promise<void>;
+            list: (type: any) => Promise<any>;
+        };
+    };
+    saveCreds: () => Promise<void>;
+    /** stops renewing & gives up the lease, so another instance can take over */
+    release: () => Promise<void>;
+}>;
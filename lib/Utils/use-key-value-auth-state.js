@@ -0,0 +1,248 @@
+import { Boom } from '@hapi/boom';
+import { randomBytes } from 'crypto';
+import { proto } from '../../WAProto/index.js';
+import { initAuthCreds } from './auth-utils.js';
+import { BufferJSON, delay } from './generics.js';
+// Lia@Changes 19-10-26 --- Add useKeyValueAuthState, so several replicas can share one Redis (or similar) instance
+const DEFAULT_LEASE_MS = 30000;
+const LEASE_RETRY_INTERVAL_MS = 1000;
+const CREDS_KEY = 'creds';
+const LEASE_KEY = 'lease';
+/**
+ * Key-value adapter kept entirely in memory, useful for tests & one-off scripts
+ *
+ * The adapter contract is:
+ * - `get(key)` resolves the stored string or null
+ * - `set(key, value, { ttlMs, ifNotExists })` resolves false when `ifNotExists` was set & the key exists
+ * - `del(key)`
+ * - `multi()` returns a chain of `set(key, value)` / `del(key)` applied atomically by `exec()`
+ * - `renew(key, value, ttlMs)` & `release(key, value)` only act while `key` still holds `value`
+ * - `mget(keys)` & `keys(prefix)` are optional
+ */
+export const makeMemoryKeyValueAdapter = () => {
+    const data = new Map();
+    const read = (key) => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+    const write = (key, value, ttlMs) => {
+        data.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : undefined });
+    };
+    return {
+        get: async (key) => read(key)?.value ?? null,
+        mget: async (keys) => keys.map(key => read(key)?.value ?? null),
+        set: async (key, value, { ttlMs, ifNotExists } = {}) => {
+            if (ifNotExists && read(key)) {
+                return false;
+            }
+            write(key, value, ttlMs);
+            return true;
+        },
+        del: async (key) => {
+            data.delete(key);
+        },
+        multi: () => {
+            const ops = [];
+            const chain = {
+                set: (key, value) => {
+                    ops.push(() => write(key, value));
+                    return chain;
+                },
+                del: (key) => {
+                    ops.push(() => data.delete(key));
+                    return chain;
+                },
+                exec: async () => {
+                    for (const op of ops) {
+                        op();
+                    }
+                }
+            };
+            return chain;
+        },
+        renew: async (key, value, ttlMs) => {
+            if (read(key)?.value !== value) {
+                return false;
+            }
+            write(key, value, ttlMs);
+            return true;
+        },
+        release: async (key, value) => {
+            if (read(key)?.value === value) {
+                data.delete(key);
+            }
+        },
+        keys: async (prefix) => [...data.keys()].filter(key => key.startsWith(prefix) && read(key))
+    };
+};
+const REDIS_RENEW_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+const REDIS_RELEASE_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+/**
+ * Wraps an `ioredis` (or API compatible) client into a key-value adapter
+ * @param redis the connected client
+ */
+export const makeRedisKeyValueAdapter = (redis) => ({
+    get: (key) => redis.get(key),
+    // MGET without keys is a syntax error in Redis
+    mget: async (keys) => (keys.length ? redis.mget(...keys) : []),
+    set: async (key, value, { ttlMs, ifNotExists } = {}) => {
+        const args = [key, value];
+        if (ttlMs) {
+            args.push('PX', ttlMs);
+        }
+        if (ifNotExists) {
+            args.push('NX');
+        }
+        return (await redis.set(...args)) === 'OK';
+    },
+    del: async (key) => {
+        await redis.del(key);
+    },
+    multi: () => {
+        const pipeline = redis.multi();
+        const chain = {
+            set: (key, value) => {
+                pipeline.set(key, value);
+                return chain;
+            },
+            del: (key) => {
+                pipeline.del(key);
+                return chain;
+            },
+            exec: async () => {
+                const results = await pipeline.exec();
+                const failed = results?.find(([err]) => err);
+                if (failed) {
+                    throw failed[0];
+                }
+            }
+        };
+        return chain;
+    },
+    renew: async (key, value, ttlMs) => (await redis.eval(REDIS_RENEW_SCRIPT, 1, key, value, ttlMs)) === 1,
+    release: async (key, value) => {
+        await redis.eval(REDIS_RELEASE_SCRIPT, 1, key, value);
+    },
+    keys: async (prefix) => {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await redis.scan(cursor, 'MATCH', prefix.replace(/[*?[\]\\]/g, '\\$&') + '*', 'COUNT', 500);
+            keys.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+        return keys;
+    }
+});
+/**
+ * stores the full authentication state in any key-value store, eg. Redis
+ *
+ * Signal key writes are committed through `adapter.multi()`, so a transaction
+ * from `addTransactionCapability` lands all at once or not at all.
+ * A lease stops two processes from running with the same creds at once.
+ * @param adapter see `makeMemoryKeyValueAdapter` for the contract
+ * @param opts `prefix` namespaces the keys, `lease: false` disables the lease
+ */
+export const useKeyValueAuthState = async (adapter, { prefix = 'baileys:auth:', lease = true, leaseMs = DEFAULT_LEASE_MS, acquireTimeoutMs = leaseMs, ownerId = randomBytes(8).toString('hex'), logger, onLeaseLost } = {}) => {
+    const leaseKey = prefix + LEASE_KEY;
+    const keyFor = (type, id) => `${prefix}${type}:${id}`;
+    let leaseLost = false;
+    let renewTimer;
+    const assertLease = () => {
+        if (leaseLost) {
+            throw new Boom('Auth state lease was lost to another instance, refusing to write', { statusCode: 409, data: { ownerId } });
+        }
+    };
+    if (lease) {
+        const startedAt = Date.now();
+        while (!(await adapter.set(leaseKey, ownerId, { ttlMs: leaseMs, ifNotExists: true }))) {
+            if (Date.now() - startedAt >= acquireTimeoutMs) {
+                throw new Boom('Auth state is in use by another instance', { statusCode: 409, data: { holder: await adapter.get(leaseKey) } });
+            }
+            await delay(LEASE_RETRY_INTERVAL_MS);
+        }
+        logger?.debug({ ownerId }, 'acquired auth state lease');
+        renewTimer = setInterval(async () => {
+            try {
+                if (!(await adapter.renew(leaseKey, ownerId, leaseMs))) {
+                    leaseLost = true;
+                    clearInterval(renewTimer);
+                    logger?.error({ ownerId }, 'lost auth state lease');
+                    onLeaseLost?.();
+                }
+            }
+            catch (error) {
+                logger?.warn({ error }, 'failed to renew auth state lease');
+            }
+        }, Math.max(1000, Math.floor(leaseMs / 3)));
+        renewTimer.unref?.();
+    }
+    const readValue = (raw) => (raw ? JSON.parse(raw, BufferJSON.reviver) : null);
+    const credsRaw = await adapter.get(prefix + CREDS_KEY);
+    const creds = readValue(credsRaw) || initAuthCreds();
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    if (!ids.length) {
+                        return {};
+                    }
+                    const keys = ids.map(id => keyFor(type, id));
+                    const values = adapter.mget ? await adapter.mget(keys) : await Promise.all(keys.map(key => adapter.get(key)));
+                    const data = {};
+                    ids.forEach((id, i) => {
+                        let value = readValue(values[i]);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    });
+                    return data;
+                },
+                set: async (data) => {
+                    assertLease();
+                    const tx = adapter.multi();
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            if (value) {
+                                tx.set(keyFor(category, id), JSON.stringify(value, BufferJSON.replacer));
+                            }
+                            else {
+                                tx.del(keyFor(category, id));
+                            }
+                        }
+                    }
+                    await tx.exec();
+                },
+                list: async (type) => {
+                    if (!adapter.keys) {
+                        throw new Error('key-value adapter does not implement `keys(prefix)`, cannot list auth state keys');
+                    }
+                    const typePrefix = `${prefix}${type}:`;
+                    const keys = await adapter.keys(typePrefix);
+                    return keys.map(key => key.slice(typePrefix.length));
+                }
+            }
+        },
+        saveCreds: async () => {
+            assertLease();
+            await adapter.set(prefix + CREDS_KEY, JSON.stringify(creds, BufferJSON.replacer));
+        },
+        /** stops renewing & gives up the lease, so another instance can take over */
+        release: async () => {
+            if (!lease) {
+                return;
+            }
+            clearInterval(renewTimer);
+            if (!leaseLost) {
+                await adapter.release(leaseKey, ownerId);
+            }
+        }
+    };
+};
@@ -4,6 +4,7 @@ export function useMultiFileAuthState(folder: any): Promise<{
         keys: {
             get: (type: any, ids: any) => Promise<{}>;
             set: (data: any) => Promise<void>;
+            list: (type: any) => Promise<any>;
         };
     };
     saveCreds: () => Promise<any>;
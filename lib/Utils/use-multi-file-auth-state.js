@@ -1,7 +1,8 @@
 import { Mutex } from 'async-mutex';
-import { mkdir, readFile, stat, unlink, writeFile } from 'fs/promises';
+import { mkdir, readdir, readFile, stat, unlink, writeFile } from 'fs/promises';
 import { join } from 'path';
 import { proto } from '../../WAProto/index.js';
+import { SIGNAL_KEY_TYPES } from '../Defaults/index.js';
 import { initAuthCreds } from './auth-utils.js';
 import { BufferJSON } from './generics.js';
 // We need to lock files due to the fact that we are using async functions to read and write files
@@ -84,6 +85,11 @@ export const useMultiFileAuthState = async (folder) => {
         await mkdir(folder, { recursive: true });
     }
     const fixFileName = (file) => file?.replace(/\//g, '__')?.replace(/:/g, '-');
+    // fixFileName is lossy for ':', but only sender-key IDs (`group::user::device`) contain one
+    const unfixFileName = (type, id) => {
+        id = id.replace(/__/g, '/');
+        return type === 'sender-key' ? id.replace(/--/g, '::') : id;
+    };
     const creds = (await readData('creds.json')) || initAuthCreds();
     return {
         state: {
@@ -110,6 +116,16 @@ export const useMultiFileAuthState = async (folder) => {
                         }
                     }
                     await Promise.all(tasks);
+                },
+                // Lia@Changes 19-10-26 --- Add list() so the state can be enumerated, eg. by migrateAuthState
+                list: async (type) => {
+                    const prefix = `${type}-`;
+                    // a longer category sharing the prefix (sender-key vs sender-key-memory) owns those files
+                    const longer = SIGNAL_KEY_TYPES.filter(t => t !== type && t.startsWith(prefix)).map(t => `${t}-`);
+                    const files = await readdir(folder);
+                    return files
+                        .filter(file => file.startsWith(prefix) && file.endsWith('.json') && !longer.some(p => file.startsWith(p)))
+                        .map(file => unfixFileName(type, file.slice(prefix.length, -'.json'.length)));
                 }
             }
         },
@@ -4,6 +4,7 @@ export function useSingleFileAuthState(fileName: any): Promise<{
         keys: {
             get: (type: any, ids: any) => {};
             set: (data: any) => void;
+            list: (type: any) => string[];
         };
     };
     saveCreds: () => void;
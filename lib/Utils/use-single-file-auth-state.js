@@ -1,5 +1,5 @@
 import { readFile, rename, stat, writeFile } from 'fs/promises';
-import { DEFAULT_CACHE_TTLS } from '../Defaults/index.js';
+import { DEFAULT_CACHE_TTLS, SIGNAL_KEY_TYPES } from '../Defaults/index.js';
 import { proto } from '../../WAProto/index.js';
 import { initAuthCreds } from './auth-utils.js';
 import { BufferJSON } from './generics.js';
@@ -100,6 +100,14 @@ export const useSingleFileAuthState = async (fileName) => {
                             value ? writeKey(keyName, value) : removeKey(keyName);
                         }
                     }
+                },
+                // Lia@Changes 19-10-26 --- Add list() so the state can be enumerated, eg. by migrateAuthState
+                list: (type) => {
+                    // keys are `type + id`, so skip the ones owned by a longer category (sender-key vs sender-key-memory)
+                    const longer = SIGNAL_KEY_TYPES.filter(t => t !== type && t.startsWith(type));
+                    return Object.keys(fileData)
+                        .filter(keyName => keyName.startsWith(type) && !longer.some(t => keyName.startsWith(t)))
+                        .map(keyName => keyName.slice(type.length));
                 }
             }
         },
@@ -1,9 +1,11 @@
+export function loadBetterSqlite3(feature?: string): Promise<any>;
 export function useSqliteAuthState(opts: any): Promise<{
     state: {
         creds: any;
         keys: {
             get: (type: any, ids: any) => Promise<{}>;
             set: (data: any) => Promise<void>;
+            list: (type: any) => Promise<any>;
         };
     };
     saveCreds: () => Promise<void>;
@@ -3,14 +3,15 @@ import { join } from 'path';
 import { proto } from '../../WAProto/index.js';
 import { initAuthCreds } from './auth-utils.js';
 import { BufferJSON } from './generics.js';
-async function loadBetterSqlite3() {
+// Lia@Changes 19-10-26 --- Shared with makeSqliteStore, `feature` only changes the error message
+export async function loadBetterSqlite3(feature = 'useSqliteAuthState') {
     try {
         // eslint-disable-next-line @typescript-eslint/no-explicit-any
         const mod = (await import('better-sqlite3'));
         return mod.default ?? mod;
     }
     catch (err) {
-        const helpful = new Error('`better-sqlite3` is required for `useSqliteAuthState`. Install it as a peer dependency: `npm install better-sqlite3` (or `yarn add better-sqlite3`).');
+        const helpful = new Error('`better-sqlite3` is required for `' + feature + '`. Install it as a peer dependency: `npm install better-sqlite3` (or `yarn add better-sqlite3`).');
         // eslint-disable-next-line @typescript-eslint/no-explicit-any
         helpful.cause = err;
         throw helpful;
@@ -98,6 +99,9 @@ export async function useSqliteAuthState(opts) {
                         }
                     });
                     writeTx();
+                },
+                list: async (type) => {
+                    return stmts.keyListIds.all(type).map(row => row.id);
                 }
             }
         },
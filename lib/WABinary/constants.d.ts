@@ -32,6 +32,12 @@ export const CSHARP_KEYWORDS: Set<string>;
 export const BASH_KEYWORDS: Set<string>;
 export const CMD_KEYWORDS: Set<string>;
 export const POWERSHELL_KEYWORDS: Set<string>;
+export const TS_KEYWORDS: Set<string>;
+export const JAVA_KEYWORDS: Set<string>;
+export const SQL_KEYWORDS: Set<string>;
+export const JSON_KEYWORDS: Set<string>;
+export const YAML_KEYWORDS: Set<string>;
+/** @deprecated unused since `tokenizeCode` keeps the keywords of each language with its own rules */
 export const LANGUAGE_KEYWORDS: {
     css: Set<string>;
     html: Set<string>;
@@ -58,5 +64,10 @@ export const LANGUAGE_KEYWORDS: {
     bat: Set<string>;
     powershell: Set<string>;
     ps1: Set<string>;
+    java: Set<string>;
+    sql: Set<string>;
+    json: Set<string>;
+    yaml: Set<string>;
+    yml: Set<string>;
 };
 //# sourceMappingURL=constants.d.ts.map
\ No newline at end of file
@@ -1437,13 +1437,52 @@ export const POWERSHELL_KEYWORDS = new Set([
     'Copy-Item', 'Move-Item',
     'Test-Path', 'Invoke-Command'
 ]);
+// Lia@Changes 19-10-26 --- Add keywords for TypeScript, Java, SQL, JSON & YAML
+export const TS_KEYWORDS = new Set([
+    ...JS_KEYWORDS,
+    'type', 'interface', 'enum', 'implements', 'namespace', 'module', 'declare',
+    'abstract', 'public', 'private', 'protected', 'readonly', 'override',
+    'keyof', 'infer', 'is', 'asserts', 'satisfies', 'unique',
+    'any', 'unknown', 'never', 'string', 'number', 'boolean', 'bigint', 'symbol', 'object'
+]);
+export const JAVA_KEYWORDS = new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+    'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final',
+    'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int',
+    'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public',
+    'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this',
+    'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while',
+    'var', 'record', 'sealed', 'permits', 'yield', 'true', 'false', 'null'
+]);
+// matched case-insensitively
+export const SQL_KEYWORDS = new Set([
+    'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'like', 'between',
+    'exists', 'as', 'distinct', 'all', 'any', 'case', 'when', 'then', 'else', 'end',
+    'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on', 'using', 'natural',
+    'group', 'by', 'order', 'asc', 'desc', 'having', 'limit', 'offset', 'union', 'intersect', 'except',
+    'insert', 'into', 'values', 'update', 'set', 'delete', 'returning', 'conflict', 'do', 'nothing',
+    'create', 'alter', 'drop', 'truncate', 'rename', 'table', 'view', 'index', 'unique',
+    'primary', 'key', 'foreign', 'references', 'constraint', 'default', 'check', 'cascade',
+    'if', 'with', 'recursive', 'begin', 'commit', 'rollback', 'transaction',
+    'int', 'integer', 'bigint', 'smallint', 'text', 'varchar', 'char', 'boolean', 'real',
+    'float', 'double', 'decimal', 'numeric', 'date', 'time', 'timestamp', 'blob', 'true', 'false'
+]);
+export const JSON_KEYWORDS = new Set([
+    'true', 'false', 'null'
+]);
+export const YAML_KEYWORDS = new Set([
+    'true', 'false', 'null', 'yes', 'no', 'on', 'off',
+    'True', 'False', 'Null', 'Yes', 'No', 'On', 'Off',
+    'TRUE', 'FALSE', 'NULL', 'YES', 'NO', 'ON', 'OFF'
+]);
+/** @deprecated unused since `tokenizeCode` keeps the keywords of each language with its own rules */
 export const LANGUAGE_KEYWORDS = {
     css: CSS_KEYWORDS,
     html: HTML_KEYWORDS,
     javascript: JS_KEYWORDS,
-    typescript: JS_KEYWORDS,
+    typescript: TS_KEYWORDS,
     js: JS_KEYWORDS,
-    ts: JS_KEYWORDS,
+    ts: TS_KEYWORDS,
     python: PYTHON_KEYWORDS,
     py: PYTHON_KEYWORDS,
     go: GO_KEYWORDS,
@@ -1462,6 +1501,11 @@ export const LANGUAGE_KEYWORDS = {
     cmd: CMD_KEYWORDS,
     bat: CMD_KEYWORDS,
     powershell: POWERSHELL_KEYWORDS,
-    ps1: POWERSHELL_KEYWORDS
+    ps1: POWERSHELL_KEYWORDS,
+    java: JAVA_KEYWORDS,
+    sql: SQL_KEYWORDS,
+    json: JSON_KEYWORDS,
+    yaml: YAML_KEYWORDS,
+    yml: YAML_KEYWORDS
 };
 //# sourceMappingURL=constants.js.map
\ No newline at end of file
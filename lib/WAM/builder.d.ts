@@ -0,0 +1,35 @@
+/**
+ * Builds `BinaryInfo` events for `encodeWAM`/`sendWAMBuffer`,
+ * every event, prop & global name is looked up in `WEB_EVENTS`/`WEB_GLOBALS` and every value type checked
+ *
+ * @example
+ * const info = new WamEventBuilder()
+ *     .addEvent('WamDroppedEvent', { droppedEventCode: 1, isFromWamsys: false }, { appVersion: '2.3000.0' })
+ *     .build()
+ * await sock.sendWAMBuffer(encodeWAM(info))
+ */
+export class WamEventBuilder {
+    constructor({ sequence, protocolVersion, channel, globals }?: {
+        sequence?: number;
+        protocolVersion?: number;
+        /** only `regular` is supported, the channel `encodeWAM` encodes */
+        channel?: 'regular';
+        globals?: {};
+    });
+    sequence: number;
+    protocolVersion: number;
+    channel: string;
+    defaultGlobals: {};
+    events: any[];
+    /**
+     * validates & queues an event
+     * @param name event name from `WEB_EVENTS`
+     * @param props prop values by name, `null`/`undefined` props are left out
+     * @param globals global values by name, on top of the ones given to the constructor
+     */
+    addEvent(name: string, props?: {}, globals?: {}): this;
+    validateGlobals(globals: any): {};
+    /** the queued events as a `BinaryInfo`, ready for `encodeWAM` */
+    build(): BinaryInfo;
+}
+import { BinaryInfo } from './BinaryInfo.js';
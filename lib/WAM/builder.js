@@ -0,0 +1,160 @@
+import { BinaryInfo } from './BinaryInfo.js';
+import { WEB_EVENTS, WEB_GLOBALS } from './constants.js';
+// Lia@Changes 19-10-26 --- Add WamEventBuilder, validates events against WEB_EVENTS/WEB_GLOBALS before they reach encodeWAM
+let eventsByName;
+let globalsByName;
+const getEventsByName = () => {
+    if (!eventsByName) {
+        eventsByName = new Map(WEB_EVENTS.map(event => [event.name, event]));
+    }
+    return eventsByName;
+};
+const getGlobalsByName = () => {
+    if (!globalsByName) {
+        globalsByName = new Map(WEB_GLOBALS.map(global => [global.name, global]));
+    }
+    return globalsByName;
+};
+const editDistance = (a, b) => {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+};
+const suggest = (name, candidates) => {
+    let best;
+    let bestDistance = Math.max(3, Math.floor(name.length / 3)) + 1;
+    for (const candidate of candidates) {
+        const distance = editDistance(name, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best ? `, did you mean "${best}"?` : '';
+};
+const describeType = (type) => (typeof type === 'object' ? `one of ${Object.keys(type).join(', ')}` : type);
+/**
+ * Checks `value` against a WAM schema type & converts it to what `encodeWAM` expects,
+ * enum values may be given by name
+ */
+const validateValue = (value, type, path) => {
+    if (typeof type === 'object') {
+        if (typeof value === 'string' && value in type) {
+            return type[value];
+        }
+        if (typeof value === 'number' && Object.values(type).includes(value)) {
+            return value;
+        }
+    }
+    else if (type === 'boolean') {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+    }
+    else if (type === 'string') {
+        if (typeof value === 'string') {
+            return value;
+        }
+    }
+    else if (type === 'integer' || type === 'timer') {
+        if (Number.isSafeInteger(value)) {
+            return value;
+        }
+    }
+    else if (type === 'number') {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return value;
+        }
+    }
+    throw new Error(`invalid value ${JSON.stringify(value)} for WAM ${path}, expected ${describeType(type)}`);
+};
+/**
+ * Builds `BinaryInfo` events for `encodeWAM`/`sendWAMBuffer`,
+ * every event, prop & global name is looked up in `WEB_EVENTS`/`WEB_GLOBALS` and every value type checked
+ *
+ * @example
+ * const info = new WamEventBuilder()
+ *     .addEvent('WamDroppedEvent', { droppedEventCode: 1, isFromWamsys: false }, { appVersion: '2.3000.0' })
+ *     .build()
+ * await sock.sendWAMBuffer(encodeWAM(info))
+ */
+export class WamEventBuilder {
+    constructor({ sequence = 0, protocolVersion = 5, channel = 'regular', globals = {} } = {}) {
+        // `encodeWAM` always writes the regular channel in the header, other channels would be mislabelled
+        if (channel !== 'regular') {
+            throw new Error(`WAM ${channel} channel is not supported, encodeWAM only encodes the regular channel`);
+        }
+        this.sequence = sequence;
+        this.protocolVersion = protocolVersion;
+        this.channel = channel;
+        this.defaultGlobals = this.validateGlobals(globals);
+        this.events = [];
+    }
+    /**
+     * validates & queues an event
+     * @param name event name from `WEB_EVENTS`
+     * @param props prop values by name, `null`/`undefined` props are left out
+     * @param globals global values by name, on top of the ones given to the constructor
+     */
+    addEvent(name, props = {}, globals = {}) {
+        const event = getEventsByName().get(name);
+        if (!event) {
+            throw new Error(`unknown WAM event "${name}"${suggest(name, getEventsByName().keys())}`);
+        }
+        if (event.wamChannel !== this.channel) {
+            throw new Error(`WAM event "${name}" belongs to the ${event.wamChannel} channel, this builder encodes the ${this.channel} channel`);
+        }
+        const validated = [];
+        for (const [prop, value] of Object.entries(props)) {
+            const definition = event.props[prop];
+            if (!definition) {
+                throw new Error(`unknown prop "${prop}" for WAM event "${name}"${suggest(prop, Object.keys(event.props))}`);
+            }
+            if (value === null || value === undefined) {
+                continue;
+            }
+            const [id, type] = definition;
+            validated.push([id, prop, validateValue(value, type, `${name}.${prop}`)]);
+        }
+        // fields are written in the order of their ID, like the official clients do
+        validated.sort(([a], [b]) => a - b);
+        this.events.push({
+            [name]: {
+                props: Object.fromEntries(validated.map(([, prop, value]) => [prop, value])),
+                globals: this.validateGlobals({ ...this.defaultGlobals, ...globals })
+            }
+        });
+        return this;
+    }
+    validateGlobals(globals) {
+        const validated = [];
+        for (const [name, value] of Object.entries(globals)) {
+            const global = getGlobalsByName().get(name);
+            if (!global) {
+                throw new Error(`unknown WAM global "${name}"${suggest(name, getGlobalsByName().keys())}`);
+            }
+            if (!global.channels.includes(this.channel)) {
+                throw new Error(`WAM global "${name}" is not sent on the ${this.channel} channel`);
+            }
+            validated.push([global.id, name, value === null ? null : validateValue(value, global.type, `global ${name}`)]);
+        }
+        validated.sort(([a], [b]) => a - b);
+        return Object.fromEntries(validated.map(([, name, value]) => [name, value]));
+    }
+    /** the queued events as a `BinaryInfo`, ready for `encodeWAM` */
+    build() {
+        return new BinaryInfo({
+            protocolVersion: this.protocolVersion,
+            sequence: this.sequence,
+            events: this.events.slice()
+        });
+    }
+}
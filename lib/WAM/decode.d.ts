@@ -0,0 +1,2 @@
+export function decodeWAM(buffer: any): BinaryInfo;
+import { BinaryInfo } from './BinaryInfo.js';
@@ -0,0 +1,147 @@
+import { BinaryInfo } from './BinaryInfo.js';
+import { FLAG_BYTE, FLAG_EVENT, FLAG_EXTENDED, FLAG_FIELD, WEB_EVENTS, WEB_GLOBALS } from './constants.js';
+// Lia@Changes 19-10-26 --- Add decodeWAM, the inverse of encodeWAM
+let eventsById;
+let globalsById;
+const getEventsById = () => {
+    if (!eventsById) {
+        eventsById = new Map(WEB_EVENTS.map(event => [event.id, {
+            ...event,
+            propsById: new Map(Object.entries(event.props).map(([name, [id, type]]) => [id, { name, type }]))
+        }]));
+    }
+    return eventsById;
+};
+const getGlobalsById = () => {
+    if (!globalsById) {
+        globalsById = new Map(WEB_GLOBALS.map(global => [global.id, global]));
+    }
+    return globalsById;
+};
+/**
+ * Parses a WAM buffer, as produced by `encodeWAM`, back into a `BinaryInfo`
+ *
+ * Each event comes back as `{ [eventName]: { props, globals } }`, with the globals written right before it.
+ * Fields & events missing from `WEB_EVENTS`/`WEB_GLOBALS` are kept under their numeric ID
+ */
+export const decodeWAM = (buffer) => {
+    buffer = Buffer.from(buffer);
+    const { protocolVersion, sequence } = decodeWAMHeader(buffer);
+    const events = [];
+    let globals = {};
+    let event;
+    let offset = 8;
+    while (offset < buffer.length) {
+        const item = deserializeData(buffer, offset);
+        offset = item.offset;
+        const isLast = (item.flag & FLAG_EXTENDED) !== 0;
+        if (event) {
+            // encodeWAM marks every field but the last one as FLAG_EVENT, so anything inside an event is a field
+            const prop = event.definition?.propsById.get(item.key);
+            event.props[prop?.name ?? item.key] = deserializeValue(item.value, prop?.type);
+            if (isLast) {
+                event = undefined;
+            }
+            continue;
+        }
+        switch (item.flag & (FLAG_EVENT | FLAG_FIELD)) {
+            case FLAG_EVENT: {
+                const definition = getEventsById().get(item.key);
+                const props = {};
+                events.push({ [definition?.name ?? item.key]: { props, globals } });
+                globals = {};
+                if (!isLast) {
+                    event = { definition, props };
+                }
+                break;
+            }
+            case FLAG_FIELD:
+                throw new Error(`WAM field ${item.key} found outside of an event at offset ${offset}`);
+            default: {
+                const global = getGlobalsById().get(item.key);
+                globals[global?.name ?? item.key] = deserializeValue(item.value, global?.type);
+            }
+        }
+    }
+    if (event) {
+        throw new Error('WAM buffer ended in the middle of an event');
+    }
+    return new BinaryInfo({ protocolVersion, sequence, events });
+};
+function decodeWAMHeader(buffer) {
+    if (buffer.length < 8 || buffer.toString('utf8', 0, 3) !== 'WAM') {
+        throw new Error('not a WAM buffer, missing header');
+    }
+    return {
+        protocolVersion: buffer.readUInt8(3),
+        sequence: buffer.readUInt16BE(5),
+        channel: buffer.readUInt8(7)
+    };
+}
+function deserializeValue(value, type) {
+    if (type === 'boolean' && typeof value === 'number') {
+        return value === 1;
+    }
+    return value;
+}
+function deserializeData(buffer, offset) {
+    const header = buffer.readUInt8(offset++);
+    let key;
+    if (header & FLAG_BYTE) {
+        key = buffer.readUInt16LE(offset);
+        offset += 2;
+    }
+    else {
+        key = buffer.readUInt8(offset++);
+    }
+    const flag = header & ~FLAG_BYTE & 0x0f;
+    let value;
+    switch (header >> 4) {
+        case 0:
+            value = null;
+            break;
+        case 1:
+            value = 0;
+            break;
+        case 2:
+            value = 1;
+            break;
+        case 3:
+            value = buffer.readInt8(offset);
+            offset += 1;
+            break;
+        case 4:
+            value = buffer.readInt16LE(offset);
+            offset += 2;
+            break;
+        case 5:
+            value = buffer.readInt32LE(offset);
+            offset += 4;
+            break;
+        case 6:
+            value = Number(buffer.readBigInt64LE(offset));
+            offset += 8;
+            break;
+        case 7:
+            value = buffer.readDoubleLE(offset);
+            offset += 8;
+            break;
+        case 8:
+        case 9:
+        case 10: {
+            const lengthSize = header >> 4 === 8 ? 1 : header >> 4 === 9 ? 2 : 4;
+            const length = lengthSize === 1
+                ? buffer.readUInt8(offset)
+                : lengthSize === 2
+                    ? buffer.readUInt16LE(offset)
+                    : buffer.readUInt32LE(offset);
+            offset += lengthSize;
+            value = buffer.toString('utf8', offset, offset + length);
+            offset += length;
+            break;
+        }
+        default:
+            throw new Error(`unknown WAM value type ${header >> 4} at offset ${offset}`);
+    }
+    return { flag, key, value, offset };
+}
@@ -1,4 +1,6 @@
 export * from "./constants.js";
 export * from "./encode.js";
+export * from "./decode.js";
+export * from "./builder.js";
 export * from "./BinaryInfo.js";
 //# sourceMappingURL=index.d.ts.map
\ No newline at end of file
@@ -6,6 +6,7 @@ export * from "./Defaults/index.js";
 export * from "./WABinary/index.js";
 export * from "./WAM/index.js";
 export * from "./WAUSync/index.js";
+export * from "./Socket/Client/index.js";
 export { makeWASocket };
 export default makeWASocket;
 import makeWASocket from './Socket/index.js';
@@ -7,6 +7,7 @@ export * from './Defaults/index.js';
 export * from './WABinary/index.js';
 export * from './WAM/index.js';
 export * from './WAUSync/index.js';
+export * from './Socket/Client/index.js';
 export { makeWASocket };
 export default makeWASocket;
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectCodeLanguage } from '../lib/Utils/code-tokenizer.js';
+describe('detectCodeLanguage', () => {
+    it('detects CSS selectors', () => {
+        assert.equal(detectCodeLanguage('.a-b > .c:hover, #d {\n  margin: 0;\n}'), 'css');
+        assert.equal(detectCodeLanguage('input[type="text"] {\n  color: red;\n}'), 'css');
+    });
+    it('gives up on long runs of separators quickly', () => {
+        for (const separator of ['-', '.', ' ', '=', '"']) {
+            const startedAt = Date.now();
+            detectCodeLanguage('a' + separator.repeat(10000) + '!');
+            assert.ok(Date.now() - startedAt < 1000, `run of ${JSON.stringify(separator)}`);
+        }
+    });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BinaryInfo, decodeWAM, encodeWAM } from '../lib/WAM/index.js';
+const roundTrip = (events, options = {}) => decodeWAM(encodeWAM(new BinaryInfo({ ...options, events })));
+describe('decodeWAM', () => {
+    it('keeps the header', () => {
+        const binaryInfo = roundTrip([], { protocolVersion: 5, sequence: 513 });
+        assert.equal(binaryInfo.protocolVersion, 5);
+        assert.equal(binaryInfo.sequence, 513);
+        assert.deepEqual(binaryInfo.events, []);
+    });
+    it('round-trips every integer width', () => {
+        const values = [0, 1, -1, 127, -128, 128, -129, 32767, -32768, 32768, -32769, 2147483647, -2147483648, 2147483648, -2147483649, Number.MAX_SAFE_INTEGER];
+        for (const value of values) {
+            const [event] = roundTrip([{ WebcMemoryStat: { props: { chatDbSize: value }, globals: {} } }]).events;
+            assert.equal(event.WebcMemoryStat.props.chatDbSize, value, `integer ${value}`);
+        }
+    });
+    it('round-trips floats', () => {
+        for (const value of [0.5, -1.25, Math.PI, 1e300]) {
+            const [event] = roundTrip([{ WebcMemoryStat: { props: { uptime: value }, globals: {} } }]).events;
+            assert.equal(event.WebcMemoryStat.props.uptime, value);
+        }
+    });
+    it('round-trips strings of every length prefix', () => {
+        for (const value of ['', 'webc', 'é'.repeat(100), 'a'.repeat(255), 'a'.repeat(256), 'a'.repeat(65535), 'a'.repeat(65536)]) {
+            const [event] = roundTrip([{ WebcMemoryStat: { props: { appContext: value }, globals: {} } }]).events;
+            assert.equal(event.WebcMemoryStat.props.appContext, value, `string of ${value.length}`);
+        }
+    });
+    it('round-trips booleans & null globals', () => {
+        const globals = { appIsBetaRelease: true, networkIsWifi: false, deviceName: null };
+        const [event] = roundTrip([{ WebcMemoryStat: { props: { isForeground: true }, globals } }, { GroupJoinC: { props: {}, globals: {} } }]).events;
+        assert.deepEqual(event.WebcMemoryStat.globals, globals);
+        assert.equal(event.WebcMemoryStat.props.isForeground, true);
+        const [, { GroupJoinC }] = roundTrip([{ WebcMemoryStat: { props: { isForeground: false }, globals: {} } }, { GroupJoinC: { props: {}, globals: {} } }]).events;
+        assert.deepEqual(GroupJoinC, { props: {}, globals: {} });
+    });
+    it('keeps globals with the event they were written before', () => {
+        const events = [
+            // 1-byte & 2-byte keys, on both globals & events
+            {
+                WebcMemoryStat: {
+                    props: { appContext: 'chat', chatDbSize: 4096, isForeground: true, uptime: 12.5, usedJsHeapSizeDelta: -300 },
+                    globals: { mcc: 510, appVersion: '2.3000.1', memClass: 70000, numCpu: 8 }
+                }
+            },
+            { GroupJoinC: { props: {}, globals: { networkIsWifi: true } } },
+            { GroupCreateC: { props: {}, globals: {} } }
+        ];
+        assert.deepEqual(roundTrip(events).events, events);
+    });
+    it('decodes 64-bit integers', () => {
+        const header = encodeWAM(new BinaryInfo({ events: [] }));
+        // global `mcc` (key 5) holding an int64
+        const field = Buffer.alloc(10);
+        field.writeUInt8(6 << 4, 0);
+        field.writeUInt8(5, 1);
+        field.writeBigInt64LE(-(2n ** 40n), 2);
+        const event = Buffer.from([(2 << 4) | 1 | 4, 158]);
+        const { events } = decodeWAM(Buffer.concat([header, field, event]));
+        assert.deepEqual(events, [{ GroupJoinC: { props: {}, globals: { mcc: -(2 ** 40) } } }]);
+    });
+    it('keeps unknown keys as numbers', () => {
+        const header = encodeWAM(new BinaryInfo({ events: [] }));
+        const { events } = decodeWAM(Buffer.concat([header, Buffer.from([(1 << 4) | 1 | 4, 250])]));
+        assert.deepEqual(events, [{ 250: { props: {}, globals: {} } }]);
+    });
+    it('rejects buffers that are not WAM', () => {
+        assert.throws(() => decodeWAM(Buffer.from('not a wam buffer')), /not a WAM buffer/);
+        const buffer = encodeWAM(new BinaryInfo({ events: [{ WebcMemoryStat: { props: { chatDbSize: 5, uptime: 1.5 }, globals: {} } }] }));
+        // drops the last field, `uptime` is a 1-byte key & a double
+        assert.throws(() => decodeWAM(buffer.subarray(0, buffer.length - 10)), /middle of an event/);
+    });
+});